@@ -0,0 +1,213 @@
+/**
+ * Command Registry
+ * One router for bot commands, shared by @mentions and the /standup slash command:
+ * - Commands are matched on whole words (the first word or two), never on substrings
+ * - Arguments are parsed and validated against each command's declared arguments
+ * - Invalid input gets that command's usage, and `help` is generated from the registry
+ */
+
+import teamRegistry from '../workflows/teamRegistry.js';
+
+/**
+ * Argument types: each parses a token and returns its value, or undefined if the token doesn't fit
+ */
+const ArgTypes = {
+  string: token => token,
+  number: token => (/^\d+$/.test(token) ? parseInt(token, 10) : undefined),
+  email: token => (/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(token) ? token.toLowerCase() : undefined),
+  date: token => (/^\d{4}-\d{2}-\d{2}$/.test(token) ? token : undefined),
+  day: token => (/^(today|tomorrow|\d{4}-\d{2}-\d{2})$/i.test(token) ? token.toLowerCase() : undefined),
+  time: token => {
+    const match = token.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : undefined;
+  },
+  // Slack sends mentions as <@U123> (or <@U123|name> from slash commands)
+  user: token => token.match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$/)?.[1],
+  blockerId: token => (/^BLK-\d+$/i.test(token) ? token.toUpperCase() : undefined),
+  parkingId: token => (/^PL-\d+$/i.test(token) ? token.toUpperCase() : undefined),
+};
+
+/**
+ * Split command text into tokens
+ * Slack wraps emails and links (<mailto:a@b.com|a@b.com>), so unwrap them first
+ * @param {string} text - Command text
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  return (text || '')
+    .replace(/<mailto:[^|>]+\|([^>]+)>/g, '$1')
+    .replace(/<(https?:[^|>]+)(?:\|[^>]+)?>/g, '$1')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+export class CommandRegistry {
+  constructor() {
+    // Commands in registration order (help lists them in this order)
+    this.commands = [];
+  }
+
+  /**
+   * Register a command
+   * @param {Object} command - Command definition
+   * @param {string} command.name - Command name (one or more words, e.g. "blockers")
+   * @param {string[]} command.aliases - Other names for the command (e.g. "start standup")
+   * @param {string} command.description - One line for the help text
+   * @param {Array} command.args - [{ name, type, optional, rest, choices, label }] - type is a key of ArgTypes,
+   *   rest takes the remaining words as one string, choices are literal words accepted as well as the type,
+   *   label replaces the name in the usage line
+   * @param {boolean} command.teamScoped - True if the command acts on the team whose channel it's issued in
+   * @param {Function} command.handler - async (args, context) => void
+   */
+  register(command) {
+    this.commands.push({ aliases: [], args: [], teamScoped: false, ...command });
+  }
+
+  /**
+   * Build a command's usage line, e.g. "leave <email> <start_date> <end_date> [reason]"
+   * @param {Object} command - Registered command
+   * @param {string} prefix - Prefix for how the command is invoked (e.g. "/standup ")
+   * @returns {string} Usage
+   */
+  getUsage(command, prefix = '') {
+    const args = command.args.map(arg => {
+      const label = arg.label || [arg.name, ...(arg.choices || [])].join('|');
+      return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    return `${prefix}${[command.name, ...args].join(' ')}`;
+  }
+
+  /**
+   * Build the help text from the registered commands
+   * @param {string} prefix - Prefix for how commands are invoked (e.g. "/standup ")
+   * @returns {string} Help text
+   */
+  getHelp(prefix = '') {
+    const lines = this.commands.map(command => `• \`${this.getUsage(command, prefix)}\` - ${command.description}`);
+
+    return `*AI Engineering Manager Commands:*
+${lines.join('\n')}
+
+During standup, just reply with your updates and I'll:
+• Track your progress
+• Ask for timelines on To-Do/In-Progress tasks
+• Update JIRA tickets automatically
+• Keep the conversation focused on status updates`;
+  }
+
+  /**
+   * Find the command the tokens start with (the longest matching name wins)
+   * @param {string[]} tokens - Command tokens
+   * @returns {Object|null} { command, nameLength } or null
+   */
+  _match(tokens) {
+    const lowerTokens = tokens.map(t => t.toLowerCase());
+    let best = null;
+
+    for (const command of this.commands) {
+      for (const name of [command.name, ...command.aliases]) {
+        const words = name.split(' ');
+        const matches = words.every((word, i) => lowerTokens[i] === word);
+        if (matches && (!best || words.length > best.nameLength)) {
+          best = { command, nameLength: words.length };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Parse tokens against a command's declared arguments
+   * An optional argument that doesn't fit a token is left out and the token is tried against the next one
+   * @param {Object} command - Registered command
+   * @param {string[]} tokens - Argument tokens
+   * @returns {Object} { args } or { error }
+   */
+  _parseArgs(command, tokens) {
+    const args = {};
+    let index = 0;
+
+    for (const arg of command.args) {
+      if (arg.rest) {
+        const rest = tokens.slice(index).join(' ');
+        if (!rest && !arg.optional) {
+          return { error: `Missing ${arg.name}` };
+        }
+        args[arg.name] = rest || null;
+        index = tokens.length;
+        break;
+      }
+
+      const token = tokens[index];
+      if (token === undefined) {
+        if (!arg.optional) {
+          return { error: `Missing ${arg.name}` };
+        }
+        args[arg.name] = null;
+        continue;
+      }
+
+      const choice = arg.choices?.find(c => c === token.toLowerCase());
+      const value = choice || ArgTypes[arg.type || 'string'](token);
+      if (value === undefined) {
+        if (!arg.optional) {
+          return { error: `\`${token}\` isn't a valid ${arg.name}` };
+        }
+        args[arg.name] = null;
+        continue;
+      }
+
+      args[arg.name] = value;
+      index++;
+    }
+
+    if (index < tokens.length) {
+      return { error: `Unexpected \`${tokens.slice(index).join(' ')}\`` };
+    }
+    return { args };
+  }
+
+  /**
+   * Run the command in a piece of text
+   * @param {string} text - Command text (bot mention already removed)
+   * @param {Object} context - { userId, channel, isDirectMessage, workflow, say, prefix }
+   *   workflow is the team whose standup channel the command was issued in (or null);
+   *   prefix is how commands are invoked there (e.g. "/standup ") and is used in usage and help
+   */
+  async execute(text, context) {
+    const tokens = tokenize(text);
+    const prefix = context.prefix || '';
+
+    if (tokens.length === 0) {
+      await context.say(this.getHelp(prefix));
+      return;
+    }
+
+    const match = this._match(tokens);
+    if (!match) {
+      await context.say(`I didn't understand \`${tokens[0]}\`. Try \`${prefix}help\` to see available commands.`);
+      return;
+    }
+
+    const { command, nameLength } = match;
+    console.log(`🎯 Command "${command.name}" from ${context.userId}`);
+
+    if (command.teamScoped && !context.workflow) {
+      const channels = teamRegistry.getTeams().map(t => `${t.channel} (${t.name})`).join(', ');
+      await context.say(`This channel isn't linked to a standup team. Try one of: ${channels}`);
+      return;
+    }
+
+    const { args, error } = this._parseArgs(command, tokens.slice(nameLength));
+    if (error) {
+      await context.say(`❌ ${error}. Use: \`${this.getUsage(command, prefix)}\``);
+      return;
+    }
+
+    await command.handler(args, { ...context, prefix, usage: this.getUsage(command, prefix) });
+  }
+}
+
+export default new CommandRegistry();
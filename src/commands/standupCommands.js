@@ -0,0 +1,660 @@
+/**
+ * Standup Commands
+ * The bot's commands, available as @mentions ("@bot blockers") and as /standup subcommands
+ * ("/standup blockers"). Team commands act on the team whose standup channel they're issued in.
+ */
+
+import commandRegistry from './commandRegistry.js';
+import leaveService from '../services/leaveService.js';
+import blockerService from '../services/blockerService.js';
+import historyService from '../services/historyService.js';
+import parkingLotService from '../services/parkingLotService.js';
+import teamRegistry from '../workflows/teamRegistry.js';
+import standupScheduler from '../workflows/standupScheduler.js';
+import { shiftDate } from '../services/calendarService.js';
+
+// Most standups `history` will show at once
+const MAX_HISTORY_STANDUPS = 20;
+
+/**
+ * Format a YYYY-MM-DD date for display, e.g. "Mon, Mar 18"
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string} Formatted date
+ */
+function formatDate(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Check that whoever issued a facilitator command is one of the team's facilitators, and tell them if not
+ * @param {StandupWorkflow} workflow - The team's workflow
+ * @param {string} userId - Slack user ID of whoever issued the command
+ * @param {Function} say - Reply function
+ * @param {string} action - What they tried to do, e.g. "pause the standup"
+ * @returns {Promise<boolean>} True if they may
+ */
+async function requireFacilitator(workflow, userId, say, action) {
+  if (await workflow.isFacilitator(userId)) {
+    return true;
+  }
+
+  const facilitators = workflow.getFacilitators().map(f => (f.includes('@') ? f : `<@${f}>`)).join(', ');
+  await say(`🔒 Only the ${workflow.team.name} standup facilitators (${facilitators}) can ${action}. `
+    + 'Facilitators are set with `STANDUP_FACILITATORS` (or `standup.facilitators` in teams.json).');
+  return false;
+}
+
+/**
+ * Start today's standup now
+ */
+async function handleStartCommand(args, { workflow, say }) {
+  console.log(`   -> Starting standup for team ${workflow.team.name}`);
+  await say(`🚀 Starting daily standup for *${workflow.team.name}*...`);
+  await workflow.startDailyStandup();
+}
+
+/**
+ * Report how many developers have given their update
+ */
+async function handleStatusCommand(args, { workflow, say }) {
+  const sessions = workflow.getAllSessions();
+  if (sessions.size === 0) {
+    await say('No active standup session.');
+    return;
+  }
+
+  let completed = 0;
+  for (const session of sessions.values()) {
+    if (session.state === 'completed') completed++;
+  }
+  const paused = workflow.getStandupPhase() === 'paused' ? ' _(paused)_' : '';
+  await say(`📊 ${workflow.team.name} Standup Status: ${completed}/${sessions.size} completed${paused}`);
+}
+
+/**
+ * Start today's end-of-day check-out now
+ */
+async function handleCheckoutCommand(args, { workflow, say }) {
+  const checkout = teamRegistry.getCheckout(workflow.team.id);
+  if (checkout.isRunning() || checkout.isCompletedToday()) {
+    await say(checkout.isRunning() ? "Today's check-out is already running." : "Today's check-out is already done.");
+    return;
+  }
+
+  const asked = await checkout.start();
+  await say(asked > 0
+    ? `🌆 Started the end-of-day check-out for *${workflow.team.name}* (${asked} developer${asked > 1 ? 's' : ''}).`
+    : "Nothing to check out - nobody gave standup updates today.");
+}
+
+/**
+ * Start the sprint retro now (collects feedback by DM)
+ */
+async function handleRetroCommand(args, { workflow, say }) {
+  const retro = teamRegistry.getRetro(workflow.team.id);
+  if (retro.isRunning()) {
+    await say(retro.getStatus());
+    return;
+  }
+
+  const asked = await retro.start();
+  await say(asked > 0
+    ? `🔁 Started the sprint retro for *${workflow.team.name}* (${asked} member${asked > 1 ? 's' : ''} asked for feedback).`
+    : 'Nothing to retro - nobody took part in a standup this sprint.');
+}
+
+/**
+ * End retro feedback collection early and open the vote
+ */
+async function handleRetroVoteCommand(args, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'open the retro vote'))) {
+    return;
+  }
+  const retro = teamRegistry.getRetro(workflow.team.id);
+  if (retro.transitionPending) {
+    await say('⏳ The retro vote is already being opened or closed.');
+    return;
+  }
+  if (!(await retro.startVote())) {
+    await say(retro.isRunning() ? 'The retro vote is already open.' : 'No retro is collecting feedback.');
+  }
+}
+
+/**
+ * End the retro vote early and file the top action items
+ */
+async function handleRetroCloseCommand(args, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'close the retro vote'))) {
+    return;
+  }
+  const retro = teamRegistry.getRetro(workflow.team.id);
+  if (retro.transitionPending) {
+    await say('⏳ The retro vote is already being opened or closed.');
+    return;
+  }
+  if (!(await retro.close())) {
+    await say(retro.isRunning() ? "The retro is still collecting feedback - open the vote first with `retro vote`." : 'No retro vote is open.');
+  }
+}
+
+/**
+ * Show where the sprint retro is
+ */
+async function handleRetroStatusCommand(args, { workflow, say }) {
+  await say(teamRegistry.getRetro(workflow.team.id).getStatus());
+}
+
+/**
+ * Pause the running standup, e.g. "pause incident in prod"
+ */
+async function handlePauseCommand({ reason }, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'pause the standup'))) {
+    return;
+  }
+  if (!(await workflow.pause(userId, reason))) {
+    await say(workflow.getStandupPhase() === 'paused'
+      ? 'The standup is already paused - use `resume` to carry on.'
+      : "There's no standup in progress to pause.");
+    return;
+  }
+  await say(`⏸️ Paused the ${workflow.team.name} standup.`);
+}
+
+/**
+ * Resume a paused standup
+ */
+async function handleResumeCommand(args, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'resume the standup'))) {
+    return;
+  }
+  if (!(await workflow.resume(userId))) {
+    await say("The standup isn't paused.");
+    return;
+  }
+  await say(`▶️ Resumed the ${workflow.team.name} standup.`);
+}
+
+/**
+ * Skip yourself (or, for facilitators, someone else) in today's running standup
+ * Outside a standup channel this applies to every team's standup the person is part of
+ */
+async function handleSkipCommand({ user }, { userId, workflow, say }) {
+  const targetUserId = user || userId;
+  const who = targetUserId === userId ? 'you' : `<@${targetUserId}>`;
+
+  if (targetUserId !== userId && workflow) {
+    if (!(await requireFacilitator(workflow, userId, say, 'skip someone else'))) {
+      return;
+    }
+  }
+
+  const workflows = workflow ? [workflow] : teamRegistry.getAllWorkflows();
+  const skippedTeams = [];
+  const deniedTeams = [];
+  for (const candidate of workflows) {
+    // Outside a channel, someone else is only skipped in the teams you facilitate
+    if (!workflow && targetUserId !== userId && !(await candidate.isFacilitator(userId))) {
+      deniedTeams.push(candidate.team.name);
+      continue;
+    }
+    if (await candidate.skipUserStandup(targetUserId, userId)) {
+      skippedTeams.push(candidate.team.name);
+    }
+  }
+
+  if (skippedTeams.length === 0 && deniedTeams.length > 0) {
+    await say(`🔒 Only standup facilitators can skip someone else - you aren't one for ${deniedTeams.join(' or ')}.`);
+    return;
+  }
+  if (skippedTeams.length === 0) {
+    await say(`There's no running standup waiting on an update from ${who}.`);
+    return;
+  }
+  await say(`⏭️ Skipped ${who} in today's ${skippedTeams.join(' and ')} standup.`);
+}
+
+/**
+ * Move someone to the end of the queue
+ */
+async function handleLaterCommand({ user }, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'reorder the queue'))) {
+    return;
+  }
+  if (workflow.getStandupMode() === 'dm' && workflow.isRunning()) {
+    await say('DM standups ask everyone at once - there is no queue to reorder.');
+    return;
+  }
+  if (!(await workflow.moveToEnd(user, userId))) {
+    await say(`<@${user}> isn't waiting for their turn in a running standup.`);
+    return;
+  }
+  await say(`↩️ Moved <@${user}> to the end of the queue.`);
+}
+
+/**
+ * Ask someone who was skipped or marked unavailable again
+ */
+async function handleReaskCommand({ user }, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 're-ask someone'))) {
+    return;
+  }
+  if (!(await workflow.reaskDeveloper(user, userId))) {
+    await say(`<@${user}> wasn't skipped in a running standup.`);
+    return;
+  }
+  await say(`🔁 <@${user}> will be asked again.`);
+}
+
+/**
+ * Stop the running standup without a summary
+ */
+async function handleAbortCommand(args, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'abort the standup'))) {
+    return;
+  }
+  if (!(await workflow.abort(userId))) {
+    await say("There's no standup running.");
+    return;
+  }
+  await say(`🛑 Stopped the ${workflow.team.name} standup.`);
+}
+
+/**
+ * Stop the running standup and start a fresh one
+ */
+async function handleRestartCommand(args, { userId, workflow, say }) {
+  if (!(await requireFacilitator(workflow, userId, say, 'restart the standup'))) {
+    return;
+  }
+  if (!(await workflow.abort(userId, "Starting over in a new thread..."))) {
+    await say("There's no standup running - use `start` to start one.");
+    return;
+  }
+  await say(`🔄 Restarting the ${workflow.team.name} standup...`);
+  await workflow.startDailyStandup();
+}
+
+/**
+ * Mark someone on leave: "leave email@example.com 2024-03-20 2024-03-22 vacation"
+ * Leave records are shared across teams
+ */
+async function handleLeaveCommand({ email, start_date: startDate, end_date: endDate, reason }, { say }) {
+  if (endDate < startDate) {
+    await say(`❌ The leave ends (${endDate}) before it starts (${startDate}).`);
+    return;
+  }
+
+  leaveService.addLeave(email, startDate, endDate, reason);
+  await say(`✅ Marked ${email} on leave from ${startDate} to ${endDate}`);
+}
+
+/**
+ * Show the team's recent standups, or one developer's updates in them
+ */
+async function handleHistoryCommand({ user, count }, { workflow, say }) {
+  const { team } = workflow;
+  const standups = historyService.getRecentStandups(team.id, Math.min(count || 5, MAX_HISTORY_STANDUPS));
+
+  if (standups.length === 0) {
+    await say(`No ${team.name} standups recorded yet.`);
+    return;
+  }
+
+  if (user) {
+    let reply = `*📜 <@${user}>'s recent ${team.name} standups:*\n`;
+    for (const standup of standups) {
+      const member = standup.members.find(m => m.userId === user);
+      if (!member) {
+        reply += `• *${formatDate(standup.date)}* - not part of this standup\n`;
+        continue;
+      }
+      if (member.state === 'skipped') {
+        reply += `• *${formatDate(standup.date)}* - skipped\n`;
+        continue;
+      }
+
+      reply += `• *${formatDate(standup.date)}*${member.late ? ' _(late update)_' : ''}\n`;
+      for (const update of member.updates) {
+        const note = update.progressNote || update.newStatus || 'No details';
+        reply += `    ◦ ${update.ticketKey}: ${note}${update.timeline ? ` _(${update.timeline})_` : ''}\n`;
+      }
+      for (const blocker of member.blockers) {
+        reply += `    ◦ 🚧 ${blocker}\n`;
+      }
+      if (member.updates.length === 0 && member.blockers.length === 0) {
+        reply += '    ◦ No updates recorded\n';
+      }
+    }
+    await say(reply);
+    return;
+  }
+
+  let reply = `*📜 Recent ${team.name} standups:*\n`;
+  for (const standup of standups) {
+    const updated = standup.members.filter(m => m.state === 'completed').length;
+    reply += `• *${formatDate(standup.date)}* - ${updated}/${standup.members.length} gave an update\n`;
+    if (standup.summary) {
+      const summary = standup.summary.replace(/\s+/g, ' ').trim();
+      reply += `> ${summary.length > 300 ? `${summary.substring(0, 297)}...` : summary}\n`;
+    }
+  }
+  await say(reply);
+}
+
+/**
+ * Move one day's standup to another time, or undo that: "reschedule tomorrow 11:00", "reschedule 2024-03-20 cancel"
+ * Dates and times are in the team's timezone
+ */
+async function handleRescheduleCommand({ day, time }, { userId, workflow, say }) {
+  const { team, calendar } = workflow;
+  const today = calendar.today();
+
+  let date = day;
+  if (day === 'today') {
+    date = today;
+  } else if (day === 'tomorrow') {
+    date = shiftDate(today, 1);
+  }
+
+  if (date < today) {
+    await say(`❌ ${date} is in the past.`);
+    return;
+  }
+
+  if (standupScheduler.hasRun(workflow, date)) {
+    await say(`❌ The ${team.name} standup on ${date} has already run - it can't be moved now.`);
+    return;
+  }
+
+  if (time === 'cancel') {
+    const removed = standupScheduler.cancelReschedule(workflow, date);
+    await say(removed
+      ? `✅ The ${team.name} standup on ${date} is back on its regular schedule.`
+      : `There's no reschedule for ${date}.`);
+    return;
+  }
+
+  const override = standupScheduler.reschedule(workflow, date, time, userId);
+  if (!override) {
+    await say(`❌ ${date} ${time} has already passed.`);
+    return;
+  }
+
+  let reply = `📅 The ${team.name} standup on ${date} moved to *${time}* (${team.standup.timezone}).`;
+  const holiday = calendar.getHoliday(date);
+  if (holiday) {
+    reply += ` Note: that's a holiday (${holiday}) - it will run anyway.`;
+  }
+  await say(reply);
+}
+
+/**
+ * List a team's open blockers, oldest first
+ */
+async function handleBlockersCommand(args, { workflow, say }) {
+  const { team, calendar } = workflow;
+  const today = calendar.today();
+  const openBlockers = blockerService.getOpenBlockers(team.id);
+
+  if (openBlockers.length === 0) {
+    await say(`🎉 ${team.name} has no open blockers.`);
+    return;
+  }
+
+  let reply = `*🚧 ${team.name} open blockers:*\n`;
+  for (const blocker of openBlockers) {
+    const blockingParty = blocker.blockingPerson || blocker.blockingTicket;
+    reply += `• \`${blocker.id}\` *${blocker.blockedUser.name}*`;
+    reply += blockingParty ? ` blocked on ${blockingParty}` : '';
+    reply += `: ${blocker.description} _(${blockerService.formatAge(blocker, today)})_\n`;
+  }
+  await say(reply);
+}
+
+/**
+ * Resolve a blocker by ID: "resolve BLK-12 API keys arrived"
+ */
+async function handleResolveCommand({ blocker_id: id, notes }, { userId, workflow, say }) {
+  const blocker = blockerService.getBlocker(id);
+  if (!blocker || blocker.teamId !== workflow.team.id) {
+    await say(`❌ No ${workflow.team.name} blocker with ID ${id}.`);
+    return;
+  }
+
+  const resolved = blockerService.resolveBlocker(blocker.id, workflow.calendar.today(), `<@${userId}>`, notes);
+  await say(resolved
+    ? `✅ Resolved ${blocker.id}: ${blocker.description}`
+    : `${blocker.id} is already resolved.`);
+}
+
+/**
+ * List the parking lot items nobody has picked up yet
+ */
+async function handleParkingCommand(args, { workflow, prefix, say }) {
+  const { team } = workflow;
+  const openItems = parkingLotService.getOpenItems(team.id);
+
+  if (openItems.length === 0) {
+    await say(`🅿️ ${team.name}'s parking lot is empty.`);
+    return;
+  }
+
+  let reply = `*🅿️ ${team.name} parking lot:*\n`;
+  for (const item of openItems) {
+    const text = item.text.length > 200 ? `${item.text.substring(0, 199)}…` : item.text;
+    reply += `• \`${item.id}\` *${item.author.name}*: ${text}`;
+    reply += ` _(${formatDate(item.date)}${item.relatedTicket ? `, ${item.relatedTicket}` : ''})_\n`;
+  }
+  reply += `\nUse \`${prefix}parking ticket <item_id>\` or \`${prefix}parking thread <item_id>\` to pick one up.`;
+  await say(reply);
+}
+
+/**
+ * Turn a parking lot item into a JIRA task: "parking ticket PL-4"
+ */
+async function handleParkingTicketCommand({ item_id: itemId }, { userId, workflow, say }) {
+  const { message } = await workflow.createParkingLotTask(itemId, userId);
+  await say(message);
+}
+
+/**
+ * Start a follow-up thread for a parking lot item: "parking thread PL-4"
+ */
+async function handleParkingThreadCommand({ item_id: itemId }, { userId, workflow, say }) {
+  const { message } = await workflow.startParkingLotThread(itemId, userId);
+  await say(message);
+}
+
+/**
+ * Register the standup commands
+ * @param {CommandRegistry} registry - Registry to add them to
+ */
+export function registerStandupCommands(registry = commandRegistry) {
+  registry.register({
+    name: 'start',
+    aliases: ['start standup'],
+    description: 'Start the daily standup',
+    teamScoped: true,
+    handler: handleStartCommand,
+  });
+
+  registry.register({
+    name: 'status',
+    description: 'Check standup completion status',
+    teamScoped: true,
+    handler: handleStatusCommand,
+  });
+
+  registry.register({
+    name: 'checkout',
+    description: "Start the end-of-day check-out (asks what got done of this morning's plan)",
+    teamScoped: true,
+    handler: handleCheckoutCommand,
+  });
+
+  registry.register({
+    name: 'retro',
+    description: 'Start the sprint retro now (collects feedback by DM)',
+    teamScoped: true,
+    handler: handleRetroCommand,
+  });
+
+  registry.register({
+    name: 'retro vote',
+    description: 'Stop collecting retro feedback and open the vote - facilitators only',
+    teamScoped: true,
+    handler: handleRetroVoteCommand,
+  });
+
+  registry.register({
+    name: 'retro close',
+    description: 'Close the retro vote and file the top action items in JIRA - facilitators only',
+    teamScoped: true,
+    handler: handleRetroCloseCommand,
+  });
+
+  registry.register({
+    name: 'retro status',
+    description: 'Show where the sprint retro is',
+    teamScoped: true,
+    handler: handleRetroStatusCommand,
+  });
+
+  registry.register({
+    name: 'skip',
+    description: "Skip yourself (or, as a facilitator, someone else) in today's standup",
+    args: [{ name: 'user', type: 'user', optional: true, label: '@user' }],
+    handler: handleSkipCommand,
+  });
+
+  registry.register({
+    name: 'pause',
+    description: 'Pause the running standup (no prompts or timeouts until resumed) - facilitators only',
+    args: [{ name: 'reason', rest: true, optional: true }],
+    teamScoped: true,
+    handler: handlePauseCommand,
+  });
+
+  registry.register({
+    name: 'resume',
+    description: 'Resume a paused standup - facilitators only',
+    teamScoped: true,
+    handler: handleResumeCommand,
+  });
+
+  registry.register({
+    name: 'later',
+    description: 'Move someone to the end of the queue - facilitators only',
+    args: [{ name: 'user', type: 'user', label: '@user' }],
+    teamScoped: true,
+    handler: handleLaterCommand,
+  });
+
+  registry.register({
+    name: 'reask',
+    description: 'Ask someone who was skipped or unavailable again - facilitators only',
+    args: [{ name: 'user', type: 'user', label: '@user' }],
+    teamScoped: true,
+    handler: handleReaskCommand,
+  });
+
+  registry.register({
+    name: 'abort',
+    description: 'Stop the running standup without a summary - facilitators only',
+    teamScoped: true,
+    handler: handleAbortCommand,
+  });
+
+  registry.register({
+    name: 'restart',
+    description: 'Stop the running standup and start it again from scratch - facilitators only',
+    teamScoped: true,
+    handler: handleRestartCommand,
+  });
+
+  registry.register({
+    name: 'leave',
+    description: 'Mark someone on leave',
+    args: [
+      { name: 'email', type: 'email' },
+      { name: 'start_date', type: 'date' },
+      { name: 'end_date', type: 'date' },
+      { name: 'reason', rest: true, optional: true },
+    ],
+    handler: handleLeaveCommand,
+  });
+
+  registry.register({
+    name: 'history',
+    description: "Show recent standups (or one person's updates in them)",
+    args: [
+      { name: 'user', type: 'user', optional: true, label: '@user' },
+      { name: 'count', type: 'number', optional: true },
+    ],
+    teamScoped: true,
+    handler: handleHistoryCommand,
+  });
+
+  registry.register({
+    name: 'reschedule',
+    description: "Move one day's standup to another time (or `cancel` to undo)",
+    args: [
+      { name: 'day', type: 'day', label: 'today|tomorrow|YYYY-MM-DD' },
+      { name: 'time', type: 'time', choices: ['cancel'], label: 'HH:MM|cancel' },
+    ],
+    teamScoped: true,
+    handler: handleRescheduleCommand,
+  });
+
+  registry.register({
+    name: 'blockers',
+    description: "List the team's open blockers",
+    teamScoped: true,
+    handler: handleBlockersCommand,
+  });
+
+  registry.register({
+    name: 'resolve',
+    description: 'Mark a blocker as resolved (see `blockers` for IDs)',
+    args: [
+      { name: 'blocker_id', type: 'blockerId' },
+      { name: 'notes', rest: true, optional: true },
+    ],
+    teamScoped: true,
+    handler: handleResolveCommand,
+  });
+
+  registry.register({
+    name: 'parking',
+    description: 'List off-topic discussions parked during standup',
+    teamScoped: true,
+    handler: handleParkingCommand,
+  });
+
+  registry.register({
+    name: 'parking ticket',
+    description: 'Turn a parking lot item into a JIRA task - facilitators only',
+    args: [{ name: 'item_id', type: 'parkingId' }],
+    teamScoped: true,
+    handler: handleParkingTicketCommand,
+  });
+
+  registry.register({
+    name: 'parking thread',
+    description: 'Start a follow-up thread for a parking lot item with the people involved - facilitators only',
+    args: [{ name: 'item_id', type: 'parkingId' }],
+    teamScoped: true,
+    handler: handleParkingThreadCommand,
+  });
+
+  registry.register({
+    name: 'help',
+    description: 'Show this help message',
+    handler: async (args, { prefix, say }) => say(registry.getHelp(prefix)),
+  });
+}
@@ -11,10 +11,33 @@ const config = {
   // JIRA Configuration
   // ==================
   jira: {
+    // 'cloud' (Atlassian Cloud) or 'datacenter' (self-hosted Server / Data Center)
+    deployment: process.env.JIRA_DEPLOYMENT || 'cloud',
     baseUrl: process.env.JIRA_BASE_URL || '',
-    email: process.env.JIRA_EMAIL || '',
-    apiToken: process.env.JIRA_API_TOKEN || '',
+    email: process.env.JIRA_EMAIL || '', // Cloud only
+    apiToken: process.env.JIRA_API_TOKEN || '', // Cloud API token, or a Personal Access Token on Data Center
     projectKey: process.env.JIRA_PROJECT_KEY || '',
+    // Agile board whose active sprint is shown in standups (found from the project when not set)
+    boardId: process.env.JIRA_BOARD_ID || null,
+    // Most issues a single JQL search reads (it pages through the results until then)
+    searchMaxResults: parseInt(process.env.JIRA_SEARCH_MAX_RESULTS || '1000', 10),
+    // Latest comments of each ticket included in the LLM context (0 leaves comments out)
+    contextComments: parseInt(process.env.JIRA_CONTEXT_COMMENTS || '3', 10),
+    // Requests per second shared by every team on the same JIRA site, and the burst allowed above it
+    rateLimitPerSecond: parseFloat(process.env.JIRA_RATE_LIMIT_PER_SECOND || '5'),
+    rateLimitBurst: parseInt(process.env.JIRA_RATE_LIMIT_BURST || '10', 10),
+    // Retries for rate-limited (429), 5xx and network failures, with exponential backoff from retryDelayMs
+    maxRetries: parseInt(process.env.JIRA_MAX_RETRIES || '3', 10),
+    retryDelayMs: parseInt(process.env.JIRA_RETRY_DELAY_MS || '1000', 10),
+    // Optional status names per category (comma-separated), for workflows JIRA's status categories don't describe
+    // well (e.g. "Dev Complete" or "QA"). When none are set, each project's statuses are read from JIRA.
+    statuses: {
+      todo: (process.env.JIRA_STATUSES_TODO || '').split(',').map(s => s.trim()).filter(Boolean),
+      inProgress: (process.env.JIRA_STATUSES_IN_PROGRESS || '').split(',').map(s => s.trim()).filter(Boolean),
+      review: (process.env.JIRA_STATUSES_REVIEW || '').split(',').map(s => s.trim()).filter(Boolean),
+      blocked: (process.env.JIRA_STATUSES_BLOCKED || '').split(',').map(s => s.trim()).filter(Boolean),
+      done: (process.env.JIRA_STATUSES_DONE || '').split(',').map(s => s.trim()).filter(Boolean),
+    },
   },
 
   // ===================
@@ -74,13 +97,92 @@ const config = {
       hour: parseInt(process.env.STANDUP_HOUR || '9', 10),   // 9 AM IST
       minute: parseInt(process.env.STANDUP_MINUTE || '30', 10), // 30 minutes
     },
-    // Timezone for scheduling (IST)
-    timezone: 'Asia/Kolkata',
+    // Timezone for scheduling (IST by default)
+    timezone: process.env.STANDUP_TIMEZONE || 'Asia/Kolkata',
+    // Optional cron expression ("minute hour day-of-month month day-of-week") - overrides time/workingDays
+    cron: process.env.STANDUP_CRON || null,
+    // Working days of the week (0 = Sunday ... 6 = Saturday)
+    workingDays: (process.env.STANDUP_WORKING_DAYS || '1,2,3,4,5').split(',').map(d => parseInt(d.trim(), 10)),
+    // Optional holiday calendar (.ics or .json) - standups are skipped and announced on holidays
+    holidaysFile: process.env.STANDUP_HOLIDAYS_FILE || '',
+    // How the standup is run:
+    // - 'thread': developers are asked one by one in a single channel thread
+    // - 'dm': everyone is DMed at once and the summary is posted when all are done or the deadline passes
+    mode: process.env.STANDUP_MODE || 'thread',
+    // Minutes after the start of a DM standup before the summary is posted regardless
+    dmDeadlineMinutes: parseInt(process.env.STANDUP_DM_DEADLINE_MINUTES || '240', 10),
+    // Minutes after the standup starts during which skipped developers can still post a late update
+    lateSubmissionMinutes: parseInt(process.env.STANDUP_LATE_SUBMISSION_MINUTES || '480', 10),
+    // What to do when a stated timeline doesn't match the ticket's JIRA due date:
+    // - 'update': set the JIRA due date to the stated timeline
+    // - 'flag': leave JIRA alone and list the mismatch in the summary
+    // - 'off': ignore due dates
+    dueDatePolicy: process.env.STANDUP_DUE_DATE_POLICY || 'flag',
+    // Whether time spent on tickets is logged to JIRA as worklogs:
+    // - 'infer': log the time a developer mentions for a ticket ("spent 3h on the API")
+    // - 'ask': also ask for it in the standup prompt
+    // - 'off': no worklogs
+    worklogMode: process.env.STANDUP_WORKLOG_MODE || 'off',
     // Maximum back-and-forth conversations per developer before offering 1-1 follow-up
     maxConversations: parseInt(process.env.STANDUP_MAX_CONVERSATIONS || '3', 10),
     // Team members to exclude from standup (non-developers like EM, PM)
     // Comma-separated list of names or emails
     excludedMembers: (process.env.STANDUP_EXCLUDED_MEMBERS || 'Keshav,Sushma').split(',').map(s => s.trim().toLowerCase()),
+    // Slack user IDs or emails allowed to steer a running standup (pause, skip others, abort...) and act on the
+    // parking lot - empty falls back to the escalation contacts, and to everyone when those are empty too
+    facilitators: (process.env.STANDUP_FACILITATORS || '').split(',').map(s => s.trim()).filter(Boolean),
+  },
+
+  // =========================
+  // End-of-day Check-out
+  // =========================
+  checkout: {
+    // DM everyone who completed standup in the afternoon and ask what actually got done
+    enabled: process.env.CHECKOUT_ENABLED === 'true',
+    // Check-out time in the team's standup timezone (on the same working days as the standup)
+    time: {
+      hour: parseInt(process.env.CHECKOUT_HOUR || '17', 10),
+      minute: parseInt(process.env.CHECKOUT_MINUTE || '0', 10),
+    },
+    // Minutes after the check-out starts before the end-of-day delta is posted regardless
+    deadlineMinutes: parseInt(process.env.CHECKOUT_DEADLINE_MINUTES || '120', 10),
+  },
+
+  // =========================
+  // Sprint Retrospective
+  // =========================
+  retro: {
+    // Run an async retro on the last working day of every sprint
+    enabled: process.env.RETRO_ENABLED === 'true',
+    // First day of any sprint (YYYY-MM-DD) - later sprints follow every sprintLengthDays
+    sprintStart: process.env.RETRO_SPRINT_START || '',
+    sprintLengthDays: parseInt(process.env.RETRO_SPRINT_LENGTH_DAYS || '14', 10),
+    // Retro start time in the team's standup timezone
+    time: {
+      hour: parseInt(process.env.RETRO_HOUR || '14', 10),
+      minute: parseInt(process.env.RETRO_MINUTE || '0', 10),
+    },
+    // Minutes for collecting feedback by DM, then for voting in the channel
+    collectMinutes: parseInt(process.env.RETRO_COLLECT_MINUTES || '240', 10),
+    voteMinutes: parseInt(process.env.RETRO_VOTE_MINUTES || '1080', 10),
+    // Number of top-voted action items filed as JIRA tickets
+    actionItems: parseInt(process.env.RETRO_ACTION_ITEMS || '3', 10),
+    // Project the action items are filed in (defaults to JIRA_PROJECT_KEY - needed for teams scoped by JQL)
+    projectKey: process.env.RETRO_PROJECT_KEY || null,
+  },
+
+  // =========================
+  // Blocker Escalation
+  // =========================
+  escalation: {
+    // Slack user IDs or emails to DM when a blocker is escalated (e.g. the EM) - empty disables escalation
+    contacts: (process.env.ESCALATION_CONTACTS || '').split(',').map(s => s.trim()).filter(Boolean),
+    // Escalate blockers still open after this many standups (0 disables this rule)
+    afterStandups: parseInt(process.env.ESCALATION_AFTER_STANDUPS || '2', 10),
+    // Escalate blockers on tickets with these priorities right away
+    priorities: (process.env.ESCALATION_PRIORITIES || 'Highest').split(',').map(s => s.trim()).filter(Boolean),
+    // Also comment on the blocked JIRA ticket when escalating
+    commentOnJira: process.env.ESCALATION_COMMENT_ON_JIRA === 'true',
   },
 
   // ===================
@@ -89,6 +191,9 @@ const config = {
   app: {
     debug: process.env.DEBUG === 'true',
     dataDir: process.env.DATA_DIR || './data',
+    // JSON file describing multiple teams (see teams.example.json)
+    // When it doesn't exist, a single team is built from the settings above
+    teamsConfigPath: process.env.TEAMS_CONFIG_PATH || './teams.json',
   },
 };
 
@@ -101,9 +206,10 @@ export function validateConfig() {
 
   // JIRA validation
   if (!config.jira.baseUrl) errors.push('JIRA_BASE_URL is required');
-  if (!config.jira.email) errors.push('JIRA_EMAIL is required');
+  // Data Center authenticates with the Personal Access Token alone
+  if (!config.jira.email && config.jira.deployment === 'cloud') errors.push('JIRA_EMAIL is required');
   if (!config.jira.apiToken) errors.push('JIRA_API_TOKEN is required');
-  if (!config.jira.projectKey) errors.push('JIRA_PROJECT_KEY is required');
+  // Project key / JQL and standup mode are validated per team (see config/teams.js)
 
   // Slack validation
   if (!config.slack.botToken) errors.push('SLACK_BOT_TOKEN is required');
@@ -0,0 +1,150 @@
+/**
+ * Team registry configuration
+ * Each team gets its own standup channel, JIRA scope, schedule, exclusions, check-out, retro, escalation contacts and LLM settings.
+ *
+ * Teams are read from the JSON file at TEAMS_CONFIG_PATH (see teams.example.json).
+ * Any setting a team leaves out falls back to the global environment configuration,
+ * so tokens and credentials only need to be configured once.
+ * Without a teams file, a single 'default' team is built from the environment.
+ */
+
+import fs from 'fs';
+import config from './index.js';
+
+/**
+ * Build a fully-populated team from a (possibly partial) team definition
+ * @param {Object} definition - Team definition from the teams file
+ * @returns {Object} Normalized team configuration
+ */
+function normalizeTeam(definition) {
+  const standup = definition.standup || {};
+  const checkout = definition.checkout || {};
+  const retro = definition.retro || {};
+  const excludedMembers = standup.excludedMembers
+    ? standup.excludedMembers.map(s => s.trim().toLowerCase())
+    : config.standup.excludedMembers;
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    channel: definition.channel || config.slack.standupChannel,
+    jira: {
+      ...config.jira,
+      // Either a project key or a JQL filter scopes the team's tickets
+      jql: null,
+      ...definition.jira,
+    },
+    standup: {
+      ...config.standup,
+      ...standup,
+      time: {
+        hour: standup.hour ?? config.standup.time.hour,
+        minute: standup.minute ?? config.standup.time.minute,
+      },
+      excludedMembers,
+    },
+    checkout: {
+      ...config.checkout,
+      ...checkout,
+      time: {
+        hour: checkout.hour ?? config.checkout.time.hour,
+        minute: checkout.minute ?? config.checkout.time.minute,
+      },
+    },
+    retro: {
+      ...config.retro,
+      ...retro,
+      time: {
+        hour: retro.hour ?? config.retro.time.hour,
+        minute: retro.minute ?? config.retro.time.minute,
+      },
+    },
+    escalation: {
+      ...config.escalation,
+      ...definition.escalation,
+    },
+    // Only the overrides - LLMService fills in the rest from the provider config
+    llm: definition.llm || {},
+  };
+}
+
+/**
+ * Load all configured teams
+ * @returns {Array} List of normalized team configurations
+ */
+export function loadTeams() {
+  const teamsPath = config.app.teamsConfigPath;
+
+  if (teamsPath && fs.existsSync(teamsPath)) {
+    const definitions = JSON.parse(fs.readFileSync(teamsPath, 'utf8'));
+    const teams = (Array.isArray(definitions) ? definitions : definitions.teams || []).map(normalizeTeam);
+    console.log(`Loaded ${teams.length} teams from ${teamsPath}`);
+    return teams;
+  }
+
+  // Single-team setup straight from the environment
+  return [normalizeTeam({ id: 'default', name: 'Default' })];
+}
+
+/**
+ * Validate team configurations
+ * @param {Array} teams - Normalized teams
+ * @returns {string[]} Array of error messages
+ */
+export function validateTeams(teams) {
+  const errors = [];
+  const seenIds = new Set();
+  const seenChannels = new Set();
+
+  if (teams.length === 0) {
+    errors.push('At least one team must be configured');
+  }
+
+  for (const team of teams) {
+    const label = `Team '${team.id || '(missing id)'}'`;
+
+    if (!team.id) {
+      errors.push('Every team needs an id');
+    } else if (seenIds.has(team.id)) {
+      errors.push(`${label}: duplicate team id`);
+    }
+    seenIds.add(team.id);
+
+    if (!team.channel) {
+      errors.push(`${label}: a standup channel is required`);
+    } else if (seenChannels.has(team.channel)) {
+      errors.push(`${label}: channel ${team.channel} is already used by another team`);
+    }
+    seenChannels.add(team.channel);
+
+    if (!['cloud', 'datacenter'].includes(team.jira.deployment)) {
+      errors.push(`${label}: JIRA deployment must be 'cloud' or 'datacenter' (got '${team.jira.deployment}')`);
+    }
+
+    if (!team.jira.projectKey && !team.jira.jql) {
+      errors.push(`${label}: a JIRA project key or JQL filter is required (JIRA_PROJECT_KEY)`);
+    }
+
+    if (!['thread', 'dm'].includes(team.standup.mode)) {
+      errors.push(`${label}: standup mode must be 'thread' or 'dm' (got '${team.standup.mode}')`);
+    }
+
+    if (!['update', 'flag', 'off'].includes(team.standup.dueDatePolicy)) {
+      errors.push(`${label}: due date policy must be 'update', 'flag' or 'off' (got '${team.standup.dueDatePolicy}')`);
+    }
+
+    if (!['infer', 'ask', 'off'].includes(team.standup.worklogMode)) {
+      errors.push(`${label}: worklog mode must be 'infer', 'ask' or 'off' (got '${team.standup.worklogMode}')`);
+    }
+
+    if (team.retro.enabled && !/^\d{4}-\d{2}-\d{2}$/.test(team.retro.sprintStart)) {
+      errors.push(`${label}: scheduled retros need the first day of a sprint as YYYY-MM-DD (RETRO_SPRINT_START)`);
+    }
+
+    if (team.retro.enabled && !team.jira.projectKey && !team.retro.projectKey) {
+      errors.push(`${label}: teams scoped by a JQL filter need a project for retro action items (RETRO_PROJECT_KEY)`);
+    }
+  }
+
+  return errors;
+}
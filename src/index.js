@@ -5,11 +5,14 @@
  * and AI-powered conversation management using Ollama.
  */
 
-import schedule from 'node-schedule';
 import config, { validateConfig } from './config/index.js';
-import slackService from './services/slackService.js';
+import { validateTeams } from './config/teams.js';
+import slackService, { SLASH_COMMAND } from './services/slackService.js';
 import llmService from './services/llmService.js';
-import standupWorkflow from './workflows/standupWorkflow.js';
+import teamRegistry from './workflows/teamRegistry.js';
+import standupScheduler from './workflows/standupScheduler.js';
+import commandRegistry from './commands/commandRegistry.js';
+import { registerStandupCommands } from './commands/standupCommands.js';
 
 console.log('='.repeat(50));
 console.log('🤖 AI Engineering Manager');
@@ -25,6 +28,7 @@ function setupMessageHandlers() {
     const channel = message.channel;
     const threadTs = message.thread_ts;
     const isMention = message.isMention || false;
+    const isDirectMessage = message.channel_type === 'im';
 
     // Skip empty messages
     if (!text.trim()) {
@@ -33,119 +37,118 @@ function setupMessageHandlers() {
 
     // Handle commands when mentioned
     if (isMention) {
-      await handleCommand(text, userId, channel, say);
+      await commandRegistry.execute(text, {
+        userId,
+        channel,
+        isDirectMessage,
+        // Standup commands act on the team whose standup channel they're issued in
+        workflow: teamRegistry.getWorkflowForChannel(channel),
+        say,
+      });
+      return;
+    }
+
+    // Handle end-of-day check-out replies (a DM the check-out is waiting on)
+    const checkout = teamRegistry.findCheckoutForMessage(userId, channel, isDirectMessage);
+    if (checkout) {
+      const response = await checkout.handleUserMessage(userId, text, channel, isDirectMessage);
+      if (response) {
+        await say({ text: response });
+      }
+      return;
+    }
+
+    // Handle sprint retro feedback (a DM the retro is collecting)
+    const retro = teamRegistry.findRetroForMessage(userId, channel, isDirectMessage);
+    if (retro) {
+      const response = await retro.handleUserMessage(userId, text, channel, isDirectMessage);
+      if (response) {
+        await say({ text: response });
+      }
+      return;
+    }
+
+    // Handle standup responses (routed to the team whose thread or DM this is)
+    const standupWorkflow = teamRegistry.findWorkflowForMessage(userId, channel, threadTs, isDirectMessage);
+    if (!standupWorkflow) {
       return;
     }
 
-    // Handle standup responses
     const response = await standupWorkflow.handleUserMessage(
       userId,
       text,
       channel,
-      threadTs
+      threadTs,
+      isDirectMessage,
+      message.ts
     );
 
     if (response) {
-      await say({ text: response, thread_ts: threadTs || message.ts });
+      // Keep channel replies threaded; DMs read better as a plain conversation
+      const replyThreadTs = threadTs || (isDirectMessage ? undefined : message.ts);
+      await say({ text: response, thread_ts: replyThreadTs });
     }
   });
 }
 
 /**
- * Handle bot commands
+ * Set up handlers for edited and deleted standup replies
  */
-async function handleCommand(text, userId, channel, say) {
-  console.log(`🎯 handleCommand called with text: "${text}"`);
-  const textLower = text.toLowerCase().trim();
-
-  if (textLower.includes('start standup')) {
-    console.log('   -> Matched "start standup" command');
-    await say('🚀 Starting daily standup...');
-    await standupWorkflow.startDailyStandup();
-  } else if (textLower.includes('status')) {
-    const sessions = standupWorkflow.getAllSessions();
-    if (sessions.size === 0) {
-      await say('No active standup session.');
+function setupEditHandlers() {
+  slackService.registerEditHandler(async ({ type, userId, ts, threadTs, text }, say) => {
+    const standupWorkflow = teamRegistry.findWorkflowForEdit(userId, ts);
+    if (!standupWorkflow) {
       return;
     }
 
-    let completed = 0;
-    for (const session of sessions.values()) {
-      if (session.state === 'completed') completed++;
-    }
-    await say(`📊 Standup Status: ${completed}/${sessions.size} completed`);
-  } else if (textLower.includes('help')) {
-    const helpText = `*AI Engineering Manager Commands:*
-• \`start standup\` - Start the daily standup
-• \`status\` - Check standup completion status
-• \`leave <email> <start_date> <end_date> [reason]\` - Mark someone on leave
-• \`help\` - Show this help message
-
-During standup, just reply with your updates and I'll:
-• Track your progress
-• Ask for timelines on To-Do/In-Progress tasks
-• Update JIRA tickets automatically
-• Keep the conversation focused on status updates`;
-    await say(helpText);
-  } else if (textLower.includes('leave')) {
-    // Parse leave command: leave email@example.com 2024-03-20 2024-03-22 vacation
-    const parts = text.split(/\s+/);
-    const leaveIndex = parts.findIndex(p => p.toLowerCase() === 'leave');
-    
-    if (parts.length >= leaveIndex + 4) {
-      try {
-        const email = parts[leaveIndex + 1];
-        const startDate = parts[leaveIndex + 2];
-        const endDate = parts[leaveIndex + 3];
-        const reason = parts.slice(leaveIndex + 4).join(' ') || null;
-
-        // Validate date format
-        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
-          await say('❌ Invalid date format. Use: `leave email@example.com YYYY-MM-DD YYYY-MM-DD [reason]`');
-          return;
-        }
-
-        standupWorkflow.markUserOnLeave(email, startDate, endDate, reason);
-        await say(`✅ Marked ${email} on leave from ${startDate} to ${endDate}`);
-      } catch (error) {
-        await say('❌ Invalid format. Use: `leave email@example.com YYYY-MM-DD YYYY-MM-DD [reason]`');
-      }
-    } else {
-      await say('❌ Invalid format. Use: `leave email@example.com YYYY-MM-DD YYYY-MM-DD [reason]`');
+    const response = await standupWorkflow.handleMessageEdit(userId, ts, type === 'deleted' ? null : text);
+    if (response) {
+      await say({ text: response, thread_ts: threadTs || undefined });
     }
-  } else {
-    await say("I didn't understand that command. Try `help` to see available commands.");
-  }
+  });
 }
 
 /**
- * Schedule the daily standup
+ * Set up the /standup slash command (same commands as mentions, e.g. "/standup status")
  */
-function scheduleStandup() {
-  const { hour, minute } = config.standup.time;
-  const timezone = config.standup.timezone;
-
-  // Create a cron-like schedule rule
-  // node-schedule uses: second minute hour dayOfMonth month dayOfWeek
-  const rule = new schedule.RecurrenceRule();
-  rule.hour = hour;
-  rule.minute = minute;
-  rule.tz = timezone;
-
-  // Schedule for weekdays only (Monday-Friday)
-  rule.dayOfWeek = [1, 2, 3, 4, 5];
-
-  const job = schedule.scheduleJob(rule, async () => {
-    console.log(`⏰ Scheduled standup triggered at ${new Date().toISOString()}`);
-    await standupWorkflow.startDailyStandup();
+function setupCommandHandlers() {
+  registerStandupCommands();
+
+  slackService.registerCommandHandler(async ({ userId, channel, text, isDirectMessage }, respond) => {
+    await commandRegistry.execute(text, {
+      userId,
+      channel,
+      isDirectMessage,
+      workflow: teamRegistry.getWorkflowForChannel(channel),
+      say: respond,
+      prefix: `${SLASH_COMMAND} `,
+    });
   });
+}
 
-  console.log(`📅 Standup scheduled for ${hour}:${minute.toString().padStart(2, '0')} ${timezone} (Mon-Fri)`);
-  
-  // Log next scheduled time
-  if (job.nextInvocation()) {
-    console.log(`   Next standup: ${job.nextInvocation().toISOString()}`);
-  }
+/**
+ * Set up handlers for the standup prompt and summary buttons
+ */
+function setupActionHandlers() {
+  slackService.registerActionHandler(async ({ type, userId, teamId, ticketKey, itemId, selectedDate }) => {
+    const standupWorkflow = teamRegistry.getWorkflow(teamId);
+    if (!standupWorkflow) {
+      console.warn(`Standup action for unknown team '${teamId}'`);
+      return;
+    }
+
+    if (itemId && type.startsWith('untracked_')) {
+      await standupWorkflow.handleUntrackedWorkAction(userId, type.replace(/^untracked_/, ''), itemId);
+      return;
+    }
+
+    if (itemId) {
+      await standupWorkflow.handleParkingLotAction(userId, type.replace(/^parking_/, ''), itemId);
+      return;
+    }
+
+    await standupWorkflow.handleTaskAction(userId, type, ticketKey, selectedDate);
+  });
 }
 
 /**
@@ -154,8 +157,8 @@ function scheduleStandup() {
 async function validateSetup() {
   console.log('\n🔍 Validating setup...');
 
-  // Check configuration
-  const errors = validateConfig();
+  // Check configuration (global settings + every team)
+  const errors = [...validateConfig(), ...validateTeams(teamRegistry.getTeams())];
   if (errors.length > 0) {
     console.error('\n❌ Configuration errors:');
     for (const error of errors) {
@@ -186,6 +189,16 @@ async function validateSetup() {
                     provider === 'openai' ? config.openai.model : config.ollama.model;
   console.log(`   ✅ ${provider.charAt(0).toUpperCase() + provider.slice(1)} model '${modelName}' available`);
 
+  // Teams with their own LLM settings need their own check
+  for (const { team, llm } of teamRegistry.getAllWorkflows()) {
+    if (Object.keys(team.llm).length === 0) continue;
+    if (!(await llm.checkModelAvailable())) {
+      console.error(`\n❌ LLM '${llm.provider} / ${llm.model}' for team ${team.name} is not available`);
+      return false;
+    }
+    console.log(`   ✅ ${team.name}: ${llm.provider} model '${llm.model}' available`);
+  }
+
   console.log('\n✅ Setup validation passed!\n');
   return true;
 }
@@ -195,6 +208,9 @@ async function validateSetup() {
  */
 async function main() {
   try {
+    // Create one standup workflow per team
+    teamRegistry.initialize();
+
     // Validate setup
     const isValid = await validateSetup();
     if (!isValid) {
@@ -205,41 +221,69 @@ async function main() {
     // Initialize Slack service
     slackService.initialize();
 
-    // Set up message handlers
+    // Set up message, edit, slash command and button handlers
     setupMessageHandlers();
+    setupEditHandlers();
+    setupCommandHandlers();
+    setupActionHandlers();
 
-    // Schedule daily standup
-    scheduleStandup();
+    // Schedule daily standups (plus any pending one-off reschedules), end-of-day check-outs and sprint retros
+    standupScheduler.scheduleAll(teamRegistry.getAllWorkflows());
+    standupScheduler.scheduleCheckouts(teamRegistry.getAllCheckouts());
+    standupScheduler.scheduleRetros(teamRegistry.getAllRetros());
 
     // Log configuration
     const llmProvider = config.llm.provider;
     const llmModel = llmProvider === 'anthropic' ? config.anthropic.model :
                      llmProvider === 'openai' ? config.openai.model : config.ollama.model;
     console.log('📋 Configuration:');
-    console.log(`   Standup Channel: ${config.slack.standupChannel}`);
-    console.log(`   Standup Time: ${config.standup.time.hour}:${config.standup.time.minute.toString().padStart(2, '0')} ${config.standup.timezone}`);
     console.log(`   LLM Provider: ${llmProvider}`);
     console.log(`   LLM Model: ${llmModel}`);
-    console.log(`   JIRA Project: ${config.jira.projectKey}`);
+    for (const { team, jira, llm } of teamRegistry.getAllWorkflows()) {
+      console.log(`   Team ${team.name}:`);
+      console.log(`     Standup Channel: ${team.channel}`);
+      const standupTime = team.standup.cron || `${team.standup.time.hour}:${team.standup.time.minute.toString().padStart(2, '0')}`;
+      console.log(`     Standup Time: ${standupTime} ${team.standup.timezone}`);
+      console.log(`     Standup Mode: ${team.standup.mode}`);
+      if (team.checkout.enabled) {
+        console.log(`     Check-out Time: ${team.checkout.time.hour}:${team.checkout.time.minute.toString().padStart(2, '0')} ${team.standup.timezone}`);
+      }
+      if (team.retro.enabled) {
+        console.log(`     Sprint Retro: every ${team.retro.sprintLengthDays} days from ${team.retro.sprintStart} at ${team.retro.time.hour}:${team.retro.time.minute.toString().padStart(2, '0')}`);
+      }
+      console.log(`     JIRA Scope: ${jira.jqlFilter || jira.projectKey}`);
+      console.log(`     LLM: ${llm.provider} / ${llm.model}`);
+      if (team.escalation.contacts.length > 0) {
+        console.log(`     Blocker Escalation: ${team.escalation.contacts.join(', ')}`);
+      }
+    }
 
     // Start Slack bot
     console.log('\n🚀 Starting Slack bot...');
     await slackService.start();
 
+    // Map each team's channel so commands can be scoped to it
+    await teamRegistry.resolveChannels();
+
+    // Resume standups, check-outs and retros that were interrupted by a restart
+    await teamRegistry.restoreAll();
+
   } catch (error) {
     console.error('Fatal error:', error);
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
+// Handle graceful shutdown - snapshot the standup, check-out and retro so they can resume on the next boot
 process.on('SIGINT', () => {
   console.log('\n👋 Shutting down...');
+  teamRegistry.saveAll();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n👋 Shutting down...');
+  teamRegistry.saveAll();
   process.exit(0);
 });
 
@@ -0,0 +1,300 @@
+/**
+ * Blocker Registry Service
+ * Tracks blockers across standups including:
+ * - Who is blocked and who/what is blocking them (a person or a ticket)
+ * - When the blocker was opened and how many standups it has been open for
+ * - Resolution (who confirmed it and how it was resolved)
+ * - Escalation (when and why it was escalated)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+
+export const BlockerStatus = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+};
+
+/**
+ * Number of calendar days between two YYYY-MM-DD dates
+ * @param {string} fromDate - Earlier date
+ * @param {string} toDate - Later date
+ * @returns {number} Days (0 if the same day)
+ */
+function daysBetween(fromDate, toDate) {
+  const from = new Date(`${fromDate}T00:00:00Z`);
+  const to = new Date(`${toDate}T00:00:00Z`);
+  return Math.max(0, Math.round((to - from) / 86400000));
+}
+
+class BlockerService {
+  constructor() {
+    this.storagePath = path.join(config.app.dataDir, 'blockers.json');
+    this.blockers = [];
+    this._loadBlockers();
+  }
+
+  /**
+   * Load blockers from storage
+   */
+  _loadBlockers() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, 'utf8');
+        this.blockers = JSON.parse(data);
+        console.log(`Loaded ${this.blockers.length} blockers`);
+      }
+    } catch (error) {
+      console.error('Failed to load blockers:', error.message);
+      this.blockers = [];
+    }
+  }
+
+  /**
+   * Save blockers to storage
+   */
+  _saveBlockers() {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.storagePath, JSON.stringify(this.blockers, null, 2));
+    } catch (error) {
+      console.error('Failed to save blockers:', error.message);
+    }
+  }
+
+  /**
+   * Generate the next blocker ID (BLK-1, BLK-2, ...)
+   * @returns {string} Blocker ID
+   */
+  _nextId() {
+    const highest = this.blockers.reduce((max, b) => {
+      const number = parseInt(b.id.replace('BLK-', ''), 10);
+      return Number.isNaN(number) ? max : Math.max(max, number);
+    }, 0);
+    return `BLK-${highest + 1}`;
+  }
+
+  /**
+   * Record a blocker, or add to an open one if it's the same blocker reported again
+   * The same developer blocked on the same person or ticket counts as the same blocker
+   * @param {Object} details - Blocker details
+   * @param {string} details.teamId - Team ID
+   * @param {string} details.date - Standup date (YYYY-MM-DD) in the team's timezone
+   * @param {Object} details.blockedUser - { userId, name, email } of the blocked developer
+   * @param {string} details.blockingPerson - Name of the person blocking (optional)
+   * @param {string} details.blockingTicket - Key of the ticket blocking (optional)
+   * @param {Object} details.affectedTicket - { key, priority } of the developer's ticket that is blocked (optional)
+   * @param {string} details.description - Blocker description
+   * @returns {Object} The new or existing blocker
+   */
+  reportBlocker({ teamId, date, blockedUser, blockingPerson = null, blockingTicket = null, affectedTicket = null, description }) {
+    const existing = this.getOpenBlockers(teamId).find(b => {
+      if (b.blockedUser.email !== blockedUser.email) return false;
+      if (blockingPerson && b.blockingPerson?.toLowerCase() === blockingPerson.toLowerCase()) return true;
+      if (blockingTicket && b.blockingTicket === blockingTicket) return true;
+      // A bare "X is blocked" (e.g. from the Blocked button) followed by the details the same day
+      if (affectedTicket && b.affectedTicket?.key === affectedTicket.key && b.openedOn === date &&
+          !b.blockingPerson && !b.blockingTicket) return true;
+      return b.description.toLowerCase() === description.toLowerCase();
+    });
+
+    if (existing) {
+      // Prefer the description that says who or what is blocking
+      if ((blockingPerson || blockingTicket) && !existing.blockingPerson && !existing.blockingTicket) {
+        existing.description = description;
+      }
+      // Fill in details the earlier report didn't have
+      existing.blockingPerson = existing.blockingPerson || blockingPerson;
+      existing.blockingTicket = existing.blockingTicket || blockingTicket;
+      existing.affectedTicket = existing.affectedTicket || affectedTicket;
+      // Once per standup is enough for the history
+      if (existing.lastReportedOn !== date) {
+        existing.history.push({ date, type: 'reported', by: blockedUser.name, note: description });
+      }
+      existing.lastReportedOn = date;
+      this._saveBlockers();
+      return existing;
+    }
+
+    const blocker = {
+      id: this._nextId(),
+      teamId,
+      blockedUser,
+      blockingPerson,
+      blockingTicket,
+      affectedTicket,
+      description,
+      status: BlockerStatus.OPEN,
+      openedOn: date,
+      openedAt: new Date().toISOString(),
+      lastReportedOn: date,
+      // Standup dates the blocker was still open at
+      standupDates: [],
+      resolvedOn: null,
+      resolvedBy: null,
+      resolutionNotes: null,
+      escalatedOn: null,
+      escalationReasons: [],
+      history: [{ date, type: 'opened', by: blockedUser.name, note: description }],
+    };
+
+    this.blockers.push(blocker);
+    this._saveBlockers();
+    console.log(`📝 Opened ${blocker.id}: ${blockedUser.name} blocked on ${blockingPerson || blockingTicket || 'unknown'}: "${description}"`);
+    return blocker;
+  }
+
+  /**
+   * Add a progress note to a blocker without resolving it
+   * @param {string} id - Blocker ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} by - Who gave the update
+   * @param {string} note - The update
+   * @returns {Object|null} Updated blocker
+   */
+  addNote(id, date, by, note) {
+    const blocker = this.getBlocker(id);
+    if (!blocker) {
+      return null;
+    }
+    blocker.history.push({ date, type: 'note', by, note });
+    this._saveBlockers();
+    return blocker;
+  }
+
+  /**
+   * Mark a blocker as resolved
+   * @param {string} id - Blocker ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} resolvedBy - Who confirmed the resolution
+   * @param {string} resolutionNotes - How it was resolved (optional)
+   * @returns {Object|null} Resolved blocker, or null if not found or already resolved
+   */
+  resolveBlocker(id, date, resolvedBy, resolutionNotes = null) {
+    const blocker = this.getBlocker(id);
+    if (!blocker || blocker.status !== BlockerStatus.OPEN) {
+      return null;
+    }
+
+    blocker.status = BlockerStatus.RESOLVED;
+    blocker.resolvedOn = date;
+    blocker.resolvedBy = resolvedBy;
+    blocker.resolutionNotes = resolutionNotes;
+    blocker.history.push({ date, type: 'resolved', by: resolvedBy, note: resolutionNotes });
+    this._saveBlockers();
+    console.log(`✅ Resolved ${id} (confirmed by ${resolvedBy})`);
+    return blocker;
+  }
+
+  /**
+   * Mark a blocker as escalated so it isn't escalated again
+   * @param {string} id - Blocker ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {string[]} reasons - Rules that triggered the escalation
+   * @returns {Object|null} Updated blocker
+   */
+  markEscalated(id, date, reasons) {
+    const blocker = this.getBlocker(id);
+    if (!blocker) {
+      return null;
+    }
+
+    blocker.escalatedOn = date;
+    blocker.escalationReasons = reasons;
+    blocker.history.push({ date, type: 'escalated', by: null, note: reasons.join('; ') });
+    this._saveBlockers();
+    return blocker;
+  }
+
+  /**
+   * Record that a standup ran while these blockers were still open
+   * @param {Array} blockers - Open blockers
+   * @param {string} date - Standup date (YYYY-MM-DD)
+   */
+  recordStandup(blockers, date) {
+    let changed = false;
+    for (const blocker of blockers) {
+      if (!blocker.standupDates.includes(date)) {
+        blocker.standupDates.push(date);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this._saveBlockers();
+    }
+  }
+
+  /**
+   * Get a blocker by ID
+   * @param {string} id - Blocker ID (case-insensitive)
+   * @returns {Object|null} Blocker
+   */
+  getBlocker(id) {
+    const idUpper = (id || '').toUpperCase();
+    return this.blockers.find(b => b.id === idUpper) || null;
+  }
+
+  /**
+   * Get all open blockers for a team
+   * @param {string} teamId - Team ID
+   * @returns {Array} Open blockers, oldest first
+   */
+  getOpenBlockers(teamId) {
+    return this.blockers.filter(b => b.teamId === teamId && b.status === BlockerStatus.OPEN);
+  }
+
+  /**
+   * Get blockers a team resolved on a given date
+   * @param {string} teamId - Team ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array} Resolved blockers
+   */
+  getResolvedOn(teamId, date) {
+    return this.blockers.filter(b =>
+      b.teamId === teamId && b.status === BlockerStatus.RESOLVED && b.resolvedOn === date
+    );
+  }
+
+  /**
+   * Get blockers a team opened between two dates (e.g. during a sprint)
+   * @param {string} teamId - Team ID
+   * @param {string} fromDate - YYYY-MM-DD (inclusive)
+   * @param {string} toDate - YYYY-MM-DD (inclusive)
+   * @returns {Array} Blockers, oldest first
+   */
+  getOpenedBetween(teamId, fromDate, toDate) {
+    return this.blockers.filter(b => b.teamId === teamId && b.openedOn >= fromDate && b.openedOn <= toDate);
+  }
+
+  /**
+   * Get how many days a blocker has been open
+   * @param {Object} blocker - Blocker
+   * @param {string} today - YYYY-MM-DD
+   * @returns {number} Days open
+   */
+  getAgeInDays(blocker, today) {
+    return daysBetween(blocker.openedOn, blocker.resolvedOn || today);
+  }
+
+  /**
+   * Describe a blocker's age, e.g. "open for 4 days"
+   * @param {Object} blocker - Blocker
+   * @param {string} today - YYYY-MM-DD
+   * @returns {string} Age description
+   */
+  formatAge(blocker, today) {
+    const days = this.getAgeInDays(blocker, today);
+    if (days === 0) {
+      return 'opened today';
+    }
+    return `open for ${days} day${days > 1 ? 's' : ''}`;
+  }
+}
+
+export default new BlockerService();
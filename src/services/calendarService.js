@@ -0,0 +1,344 @@
+/**
+ * Calendar Service
+ * Handles the team's working-days calendar including:
+ * - Working days of the week (e.g. Mon-Fri)
+ * - Company holidays loaded from a local ICS or JSON file
+ * - Dates in the team's timezone
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Holiday files are shared between teams, so parse each one only once
+const holidayCache = new Map();
+
+/**
+ * Format a date as YYYY-MM-DD in a given timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone (e.g. 'Asia/Kolkata')
+ * @returns {string} Date string
+ */
+export function formatDateInTimezone(date, timezone) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
+ * @param {string} dateStr - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+export function shiftDate(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse holidays from an iCalendar (ICS) file
+ * Multi-day all-day events are expanded into one entry per day (DTEND is exclusive)
+ * @param {string} content - ICS file content
+ * @returns {Array} List of { date, name }
+ */
+function parseIcsHolidays(content) {
+  // Unfold continuation lines (lines starting with a space or tab belong to the previous line)
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  const toDateStr = value => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  };
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line === 'END:VEVENT' && event) {
+      if (event.start) {
+        let date = event.start;
+        const end = event.end && event.end > event.start ? event.end : shiftDate(event.start, 1);
+        while (date < end) {
+          holidays.push({ date, name: event.name || 'Holiday' });
+          date = shiftDate(date, 1);
+        }
+      }
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      // Property names may carry parameters, e.g. DTSTART;VALUE=DATE:20261225
+      const property = line.substring(0, separator).split(';')[0].toUpperCase();
+      const value = line.substring(separator + 1).trim();
+
+      if (property === 'DTSTART') event.start = toDateStr(value);
+      else if (property === 'DTEND') event.end = toDateStr(value);
+      else if (property === 'SUMMARY') event.name = value.replace(/\\,/g, ',').replace(/\\;/g, ';');
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Parse holidays from a JSON file
+ * Accepts [{ date, name, endDate? }] or { holidays: [...] }
+ * @param {string} content - JSON file content
+ * @returns {Array} List of { date, name }
+ */
+function parseJsonHolidays(content) {
+  const data = JSON.parse(content);
+  const entries = Array.isArray(data) ? data : data.holidays || [];
+  const holidays = [];
+
+  for (const entry of entries) {
+    if (!entry.date) continue;
+    const end = entry.endDate || entry.date;
+    for (let date = entry.date; date <= end; date = shiftDate(date, 1)) {
+      holidays.push({ date, name: entry.name || 'Holiday' });
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Load holidays from an ICS or JSON file (cached per path)
+ * @param {string} filePath - Path to the holidays file
+ * @returns {Map} Map of YYYY-MM-DD -> holiday name
+ */
+function loadHolidays(filePath) {
+  if (!filePath) {
+    return new Map();
+  }
+  if (holidayCache.has(filePath)) {
+    return holidayCache.get(filePath);
+  }
+
+  const holidays = new Map();
+  try {
+    if (fs.existsSync(filePath)) {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const entries = path.extname(filePath).toLowerCase() === '.ics'
+        ? parseIcsHolidays(content)
+        : parseJsonHolidays(content);
+
+      for (const { date, name } of entries) {
+        holidays.set(date, name);
+      }
+      console.log(`Loaded ${holidays.size} holidays from ${filePath}`);
+    } else {
+      console.warn(`Holidays file not found: ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`Failed to load holidays from ${filePath}:`, error.message);
+  }
+
+  holidayCache.set(filePath, holidays);
+  return holidays;
+}
+
+export class CalendarService {
+  /**
+   * @param {Object} options - Calendar settings (usually the team's standup config)
+   * @param {string} options.timezone - IANA timezone
+   * @param {number[]} options.workingDays - Working days of the week (0 = Sunday ... 6 = Saturday)
+   * @param {string} options.holidaysFile - Optional path to an ICS or JSON holidays file
+   */
+  constructor(options) {
+    this.timezone = options.timezone;
+    this.workingDays = options.workingDays || [1, 2, 3, 4, 5];
+    this.holidays = loadHolidays(options.holidaysFile);
+  }
+
+  /**
+   * Get today's date in the calendar's timezone
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {string} YYYY-MM-DD
+   */
+  today(now = new Date()) {
+    return formatDateInTimezone(now, this.timezone);
+  }
+
+  /**
+   * Get the holiday on a given date, if any
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {string|null} Holiday name
+   */
+  getHoliday(dateStr) {
+    return this.holidays.get(dateStr) || null;
+  }
+
+  /**
+   * Check whether a date is one of the team's working days of the week (ignores holidays)
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean} True if a working weekday
+   */
+  isWorkingWeekday(dateStr) {
+    const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    return this.workingDays.includes(dayOfWeek);
+  }
+
+  /**
+   * Check whether a date is a working day (working weekday and not a holiday)
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean} True if a working day
+   */
+  isWorkingDay(dateStr) {
+    return this.isWorkingWeekday(dateStr) && !this.getHoliday(dateStr);
+  }
+
+  /**
+   * Get the next working day strictly after a date
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {string} YYYY-MM-DD
+   */
+  nextWorkingDay(dateStr) {
+    let date = shiftDate(dateStr, 1);
+    // A year is plenty - guards against a calendar with no working days at all
+    for (let i = 0; i < 366 && !this.isWorkingDay(date); i++) {
+      date = shiftDate(date, 1);
+    }
+    return date;
+  }
+
+  /**
+   * Add a number of working days to a date
+   * @param {string} dateStr - YYYY-MM-DD
+   * @param {number} days - Working days to add
+   * @returns {string} YYYY-MM-DD
+   */
+  addWorkingDays(dateStr, days) {
+    let date = dateStr;
+    for (let i = 0; i < days; i++) {
+      date = this.nextWorkingDay(date);
+    }
+    return date;
+  }
+
+  /**
+   * Count the working days between two dates (both included)
+   * @param {string} fromDate - YYYY-MM-DD
+   * @param {string} toDate - YYYY-MM-DD
+   * @returns {number} Working days (0 if toDate is before fromDate)
+   */
+  countWorkingDays(fromDate, toDate) {
+    let count = 0;
+    for (let date = fromDate; date <= toDate; date = shiftDate(date, 1)) {
+      if (this.isWorkingDay(date)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Get the last working day of the week a date falls in (weeks run Monday to Sunday)
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {string} YYYY-MM-DD (the date itself if nothing later that week is a working day)
+   */
+  endOfWeek(dateStr) {
+    const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    const sunday = shiftDate(dateStr, (7 - dayOfWeek) % 7);
+    for (let date = sunday; date > dateStr; date = shiftDate(date, -1)) {
+      if (this.isWorkingDay(date)) {
+        return date;
+      }
+    }
+    return dateStr;
+  }
+
+  /**
+   * Turn a stated timeline into a date, relative to the day it was said and the team's working days
+   * Understands e.g. "today", "EOD", "tomorrow", "day after tomorrow", "by Thursday", "2 more days", "3 working days",
+   * "end of week", "next week", "Wednesday next week", "in a week", "in 2 weeks", "Oct 25", "25th October" and "2024-03-20"
+   * Other dates given relative to a relative day ("the day before Friday", "2 days after next week") aren't guessed
+   * @param {string} timeline - Timeline as the developer said it
+   * @param {string} fromDate - Date it was said on (YYYY-MM-DD)
+   * @returns {string|null} YYYY-MM-DD, or null if it can't be worked out
+   */
+  resolveTimeline(timeline, fromDate) {
+    const text = (timeline || '').toLowerCase().replace(/\ba couple of\b/, '2').replace(/\b(a|one)\b(?= (more )?((working |business )?day|week))/, '1');
+    const numberWords = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+    const toNumber = word => numberWords[word] || parseInt(word, 10);
+    const number = '(\\d+|two|three|four|five|six|seven|eight|nine|ten)';
+
+    const isoDate = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (isoDate) {
+      return isoDate[1];
+    }
+    if (/\bday after (tomorrow|tmrw|tmr)\b/.test(text)) {
+      return this.addWorkingDays(fromDate, 2);
+    }
+    // "the day before Friday", "2 days after the release", "before tomorrow" - not worth guessing
+    const relative = '(today|tonight|tomorrow|tmrw|tmr|yesterday|eod|eow|days?|weeks?|next)';
+    if (new RegExp(`\\b(after|before) (the )?${relative}\\b|\\b${relative} (after|before)\\b`).test(text)) {
+      return null;
+    }
+    if (/\b(tomorrow|tmrw|tmr)\b/.test(text)) {
+      return this.nextWorkingDay(fromDate);
+    }
+    if (/\b(today|tonight|eod|end of (the )?day)\b/.test(text)) {
+      return fromDate;
+    }
+
+    // "2 more days", "3 working days", "in 2 days" - counted in working days
+    const days = text.match(new RegExp(`\\b${number} (?:more )?(?:working |business )?days?\\b`));
+    if (days) {
+      return this.addWorkingDays(fromDate, toNumber(days[1]));
+    }
+
+    // "in 2 weeks", "2 more weeks" - end of that week
+    const weeks = text.match(new RegExp(`\\b${number} (?:more )?weeks?\\b`));
+    if (weeks) {
+      return this.endOfWeek(shiftDate(fromDate, 7 * toNumber(weeks[1])));
+    }
+    const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const weekday = text.match(/\b(sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?\b/);
+    const target = weekday ? weekdays.findIndex(d => d.startsWith(weekday[1].substring(0, 3))) : -1;
+    const current = new Date(`${fromDate}T00:00:00Z`).getUTCDay();
+
+    // "next week" - end of next week, or "Wednesday next week" - that day of next week
+    if (/\bnext week\b/.test(text)) {
+      if (weekday) {
+        const nextMonday = shiftDate(fromDate, 7 - ((current + 6) % 7));
+        return shiftDate(nextMonday, (target + 6) % 7);
+      }
+      return this.endOfWeek(shiftDate(fromDate, 7));
+    }
+    if (/\b(eow|end of (the )?week|this week)\b/.test(text)) {
+      return this.endOfWeek(fromDate);
+    }
+
+    // "by Thursday", "next Monday" - the next such day after today
+    if (weekday) {
+      return shiftDate(fromDate, ((target - current + 7) % 7) || 7);
+    }
+
+    // "Oct 25", "25th October" - this year, or next year if that date has passed
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const month = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+    const monthDay = text.match(new RegExp(`\\b${month} (\\d{1,2})(?:st|nd|rd|th)?\\b`)) ||
+      text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${month}\\b`));
+    if (monthDay) {
+      const [monthName, day] = /^\d/.test(monthDay[1]) ? [monthDay[2], monthDay[1]] : [monthDay[1], monthDay[2]];
+      const monthIndex = months.indexOf(monthName.substring(0, 3));
+      const year = parseInt(fromDate.substring(0, 4), 10);
+      const pad = n => String(n).padStart(2, '0');
+      const dayNumber = parseInt(day, 10);
+      const dateIn = y => `${y}-${pad(monthIndex + 1)}-${pad(dayNumber)}`;
+      const candidateYear = dateIn(year) >= fromDate ? year : year + 1;
+      // Days that don't exist in that month ("Oct 45", "Feb 30") roll over into the next one
+      if (new Date(Date.UTC(candidateYear, monthIndex, dayNumber)).getUTCDate() !== dayNumber) {
+        return null;
+      }
+      return dateIn(candidateYear);
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Commitment Tracking Service
+ * Keeps the timelines and plans developers give at standup, per ticket, so that:
+ * - The next standup can ask whether yesterday's commitment landed
+ * - Slipped commitments are called out in the summary
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+
+export const CommitmentStatus = {
+  PENDING: 'pending',
+  MET: 'met',
+  SLIPPED: 'slipped',
+  // Replaced by a newer commitment for the same ticket before it was due
+  REVISED: 'revised',
+};
+
+class CommitmentService {
+  constructor() {
+    this.storagePath = path.join(config.app.dataDir, 'commitments.json');
+    this.commitments = [];
+    this._loadCommitments();
+  }
+
+  /**
+   * Load commitments from storage
+   */
+  _loadCommitments() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, 'utf8');
+        this.commitments = JSON.parse(data);
+        console.log(`Loaded ${this.commitments.length} commitments`);
+      }
+    } catch (error) {
+      console.error('Failed to load commitments:', error.message);
+      this.commitments = [];
+    }
+  }
+
+  /**
+   * Save commitments to storage
+   */
+  _saveCommitments() {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.storagePath, JSON.stringify(this.commitments, null, 2));
+    } catch (error) {
+      console.error('Failed to save commitments:', error.message);
+    }
+  }
+
+  /**
+   * Record what a developer said about a ticket at standup
+   * A second update for the same ticket on the same day replaces the first;
+   * earlier commitments that aren't due yet are marked as revised
+   * @param {Object} details - Commitment details
+   * @param {string} details.teamId - Team ID
+   * @param {string} details.date - Standup date (YYYY-MM-DD)
+   * @param {string} details.userEmail - Developer's email
+   * @param {string} details.userName - Developer's name
+   * @param {string} details.ticketKey - Ticket key
+   * @param {string} details.ticketSummary - Ticket summary (for prompts)
+   * @param {string} details.timeline - Timeline as stated (e.g. "tomorrow")
+   * @param {string} details.expectedDate - Timeline as a date (YYYY-MM-DD), if it could be worked out
+   * @param {string} details.plan - Progress note / plan
+   * @returns {Object} Commitment
+   */
+  recordCommitment({ teamId, date, userEmail, userName, ticketKey, ticketSummary, timeline, expectedDate, plan }) {
+    const sameTicket = c => c.teamId === teamId && c.userEmail === userEmail && c.ticketKey === ticketKey;
+
+    // Replace today's commitment for this ticket
+    this.commitments = this.commitments.filter(c => !(sameTicket(c) && c.date === date));
+
+    for (const earlier of this.commitments) {
+      if (sameTicket(earlier) && earlier.status === CommitmentStatus.PENDING &&
+          (!earlier.expectedDate || earlier.expectedDate > date)) {
+        earlier.status = CommitmentStatus.REVISED;
+        earlier.checkedOn = date;
+      }
+    }
+
+    const commitment = {
+      teamId,
+      date,
+      userEmail,
+      userName,
+      ticketKey,
+      ticketSummary,
+      timeline: timeline || null,
+      expectedDate: expectedDate || null,
+      plan: plan || null,
+      status: CommitmentStatus.PENDING,
+      checkedOn: null,
+      revisedTimeline: null,
+    };
+
+    this.commitments.push(commitment);
+    this._saveCommitments();
+    return commitment;
+  }
+
+  /**
+   * Get a developer's pending commitments made before a date that were due by then
+   * @param {string} teamId - Team ID
+   * @param {string} userEmail - Developer's email
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array} Due commitments, oldest first
+   */
+  getDueCommitments(teamId, userEmail, date) {
+    return this.commitments.filter(c =>
+      c.teamId === teamId &&
+      c.userEmail === userEmail &&
+      c.status === CommitmentStatus.PENDING &&
+      c.date < date &&
+      c.expectedDate &&
+      c.expectedDate <= date
+    );
+  }
+
+  /**
+   * Get a developer's commitment for a ticket on a date
+   * @param {string} teamId - Team ID
+   * @param {string} userEmail - Developer's email
+   * @param {string} ticketKey - Ticket key
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object|null} Commitment
+   */
+  getCommitment(teamId, userEmail, ticketKey, date) {
+    return this.commitments.find(c =>
+      c.teamId === teamId && c.userEmail === userEmail && c.ticketKey === ticketKey && c.date === date
+    ) || null;
+  }
+
+  /**
+   * Remove a developer's commitment for a ticket on a date (e.g. the standup reply it came from was edited or deleted)
+   * Earlier commitments it had marked as revised are left as they are
+   * @param {string} teamId - Team ID
+   * @param {string} userEmail - Developer's email
+   * @param {string} ticketKey - Ticket key
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean} True if a commitment was removed
+   */
+  removeCommitment(teamId, userEmail, ticketKey, date) {
+    const commitment = this.getCommitment(teamId, userEmail, ticketKey, date);
+    if (!commitment) {
+      return false;
+    }
+
+    this.commitments = this.commitments.filter(c => c !== commitment);
+    this._saveCommitments();
+    return true;
+  }
+
+  /**
+   * Record whether a due commitment landed
+   * @param {Object} commitment - Commitment
+   * @param {boolean} met - True if it landed
+   * @param {string} date - Date it was checked (YYYY-MM-DD)
+   * @param {string} revisedTimeline - New timeline given today, if any
+   */
+  resolveCommitment(commitment, met, date, revisedTimeline = null) {
+    commitment.status = met ? CommitmentStatus.MET : CommitmentStatus.SLIPPED;
+    commitment.checkedOn = date;
+    commitment.revisedTimeline = met ? null : revisedTimeline;
+    this._saveCommitments();
+  }
+
+  /**
+   * Get commitments a team found slipped on a date
+   * @param {string} teamId - Team ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array} Slipped commitments
+   */
+  getSlippedOn(teamId, date) {
+    return this.commitments.filter(c =>
+      c.teamId === teamId && c.status === CommitmentStatus.SLIPPED && c.checkedOn === date
+    );
+  }
+
+  /**
+   * Get commitments a team found slipped between two dates (e.g. during a sprint)
+   * @param {string} teamId - Team ID
+   * @param {string} fromDate - YYYY-MM-DD (inclusive)
+   * @param {string} toDate - YYYY-MM-DD (inclusive)
+   * @returns {Array} Slipped commitments
+   */
+  getSlippedBetween(teamId, fromDate, toDate) {
+    return this.commitments.filter(c =>
+      c.teamId === teamId && c.status === CommitmentStatus.SLIPPED && c.checkedOn >= fromDate && c.checkedOn <= toDate
+    );
+  }
+}
+
+export default new CommitmentService();
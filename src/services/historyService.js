@@ -0,0 +1,108 @@
+/**
+ * Standup History Service
+ * Keeps a record of each team's past standups including:
+ * - The posted summary and when it was posted
+ * - Who gave an update, who was skipped and who needs a follow-up
+ * - Each developer's ticket updates and blockers
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+
+class HistoryService {
+  constructor() {
+    this.storagePath = path.join(config.app.dataDir, 'standup_history.json');
+    this.standups = [];
+    this._loadHistory();
+  }
+
+  /**
+   * Load standup history from storage
+   */
+  _loadHistory() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, 'utf8');
+        this.standups = JSON.parse(data);
+        console.log(`Loaded ${this.standups.length} past standups`);
+      }
+    } catch (error) {
+      console.error('Failed to load standup history:', error.message);
+      this.standups = [];
+    }
+  }
+
+  /**
+   * Save standup history to storage
+   */
+  _saveHistory() {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.storagePath, JSON.stringify(this.standups, null, 2));
+    } catch (error) {
+      console.error('Failed to save standup history:', error.message);
+    }
+  }
+
+  /**
+   * Record a team's standup, replacing an earlier record for the same day
+   * (e.g. when a late update changes the summary)
+   * @param {Object} standup - Standup record
+   * @param {string} standup.teamId - Team ID
+   * @param {string} standup.date - Standup date (YYYY-MM-DD)
+   * @param {string} standup.mode - Standup mode (thread or dm)
+   * @param {string} standup.summary - Summary text
+   * @param {Array} standup.members - [{ userId, name, state, updates, blockers, late }]
+   * @returns {Object} Stored record
+   */
+  recordStandup({ teamId, date, mode, summary, members }) {
+    this.standups = this.standups.filter(s => !(s.teamId === teamId && s.date === date));
+
+    const record = {
+      teamId,
+      date,
+      mode,
+      summary,
+      members,
+      recordedAt: new Date().toISOString(),
+    };
+
+    this.standups.push(record);
+    this._saveHistory();
+    return record;
+  }
+
+  /**
+   * Get a team's most recent standups
+   * @param {string} teamId - Team ID
+   * @param {number} limit - Maximum number of standups
+   * @returns {Array} Standup records, newest first
+   */
+  getRecentStandups(teamId, limit = 5) {
+    return this.standups
+      .filter(s => s.teamId === teamId)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a team's standups between two dates (e.g. during a sprint)
+   * @param {string} teamId - Team ID
+   * @param {string} fromDate - YYYY-MM-DD (inclusive)
+   * @param {string} toDate - YYYY-MM-DD (inclusive)
+   * @returns {Array} Standup records, oldest first
+   */
+  getStandupsBetween(teamId, fromDate, toDate) {
+    return this.standups
+      .filter(s => s.teamId === teamId && s.date >= fromDate && s.date <= toDate)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+export default new HistoryService();
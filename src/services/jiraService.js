@@ -1,45 +1,218 @@
 /**
  * JIRA Integration Service
- * Handles all JIRA API interactions including:
+ * Handles all JIRA API interactions (Jira Cloud, or self-hosted Server / Data Center) including:
  * - Fetching assigned tasks for team members
+ * - Paging through JQL search results (up to a configurable cap)
+ * - Rate limiting shared per JIRA site, and retries with backoff for 429 / 5xx responses
+ * - Idempotency checks so a retried transition, comment or new issue is never applied twice
+ * - Each project's status model (configured, or read from JIRA)
+ * - Multi-step transitions along the shortest path through the project's workflow
+ * - Descriptions and comments read as markdown, and comments written from markdown (ADF or wiki markup)
+ * - Logging work (worklogs) from standup updates
  * - Updating ticket statuses
- * - Getting sprint information
+ * - Getting the active sprint of the team's board (goal, dates and story points) from the Agile API
  */
 
 import axios from 'axios';
 import config from '../config/index.js';
+import { StatusModel, StatusCategory } from './statusService.js';
+import { adfToMarkdown, markdownToAdf, markdownToWiki, wikiToMarkdown } from './richTextService.js';
+
+// Issues requested per search page (the /search/jql maximum when fields are requested)
+const SEARCH_PAGE_SIZE = 100;
+
+// Deployment types
+const JiraDeployment = {
+  CLOUD: 'cloud',           // Atlassian Cloud: email + API token, REST v3, Atlassian Document Format
+  DATA_CENTER: 'datacenter', // Server / Data Center: Personal Access Token, REST v2, wiki markup
+};
+
+// How much of a ticket's description and each recent comment goes into the LLM context
+const CONTEXT_DESCRIPTION_LENGTH = 1000;
+const CONTEXT_COMMENT_LENGTH = 300;
+
+// Ticket keys in free text (e.g. PROJ-123)
+const ISSUE_KEY_PATTERN = /\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+// Most transitions applied to move a ticket to one status
+const MAX_TRANSITION_STEPS = 6;
+
+// Order of status categories through a typical workflow, for picking the next transition
+const WORKFLOW_RANK = {
+  [StatusCategory.TODO]: 0,
+  [StatusCategory.IN_PROGRESS]: 1,
+  [StatusCategory.BLOCKED]: 1,
+  [StatusCategory.REVIEW]: 2,
+  [StatusCategory.DONE]: 3,
+};
+
+// Longest backoff between retries (ms)
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Network errors worth retrying (the request may not have reached JIRA, or the reply was lost)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Token bucket limiting the request rate to one JIRA site
+ * Shared by every JiraService pointing at that site (see getRateLimiter)
+ */
+class TokenBucket {
+  /**
+   * @param {number} ratePerSecond - Tokens added per second
+   * @param {number} capacity - Most tokens held (the burst size)
+   */
+  constructor(ratePerSecond, capacity) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = Math.max(capacity, 1);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+
+    // Nothing is handed out before this time (set from a Retry-After header)
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Wait for a token
+   */
+  async take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await new Promise(resolve => setTimeout(resolve, this.pausedUntil - now));
+        continue;
+      }
+
+      this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+      this.updatedAt = now;
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Hold every request until a time (JIRA asked us to back off)
+   * @param {number} until - Epoch ms
+   */
+  pause(until) {
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+  }
+}
+
+// Rate limiters keyed by JIRA base URL
+const rateLimiters = new Map();
+
+/**
+ * Get the shared rate limiter for a JIRA site
+ * @param {string} baseUrl - Cleaned JIRA base URL
+ * @param {Object} options - JIRA settings (rateLimitPerSecond, rateLimitBurst)
+ * @returns {TokenBucket} Rate limiter
+ */
+function getRateLimiter(baseUrl, options) {
+  if (!rateLimiters.has(baseUrl)) {
+    rateLimiters.set(baseUrl, new TokenBucket(options.rateLimitPerSecond || 5, options.rateLimitBurst || 10));
+  }
+  return rateLimiters.get(baseUrl);
+}
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date)
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in ms, or null if there's no usable header
+ */
+function parseRetryAfter(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+export class JiraService {
+  /**
+   * @param {Object} options - JIRA settings (defaults to the global JIRA config)
+   * @param {string} options.deployment - 'cloud' (default) or 'datacenter'
+   * @param {string} options.baseUrl - JIRA base URL
+   * @param {string} options.email - Account email for API token auth (Cloud only)
+   * @param {string} options.apiToken - API token (Cloud) or Personal Access Token (Data Center)
+   * @param {string} options.projectKey - Project the team works in
+   * @param {string} options.boardId - Agile board whose active sprint is reported (found from the project if not set)
+   * @param {string} options.jql - Optional JQL filter that scopes the team's tickets instead of the project
+   * @param {number} options.searchMaxResults - Most issues a single search reads
+   * @param {number} options.contextComments - Most recent comments of each ticket given to the LLM
+   * @param {number} options.rateLimitPerSecond - Requests per second to the JIRA site (shared with other teams)
+   * @param {number} options.rateLimitBurst - Requests allowed in a burst above that rate
+   * @param {number} options.maxRetries - Retries for 429, 5xx and network failures
+   * @param {number} options.retryDelayMs - First retry delay (doubled on every retry)
+   * @param {Object} options.statuses - Optional status names per category (overrides what JIRA reports)
+   */
+  constructor(options = config.jira) {
+    this.options = options;
+
+    this.isCloud = (options.deployment || JiraDeployment.CLOUD) === JiraDeployment.CLOUD;
 
-class JiraService {
-  constructor() {
     // Clean up the base URL - remove trailing slashes and any /jira/ suffix
-    let baseUrl = config.jira.baseUrl || '';
+    // (on Data Center /jira is often the real context path, so it's kept there)
+    let baseUrl = options.baseUrl || '';
     baseUrl = baseUrl.replace(/\/+$/, ''); // Remove trailing slashes
-    baseUrl = baseUrl.replace(/\/jira\/?$/i, ''); // Remove /jira suffix if present
+    if (this.isCloud) {
+      baseUrl = baseUrl.replace(/\/jira\/?$/i, ''); // Remove /jira suffix if present
+    }
     
     this.baseUrl = baseUrl;
-    this.auth = Buffer.from(`${config.jira.email}:${config.jira.apiToken}`).toString('base64');
-    this.projectKey = config.jira.projectKey;
+    this.apiUrl = `${baseUrl}/rest/api/${this.isCloud ? 3 : 2}`;
+    // Boards and sprints live in the Agile API (the same on Cloud and Data Center)
+    this.agileUrl = `${baseUrl}/rest/agile/1.0`;
+    // Cloud uses Basic email:token auth, Data Center a Personal Access Token as a bearer token
+    this.authHeader = this.isCloud
+      ? `Basic ${Buffer.from(`${options.email}:${options.apiToken}`).toString('base64')}`
+      : `Bearer ${options.apiToken}`;
+    this.projectKey = options.projectKey;
+    this.boardId = options.boardId || null;
+    this.jqlFilter = options.jql || null;
+    this.searchMaxResults = options.searchMaxResults || 1000;
+    this.contextComments = options.contextComments ?? 3;
+
+    // JIRA account IDs looked up by email (see findAccountId)
+    this.accountIds = new Map();
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs || 1000;
+
+    // Configured statuses apply to every project of the team; otherwise each project's are read from JIRA
+    const hasStatusConfig = Object.values(options.statuses || {}).some(names => names?.length > 0);
+    this.statusConfig = hasStatusConfig ? options.statuses : null;
+
+    // Status models keyed by project key, and the one used before a project is loaded (or if it can't be)
+    this.statusModels = new Map();
+    this.defaultStatusModel = this.statusConfig ? StatusModel.fromConfig(this.statusConfig) : StatusModel.default();
+
+    // Workflow graph per project key: status -> statuses reachable in one transition (learned as tickets move)
+    this.transitionGraphs = new Map();
     
     // Create axios instance with proper configuration
     this.client = axios.create({
-      baseURL: `${this.baseUrl}/rest/api/3`,
+      baseURL: this.apiUrl,
       headers: {
-        'Authorization': `Basic ${this.auth}`,
+        'Authorization': this.authHeader,
         'Accept': 'application/json',
         'Content-Type': 'application/json',
         'User-Agent': 'AI-Engineering-Manager/1.0',
       },
       timeout: 30000, // 30 second timeout
     });
+
+    this.rateLimiter = getRateLimiter(this.baseUrl, options);
   }
 
-  /**
-   * Make an authenticated request to JIRA API
-   * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
-   * @param {string} endpoint - API endpoint path (e.g., 'search', 'myself', 'issue/PROJ-123')
-   * @param {object} data - Request body for POST/PUT requests
-   * @param {object} params - Query parameters (will be properly encoded by axios)
-   */
   /**
    * Sleep for a specified number of milliseconds
    * @param {number} ms - Milliseconds to sleep
@@ -49,58 +222,284 @@ class JiraService {
   }
 
   /**
-   * Make an authenticated request to JIRA API with retry logic
+   * Work out how long to wait before retrying a failed request
+   * 429s are always safe to retry (JIRA didn't process the request). 5xx and network failures may
+   * have been applied, so they're only retried when the call is idempotent or can check for itself.
+   * @param {Error} error - Request error
+   * @param {number} attempt - Retries made so far
+   * @param {boolean} canRepeat - True if the request may have gone through and can be sent again
+   * @returns {number|null} Delay in ms, or null if the request shouldn't be retried
+   */
+  _retryDelay(error, attempt, canRepeat) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const statusCode = error.response?.status;
+    const isRateLimited = statusCode === 429;
+    const isTransient = statusCode >= 500 || (!error.response && RETRYABLE_ERROR_CODES.includes(error.code));
+    if (!isRateLimited && !(isTransient && canRepeat)) {
+      return null;
+    }
+
+    const retryAfter = parseRetryAfter(error.response?.headers);
+    if (retryAfter !== null) {
+      // Everyone on this site waits, not just this call; a little jitter spreads the restart
+      this.rateLimiter.pause(Date.now() + retryAfter);
+      return Math.min(retryAfter, MAX_RETRY_DELAY_MS) + Math.floor(Math.random() * 250);
+    }
+
+    // Exponential backoff with jitter: between half and all of the doubled delay
+    const backoff = Math.min(this.retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+    return Math.floor(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Make an authenticated request to JIRA API with rate limiting and retries
    * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
-   * @param {string} endpoint - API endpoint path (e.g., 'search', 'myself', 'issue/PROJ-123')
+   * @param {string} endpoint - API endpoint path (e.g., 'search', 'myself', 'issue/PROJ-123'), or a full URL for
+   *   another of JIRA's APIs (e.g. the Agile API)
    * @param {object} data - Request body for POST/PUT requests
    * @param {object} params - Query parameters (will be properly encoded by axios)
-   * @param {number} retries - Number of retries remaining (default: 3)
-   * @param {number} retryDelay - Initial delay between retries in ms (default: 2000)
+   * @param {Object} options - Retry options
+   * @param {boolean} options.idempotent - Safe to send twice (defaults to true for everything but POST)
+   * @param {Function} options.alreadyApplied - For a POST: async check run before a retry, resolving to the
+   *   result to use if the first attempt went through after all (or null to send it again)
    */
-  async request(method, endpoint, data = null, params = null) {
+  async request(method, endpoint, data = null, params = null, { idempotent = method !== 'POST', alreadyApplied = null } = {}) {
     // Remove leading slash if present to avoid double slashes
     const cleanEndpoint = endpoint.replace(/^\/+/, '');
-    
-    try {
-      const response = await this.client({
-        method,
-        url: cleanEndpoint,
-        data,
-        params,
-      });
-      return response.data;
-    } catch (error) {
-      const statusCode = error.response?.status;
-      const errorData = error.response?.data;
-      const fullUrl = `${this.baseUrl}/rest/api/3/${cleanEndpoint}`;
-      
-      // Check if response is HTML (CloudFront/WAF error)
-      const isCloudFrontBlock = typeof errorData === 'string' && errorData.includes('<!DOCTYPE');
-      
-      // Log the error but don't retry - if it fails once, move on
-      if (isCloudFrontBlock) {
-        console.error(`JIRA API Error [${method} ${cleanEndpoint}]: CloudFront/WAF blocked the request (Status: ${statusCode})`);
-        console.error(`  Full URL attempted: ${fullUrl}`);
-        console.error('This may be due to:');
-        console.error('  1. Invalid or expired API token');
-        console.error('  2. Incorrect JIRA base URL (should be like https://yourcompany.atlassian.net)');
-        console.error('  3. IP being rate-limited or blocked');
-        console.error('  4. Network/firewall issues');
-        throw new Error(`JIRA request blocked by CloudFront (${statusCode}). Check your JIRA_BASE_URL and JIRA_API_TOKEN.`);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.take();
+
+      try {
+        const response = await this.client({
+          method,
+          url: cleanEndpoint,
+          data,
+          params,
+        });
+        return response.data;
+      } catch (error) {
+        const delay = this._retryDelay(error, attempt, idempotent || Boolean(alreadyApplied));
+        if (delay === null) {
+          this._throwRequestError(method, cleanEndpoint, error);
+        }
+
+        const reason = error.response?.status || error.code;
+        console.warn(`JIRA ${method} ${cleanEndpoint} failed (${reason}) - retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await this._sleep(delay);
+
+        // A mutation that failed after reaching JIRA may still have been applied
+        if (alreadyApplied && error.response?.status !== 429) {
+          const applied = await alreadyApplied().catch(() => null);
+          if (applied !== null) {
+            console.log(`  ℹ JIRA ${method} ${cleanEndpoint} had gone through - not sending it again`);
+            return applied;
+          }
+        }
       }
-      
-      // Handle specific JIRA error codes
-      if (statusCode === 401) {
-        console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Authentication failed - check JIRA_EMAIL and JIRA_API_TOKEN`);
-      } else if (statusCode === 403) {
-        console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Access forbidden - check permissions for the API token`);
-      } else if (statusCode === 404) {
-        console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Resource not found - check JIRA_PROJECT_KEY`);
+    }
+  }
+
+  /**
+   * Log a failed JIRA request, explaining the common causes, and throw
+   * @param {string} method - HTTP method
+   * @param {string} cleanEndpoint - API endpoint path
+   * @param {Error} error - Request error
+   * @throws {Error} The request error (or a clearer one for a CloudFront block)
+   */
+  _throwRequestError(method, cleanEndpoint, error) {
+    const statusCode = error.response?.status;
+    const errorData = error.response?.data;
+    const fullUrl = /^https?:\/\//.test(cleanEndpoint) ? cleanEndpoint : `${this.apiUrl}/${cleanEndpoint}`;
+
+    // Check if response is HTML (CloudFront/WAF error)
+    const isCloudFrontBlock = typeof errorData === 'string' && errorData.includes('<!DOCTYPE');
+
+    // A WAF block isn't retried - the same request would be blocked again
+    if (isCloudFrontBlock) {
+      console.error(`JIRA API Error [${method} ${cleanEndpoint}]: CloudFront/WAF blocked the request (Status: ${statusCode})`);
+      console.error(`  Full URL attempted: ${fullUrl}`);
+      console.error('This may be due to:');
+      console.error('  1. Invalid or expired API token');
+      console.error(`  2. Incorrect JIRA base URL (should be like ${this.isCloud ? 'https://yourcompany.atlassian.net' : 'https://jira.yourcompany.com'})`);
+      console.error('  3. IP being rate-limited or blocked');
+      console.error('  4. Network/firewall issues');
+      throw new Error(`JIRA request blocked by CloudFront (${statusCode}). Check your JIRA_BASE_URL and JIRA_API_TOKEN.`);
+    }
+
+    // Handle specific JIRA error codes
+    if (statusCode === 401) {
+      console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Authentication failed - check ${this.isCloud ? 'JIRA_EMAIL and JIRA_API_TOKEN' : 'the Personal Access Token in JIRA_API_TOKEN'}`);
+    } else if (statusCode === 403) {
+      console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Access forbidden - check permissions for the API token`);
+    } else if (statusCode === 404) {
+      console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Resource not found - check JIRA_PROJECT_KEY`);
+    } else if (statusCode === 429) {
+      console.error(`JIRA API Error [${method} ${cleanEndpoint}]: Still rate limited after ${this.maxRetries} retries`);
+    } else {
+      console.error(`JIRA API Error [${method} ${cleanEndpoint}]:`, errorData || error.message);
+    }
+    throw error;
+  }
+
+  /**
+   * JQL clause selecting the team's tickets - the configured filter, or the whole project
+   * @returns {string} JQL clause
+   */
+  _scopeJql() {
+    return this.jqlFilter ? `(${this.jqlFilter})` : `project = "${this.projectKey}"`;
+  }
+
+  /**
+   * Search issues with JQL, following the result pages until they run out or the cap is hit
+   * Cloud uses the /search/jql endpoint (POST, paged by nextPageToken) - the old /search endpoint has been
+   * deprecated there (see https://developer.atlassian.com/changelog/#CHANGE-2046). Data Center only has
+   * /search (POST, paged by startAt).
+   * @param {string} jql - JQL query
+   * @param {string[]} fields - Fields to return for each issue
+   * @param {number} maxResults - Most issues to read (defaults to the configured cap)
+   * @yields {Object} Raw JIRA issue
+   */
+  async *searchIssues(jql, fields, maxResults = this.searchMaxResults) {
+    let nextPageToken = null;
+    let count = 0;
+    let hasMore;
+
+    do {
+      const pageSize = Math.min(SEARCH_PAGE_SIZE, maxResults - count);
+      const result = this.isCloud
+        ? await this.request('POST', 'search/jql', {
+          jql,
+          fields,
+          maxResults: pageSize,
+          ...(nextPageToken && { nextPageToken }),
+        }, null, { idempotent: true })
+        : await this.request('POST', 'search', { jql, fields, startAt: count, maxResults: pageSize }, null, { idempotent: true });
+
+      const issues = result.issues || [];
+      for (const issue of issues) {
+        yield issue;
+        count++;
+      }
+
+      if (this.isCloud) {
+        nextPageToken = result.isLast ? null : result.nextPageToken || null;
+        hasMore = Boolean(nextPageToken);
       } else {
-        console.error(`JIRA API Error [${method} ${cleanEndpoint}]:`, errorData || error.message);
+        hasMore = issues.length > 0 && (result.startAt || 0) + issues.length < (result.total || 0);
+      }
+
+      if (hasMore && count >= maxResults) {
+        console.warn(`⚠️ JIRA search stopped at ${maxResults} issues, more match "${jql}" - raise JIRA_SEARCH_MAX_RESULTS to read them all`);
+        return;
       }
-      throw error;
+    } while (hasMore);
+  }
+
+  /**
+   * Build a rich-text field (description, comment) from markdown (see richTextService for the dialect)
+   * Cloud (REST v3) takes Atlassian Document Format, Data Center (REST v2) wiki markup
+   * @param {string} markdown - Markdown, or plain text with one paragraph per line
+   * @returns {Object|string} ADF document or wiki markup
+   */
+  _toRichText(markdown) {
+    return this.isCloud ? markdownToAdf(markdown) : markdownToWiki(markdown);
+  }
+
+  /**
+   * Read a rich-text field (description, comment) as markdown, one block per line
+   * @param {Object|string} value - ADF document (Cloud) or wiki markup (Data Center)
+   * @returns {string|null} Markdown, or null if empty
+   */
+  _fromRichText(value) {
+    if (!value) return null;
+    const markdown = typeof value === 'string' ? wikiToMarkdown(value) : adfToMarkdown(value);
+    return markdown || null;
+  }
+
+  /**
+   * Turn the ticket keys in some text into bold links to the tickets, for comments
+   * @param {string} text - Text (markdown)
+   * @returns {string} Markdown
+   */
+  linkIssueKeys(text) {
+    return text.replace(ISSUE_KEY_PATTERN, key => `**[${key}](${this.baseUrl}/browse/${key})**`);
+  }
+
+  /**
+   * Build a markdown mention of a JIRA user (a plain bold name when their account isn't known)
+   * @param {string} name - Display name
+   * @param {string} accountId - Account ID (Cloud) or username (Data Center)
+   * @returns {string} Markdown
+   */
+  mentionUser(name, accountId) {
+    return accountId ? `@[${name}](${accountId})` : `**${name}**`;
+  }
+
+  /**
+   * Search issues with JQL and collect every page into one list
+   * @param {string} jql - JQL query
+   * @param {string[]} fields - Fields to return for each issue
+   * @param {number} maxResults - Most issues to read (defaults to the configured cap)
+   * @returns {Promise<Array>} Raw JIRA issues
+   */
+  async searchAll(jql, fields, maxResults = this.searchMaxResults) {
+    const issues = [];
+    for await (const issue of this.searchIssues(jql, fields, maxResults)) {
+      issues.push(issue);
     }
+    return issues;
+  }
+
+  /**
+   * Get the project key of a ticket (e.g. "PAY" for "PAY-123")
+   * @param {string} ticketKey - The ticket key
+   * @returns {string} Project key
+   */
+  projectKeyOf(ticketKey) {
+    return ticketKey.split('-')[0];
+  }
+
+  /**
+   * Load a project's status model - the configured statuses, or the statuses JIRA reports for the project
+   * Falls back to the default To Do / In Progress / In Review / Blocked / Done model if JIRA can't be read
+   * @param {string} projectKey - Project key
+   * @returns {Promise<StatusModel>} Status model
+   */
+  async loadStatusModel(projectKey) {
+    if (this.statusModels.has(projectKey)) {
+      return this.statusModels.get(projectKey);
+    }
+
+    let model;
+    if (this.statusConfig) {
+      model = this.defaultStatusModel;
+    } else {
+      try {
+        // One entry per issue type, each with that type's statuses
+        const issueTypes = await this.request('GET', `project/${projectKey}/statuses`);
+        model = StatusModel.fromJira(issueTypes.flatMap(type => type.statuses || []));
+        console.log(`Loaded ${model.statuses.length} statuses for ${projectKey}: ${model.statuses.map(s => `${s.name} (${s.category})`).join(', ')}`);
+      } catch (error) {
+        console.warn(`Could not read the statuses of ${projectKey}, assuming the default workflow:`, error.message);
+        model = this.defaultStatusModel;
+      }
+    }
+
+    this.statusModels.set(projectKey, model);
+    return model;
+  }
+
+  /**
+   * Get the status model of a ticket's (or a project's) project, as loaded by loadStatusModel
+   * @param {string} key - Ticket key or project key
+   * @returns {StatusModel} Status model (the configured or default one if the project hasn't been loaded)
+   */
+  getStatusModel(key) {
+    return this.statusModels.get(this.projectKeyOf(key)) || this.defaultStatusModel;
   }
 
   /**
@@ -111,7 +510,7 @@ class JiraService {
    */
   async getUserTasks(email, statuses = null) {
     const jqlParts = [
-      `project = "${this.projectKey}"`,
+      this._scopeJql(),
       `assignee = "${email}"`,
       // Exclude subtasks - only get Tasks, Bugs, Stories (main issue types)
       `issuetype NOT IN (Sub-task, "Sub-task")`,
@@ -120,9 +519,12 @@ class JiraService {
     if (statuses && statuses.length > 0) {
       const statusStr = statuses.map(s => `"${s}"`).join(', ');
       jqlParts.push(`status IN (${statusStr})`);
+    } else if (this.statusConfig?.done?.length > 0) {
+      // Default: exclude the team's done statuses
+      jqlParts.push(`status NOT IN (${this.statusConfig.done.map(s => `"${s}"`).join(', ')})`);
     } else {
-      // Default: exclude Done tickets
-      jqlParts.push('status != "Done"');
+      // Default: exclude every status JIRA counts as done (Done, Closed, Resolved...)
+      jqlParts.push('statusCategory != Done');
     }
 
     const jql = jqlParts.join(' AND ') + ' ORDER BY priority DESC, updated DESC';
@@ -130,37 +532,45 @@ class JiraService {
     console.log(`Fetching JIRA tasks for ${email}`);
 
     try {
-      // Use the new /search/jql endpoint (POST) - the old /search endpoint has been deprecated
-      // See: https://developer.atlassian.com/changelog/#CHANGE-2046
-      const result = await this.request('POST', 'search/jql', {
+      const issues = await this.searchAll(
         jql,
-        fields: ['summary', 'description', 'status', 'assignee', 'priority', 'issuetype', 'customfield_10016', 'duedate'],
-        maxResults: 50,
-      });
+        ['summary', 'description', 'comment', 'status', 'assignee', 'priority', 'issuetype', 'customfield_10016', 'duedate']
+      );
 
-      const tickets = (result.issues || []).map(issue => {
+      const tickets = [];
+      for (const issue of issues) {
         const fields = issue.fields || {};
         const assignee = fields.assignee || {};
         
-        // Extract description text
-        let description = null;
-        if (fields.description?.content?.[0]?.content?.[0]?.text) {
-          description = fields.description.content[0].content[0].text;
-        }
+        // Description and latest comments as markdown (ADF on Cloud, wiki markup on Data Center)
+        const description = this._fromRichText(fields.description);
+        const comments = this.contextComments > 0
+          ? (fields.comment?.comments || []).slice(-this.contextComments).map(c => ({
+            author: c.author?.displayName || null,
+            created: c.created || null,
+            body: this._fromRichText(c.body),
+          })).filter(c => c.body)
+          : [];
 
-        return {
+        const status = fields.status?.name || 'Unknown';
+        const statusModel = await this.loadStatusModel(this.projectKeyOf(issue.key));
+        tickets.push({
           key: issue.key,
           summary: fields.summary || '',
           description,
-          status: fields.status?.name || 'Unknown',
+          comments,
+          status,
+          statusCategory: statusModel.categorize(status, fields.status?.statusCategory?.key),
           assignee: assignee.displayName || null,
           assigneeEmail: assignee.emailAddress || null,
+          // Account ID on Cloud, username on Data Center - what a comment mention needs
+          assigneeAccountId: assignee.accountId || assignee.name || null,
           storyPoints: fields.customfield_10016 || null,
           priority: fields.priority?.name || 'Medium',
           issueType: fields.issuetype?.name || 'Task',
           dueDate: fields.duedate || null,
-        };
-      });
+        });
+      }
 
       console.log(`Found ${tickets.length} tickets for ${email}`);
       return tickets;
@@ -171,10 +581,179 @@ class JiraService {
   }
 
   /**
-   * Update the status of a JIRA ticket
+   * Get the transitions available from a ticket's current status, with the fields each one asks for
+   * @param {string} ticketKey - The ticket key
+   * @returns {Promise<Object>} { transitions } or { error: { success: false, message, errorType } } when JIRA refuses
+   */
+  async _getTransitions(ticketKey) {
+    try {
+      const result = await this.request('GET', `issue/${ticketKey}/transitions`, null, { expand: 'transitions.fields' });
+      return { transitions: result.transitions || [] };
+    } catch (transitionError) {
+      // Enhanced error handling for transitions endpoint
+      const statusCode = transitionError.response?.status;
+      const errorData = transitionError.response?.data;
+
+      if (statusCode === 403) {
+        // Check if it's a CloudFront/WAF block
+        const isCloudFrontBlock = typeof errorData === 'string' && errorData.includes('<!DOCTYPE');
+
+        if (isCloudFrontBlock) {
+          console.error(`  ❌ CloudFront/WAF blocked the transitions request for ${ticketKey}`);
+          console.error('  This may be an org-level restriction on the /transitions endpoint.');
+          console.error('  Troubleshooting steps:');
+          console.error('    1. Test with curl: curl -u "email:token" https://cleartaxtech.atlassian.net/rest/api/3/issue/PRODUCTX-1992/transitions');
+          console.error('    2. Check if your IP is allowed in Jira admin settings');
+          console.error('    3. Verify the API token has "Transition issues" permission');
+          return {
+            error: {
+              success: false,
+              message: `CloudFront/WAF blocked transitions request for ${ticketKey}. This may be an org-level restriction.`,
+              errorType: 'cloudfront_block'
+            }
+          };
+        }
+
+        console.error(`  ❌ 403 Forbidden when fetching transitions for ${ticketKey}`);
+        console.error('  Your API token may not have permission to transition this issue.');
+        return {
+          error: {
+            success: false,
+            message: `Permission denied to transition ${ticketKey}. Check API token permissions.`,
+            errorType: 'permission_denied'
+          }
+        };
+      }
+
+      // Re-throw for other errors
+      throw transitionError;
+    }
+  }
+
+  /**
+   * Remember the transitions seen from a status, building up the project's workflow graph
+   * (JIRA only lists the transitions out of an issue's current status)
+   * @param {string} projectKey - Project key
+   * @param {string} fromStatus - Status the transitions start from
+   * @param {Array} transitions - Transitions from JIRA
+   */
+  _recordTransitions(projectKey, fromStatus, transitions) {
+    if (!fromStatus) return;
+    if (!this.transitionGraphs.has(projectKey)) {
+      this.transitionGraphs.set(projectKey, new Map());
+    }
+    const targets = new Map(transitions.filter(t => t.to?.name).map(t => [t.to.name.toLowerCase(), t.to.name]));
+    this.transitionGraphs.get(projectKey).set(fromStatus.toLowerCase(), targets);
+  }
+
+  /**
+   * Find the shortest known path between two statuses (breadth-first over the transitions seen so far)
+   * @param {string} projectKey - Project key
+   * @param {string} fromStatus - Start status
+   * @param {string} toStatus - Target status
+   * @returns {string[]|null} Statuses after the start, ending with the target, or null if no path is known
+   */
+  _findKnownPath(projectKey, fromStatus, toStatus) {
+    const graph = this.transitionGraphs.get(projectKey);
+    if (!graph || !fromStatus) return null;
+
+    const target = toStatus.toLowerCase();
+    const previous = new Map([[fromStatus.toLowerCase(), null]]);
+    const queue = [fromStatus.toLowerCase()];
+
+    while (queue.length > 0) {
+      const status = queue.shift();
+      if (status === target) {
+        const path = [];
+        for (let step = status; previous.get(step) !== null; step = previous.get(step)) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      for (const next of (graph.get(status) || new Map()).keys()) {
+        if (!previous.has(next)) {
+          previous.set(next, status);
+          queue.push(next);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the next transition towards a target status
+   * Takes the direct transition if there is one, else the first hop of the shortest known path,
+   * else the transition whose status is closest to the target in workflow order (to do -> in progress ->
+   * review -> done). Never goes back to a status already passed through, or further from the target.
+   * @param {string} ticketKey - The ticket key
+   * @param {string} currentStatus - Current status (null if unknown)
+   * @param {string} targetStatus - Target status
+   * @param {Array} transitions - Transitions available now
+   * @param {Set} visited - Statuses (lowercase) already passed through
+   * @returns {Object|null} Transition, or null if none gets closer
+   */
+  _chooseTransition(ticketKey, currentStatus, targetStatus, transitions, visited) {
+    const target = targetStatus.toLowerCase();
+    const direct = transitions.find(t => t.to?.name?.toLowerCase() === target);
+    if (direct) return direct;
+
+    const candidates = transitions.filter(t => t.to?.name && !visited.has(t.to.name.toLowerCase()));
+
+    const knownPath = this._findKnownPath(this.projectKeyOf(ticketKey), currentStatus, targetStatus);
+    const firstHop = knownPath && candidates.find(t => t.to.name.toLowerCase() === knownPath[0]);
+    if (firstHop) return firstHop;
+
+    const statusModel = this.getStatusModel(ticketKey);
+    const rankOf = status => WORKFLOW_RANK[statusModel.categorize(status)];
+    const targetRank = rankOf(targetStatus);
+    const currentRank = rankOf(currentStatus);
+    if (targetRank === undefined || currentRank === undefined) return null;
+
+    const distance = currentRank - targetRank;
+    // A blocked status is never a stepping stone to anything else
+    const isDetour = status => statusModel.categorize(status) === StatusCategory.BLOCKED &&
+      statusModel.categorize(targetStatus) !== StatusCategory.BLOCKED;
+    const closer = candidates
+      .map(t => ({ transition: t, rank: rankOf(t.to.name) }))
+      .filter(({ transition, rank }) => rank !== undefined && !isDetour(transition.to.name) &&
+        (Math.abs(rank - targetRank) < Math.abs(distance) || (distance === 0 && rank === targetRank)))
+      .sort((a, b) => Math.abs(a.rank - targetRank) - Math.abs(b.rank - targetRank));
+    return closer[0]?.transition || null;
+  }
+
+  /**
+   * Fill the fields a transition's screen requires
+   * Only fields JIRA can't default and we can answer are filled (the resolution); anything else is reported
+   * @param {Object} transition - Transition from JIRA (with fields expanded)
+   * @returns {Object} { fields, missing } - fields to send and names of required fields we can't fill
+   */
+  _fillTransitionFields(transition) {
+    const fields = {};
+    const missing = [];
+
+    for (const [fieldId, field] of Object.entries(transition.fields || {})) {
+      if (!field.required || field.hasDefaultValue) continue;
+
+      if (fieldId === 'resolution' && field.allowedValues?.length > 0) {
+        const resolution = field.allowedValues.find(v => /^(done|fixed)$/i.test(v.name)) || field.allowedValues[0];
+        fields.resolution = { id: resolution.id };
+      } else {
+        missing.push(field.name || fieldId);
+      }
+    }
+
+    return { fields, missing };
+  }
+
+  /**
+   * Update the status of a JIRA ticket, stepping through the workflow when the target isn't one transition away
+   * (e.g. To Do -> In Progress -> In Review -> Done). Required resolutions are filled in; a step whose screen
+   * needs other fields stops the walk there.
    * @param {string} ticketKey - The ticket key (e.g., "PROJ-123")
    * @param {string} newStatus - The new status name
-   * @returns {Promise<{success: boolean, message: string}>} Result object
+   * @returns {Promise<{success: boolean, message: string, previousStatus: string, path: string[]}>} Result object
+   *   (previousStatus is the status before the first transition, when it could be read; path lists every status
+   *   passed through, starting with that one - on failure it ends where the ticket was left)
    */
   async updateTicketStatus(ticketKey, newStatus) {
     try {
@@ -200,95 +779,86 @@ class JiraService {
         console.warn(`  Could not fetch current status: ${statusError.message}`);
         // Continue anyway - we'll try to get transitions
       }
-      
-      // Add a small delay before making the request to avoid rate limiting
-      await this._sleep(500);
-      
-      // Get available transitions
-      console.log(`  Fetching available transitions for ${ticketKey}...`);
-      let transitionsResult;
-      try {
-        transitionsResult = await this.request('GET', `issue/${ticketKey}/transitions`);
-      } catch (transitionError) {
-        // Enhanced error handling for transitions endpoint
-        const statusCode = transitionError.response?.status;
-        const errorData = transitionError.response?.data;
-        
-        if (statusCode === 403) {
-          // Check if it's a CloudFront/WAF block
-          const isCloudFrontBlock = typeof errorData === 'string' && errorData.includes('<!DOCTYPE');
-          
-          if (isCloudFrontBlock) {
-            console.error(`  ❌ CloudFront/WAF blocked the transitions request for ${ticketKey}`);
-            console.error('  This may be an org-level restriction on the /transitions endpoint.');
-            console.error('  Troubleshooting steps:');
-            console.error('    1. Test with curl: curl -u "email:token" https://cleartaxtech.atlassian.net/rest/api/3/issue/PRODUCTX-1992/transitions');
-            console.error('    2. Check if your IP is allowed in Jira admin settings');
-            console.error('    3. Verify the API token has "Transition issues" permission');
-            return {
-              success: false,
-              message: `CloudFront/WAF blocked transitions request for ${ticketKey}. This may be an org-level restriction.`,
-              errorType: 'cloudfront_block'
-            };
+
+      const previousStatus = currentStatus;
+      const path = currentStatus ? [currentStatus] : [];
+      const visited = new Set(currentStatus ? [currentStatus.toLowerCase()] : []);
+      // Where the walk stopped and why, when it didn't reach the target
+      const stopped = message => {
+        const reached = path.length > 1 ? ` Stopped at '${currentStatus}' (${path.join(' -> ')}).` : '';
+        return { success: false, message: `${message}${reached}`, previousStatus, path };
+      };
+
+      for (let step = 0; step < MAX_TRANSITION_STEPS; step++) {
+        // Get available transitions
+        console.log(`  Fetching available transitions for ${ticketKey}...`);
+        const { transitions, error } = await this._getTransitions(ticketKey);
+        if (error) {
+          return path.length > 1 ? { ...stopped(error.message), errorType: error.errorType } : error;
+        }
+        console.log(`  Found ${transitions.length} available transitions`);
+        this._recordTransitions(this.projectKeyOf(ticketKey), currentStatus, transitions);
+
+        const transition = this._chooseTransition(ticketKey, currentStatus, newStatus, transitions, visited);
+        if (!transition) {
+          // Log available transitions for debugging
+          const availableTransitions = transitions
+            .map(t => `"${t.name}" -> "${t.to?.name}"`)
+            .join(', ');
+
+          console.warn(`  ⚠ No transition path found to status '${newStatus}' on ticket ${ticketKey}`);
+          console.warn(`  Current status: ${currentStatus || 'unknown'}`);
+          console.warn(`  Available transitions: ${availableTransitions || 'none'}`);
+
+          // Provide helpful message
+          let message = `Cannot transition ${ticketKey} to '${newStatus}'.`;
+          if (currentStatus) {
+            message += ` Current status is '${currentStatus}'.`;
+          }
+          if (transitions.length > 0) {
+            const targetStatuses = transitions.map(t => t.to?.name).filter(Boolean);
+            message += ` Available target statuses: ${targetStatuses.join(', ')}.`;
           } else {
-            console.error(`  ❌ 403 Forbidden when fetching transitions for ${ticketKey}`);
-            console.error('  Your API token may not have permission to transition this issue.');
-            return {
-              success: false,
-              message: `Permission denied to transition ${ticketKey}. Check API token permissions.`,
-              errorType: 'permission_denied'
-            };
+            message += ' No transitions available from current status.';
           }
-        }
-        
-        // Re-throw for other errors
-        throw transitionError;
-      }
-      
-      const transitions = transitionsResult.transitions || [];
-      console.log(`  Found ${transitions.length} available transitions`);
-      
-      // Find the transition that matches the desired status
-      const transition = transitions.find(
-        t => t.to?.name?.toLowerCase() === newStatus.toLowerCase()
-      );
 
-      if (!transition) {
-        // Log available transitions for debugging
-        const availableTransitions = transitions
-          .map(t => `"${t.name}" -> "${t.to?.name}"`)
-          .join(', ');
-        
-        console.warn(`  ⚠ No transition found to status '${newStatus}' on ticket ${ticketKey}`);
-        console.warn(`  Current status: ${currentStatus || 'unknown'}`);
-        console.warn(`  Available transitions: ${availableTransitions || 'none'}`);
-        
-        // Provide helpful message
-        let message = `Cannot transition ${ticketKey} to '${newStatus}'.`;
-        if (currentStatus) {
-          message += ` Current status is '${currentStatus}'.`;
+          return { ...stopped(message), errorType: 'no_valid_transition' };
         }
-        if (transitions.length > 0) {
-          const targetStatuses = transitions.map(t => t.to?.name).filter(Boolean);
-          message += ` Available target statuses: ${targetStatuses.join(', ')}.`;
-        } else {
-          message += ' No transitions available from current status.';
+
+        const { fields, missing } = this._fillTransitionFields(transition);
+        if (missing.length > 0) {
+          console.warn(`  ⚠ Transition "${transition.name}" on ${ticketKey} requires ${missing.join(', ')}`);
+          return {
+            ...stopped(`The "${transition.name}" transition of ${ticketKey} requires ${missing.join(', ')} - please move it in JIRA.`),
+            errorType: 'required_fields'
+          };
         }
-        
-        return { success: false, message, errorType: 'no_valid_transition' };
-      }
 
-      // Add a small delay between GET and POST to avoid rate limiting
-      await this._sleep(300);
+        // Perform the transition (a retry first checks whether the ticket already moved)
+        console.log(`  Executing transition: "${transition.name}" (ID: ${transition.id}) -> "${transition.to.name}"`);
+        await this.request('POST', `issue/${ticketKey}/transitions`, {
+          transition: { id: transition.id },
+          ...(Object.keys(fields).length > 0 && { fields }),
+        }, null, {
+          alreadyApplied: async () => {
+            const issueData = await this.request('GET', `issue/${ticketKey}`, null, { fields: 'status' });
+            return issueData?.fields?.status?.name?.toLowerCase() === transition.to.name.toLowerCase() ? {} : null;
+          },
+        });
 
-      // Perform the transition
-      console.log(`  Executing transition: "${transition.name}" (ID: ${transition.id}) -> "${transition.to.name}"`);
-      await this.request('POST', `issue/${ticketKey}/transitions`, {
-        transition: { id: transition.id }
-      });
+        currentStatus = transition.to.name;
+        path.push(currentStatus);
+        visited.add(currentStatus.toLowerCase());
 
-      console.log(`  ✓ Successfully updated ${ticketKey} to status '${newStatus}'`);
-      return { success: true, message: `${ticketKey} transitioned to '${newStatus}'` };
+        if (currentStatus.toLowerCase() === newStatus.toLowerCase()) {
+          const via = path.length > 2 ? ` via ${path.slice(1, -1).join(' -> ')}` : '';
+          console.log(`  ✓ Successfully updated ${ticketKey} to status '${newStatus}'${via}`);
+          return { success: true, message: `${ticketKey} transitioned to '${newStatus}'${via}`, previousStatus, path };
+        }
+      }
+
+      console.warn(`  ⚠ Gave up moving ${ticketKey} to '${newStatus}' after ${MAX_TRANSITION_STEPS} transitions`);
+      return { ...stopped(`Cannot transition ${ticketKey} to '${newStatus}' within ${MAX_TRANSITION_STEPS} steps.`), errorType: 'no_valid_transition' };
     } catch (error) {
       console.error(`Failed to update ticket ${ticketKey}:`, error.message);
       return {
@@ -302,38 +872,224 @@ class JiraService {
   /**
    * Add a comment to a JIRA ticket
    * @param {string} ticketKey - The ticket key
-   * @param {string} comment - The comment text
-   * @returns {Promise<boolean>} True if successful
+   * @param {string} comment - The comment (markdown, or plain text with one paragraph per line)
+   * @returns {Promise<string|null>} ID of the new comment if successful
    */
   async addComment(ticketKey, comment) {
     try {
-      // Add a small delay before making the request to avoid rate limiting
-      await this._sleep(300);
-      
-      // JIRA API v3 uses Atlassian Document Format
+      // Atlassian Document Format on Cloud, wiki markup on Data Center
+      const body = { body: this._toRichText(comment) };
+
+      // A retry first looks for the same comment posted since this call started
+      const startedAt = Date.now();
+      const result = await this.request('POST', `issue/${ticketKey}/comment`, body, null, {
+        alreadyApplied: () => this._findRecentComment(ticketKey, comment, startedAt),
+      });
+      console.log(`✓ Added comment to ${ticketKey}`);
+      return result?.id || null;
+    } catch (error) {
+      console.error(`Failed to add comment to ${ticketKey}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a comment from a JIRA ticket
+   * @param {string} ticketKey - The ticket key
+   * @param {string} commentId - ID returned by addComment
+   * @returns {Promise<boolean>} True if successful
+   */
+  async deleteComment(ticketKey, commentId) {
+    try {
+      await this.request('DELETE', `issue/${ticketKey}/comment/${commentId}`);
+      console.log(`✓ Deleted comment ${commentId} from ${ticketKey}`);
+      return true;
+    } catch (error) {
+      // Already gone (e.g. a retried delete that went through the first time)
+      if (error.response?.status === 404) {
+        return true;
+      }
+      console.error(`Failed to delete comment ${commentId} from ${ticketKey}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Log time spent on a JIRA ticket
+   * @param {string} ticketKey - The ticket key
+   * @param {number} seconds - Time spent
+   * @param {string} comment - Worklog comment (markdown)
+   * @returns {Promise<string|null>} ID of the new worklog if successful
+   */
+  async addWorklog(ticketKey, seconds, comment) {
+    try {
+      // The work ended now - JIRA wants "2024-03-20T09:30:00.000+0000"
+      const started = new Date(Date.now() - seconds * 1000).toISOString().replace('Z', '+0000');
+      const body = { timeSpentSeconds: seconds, started, comment: this._toRichText(comment) };
+
+      // A retry first looks for the same worklog added in the meantime
+      const startedAt = Date.now();
+      const result = await this.request('POST', `issue/${ticketKey}/worklog`, body, null, {
+        alreadyApplied: () => this._findRecentWorklog(ticketKey, seconds, startedAt),
+      });
+      console.log(`✓ Logged ${seconds / 60}m on ${ticketKey}`);
+      return result?.id || null;
+    } catch (error) {
+      console.error(`Failed to log work on ${ticketKey}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a worklog from a JIRA ticket
+   * @param {string} ticketKey - The ticket key
+   * @param {string} worklogId - ID returned by addWorklog
+   * @returns {Promise<boolean>} True if successful
+   */
+  async deleteWorklog(ticketKey, worklogId) {
+    try {
+      await this.request('DELETE', `issue/${ticketKey}/worklog/${worklogId}`);
+      console.log(`✓ Deleted worklog ${worklogId} from ${ticketKey}`);
+      return true;
+    } catch (error) {
+      // Already gone (e.g. a retried delete that went through the first time)
+      if (error.response?.status === 404) {
+        return true;
+      }
+      console.error(`Failed to delete worklog ${worklogId} from ${ticketKey}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Find a worklog of this length added to a ticket since a time (to tell whether a failed post went through)
+   * @param {string} ticketKey - The ticket key
+   * @param {number} seconds - Time spent
+   * @param {number} since - Epoch ms the post was first tried
+   * @returns {Promise<Object|null>} The worklog, or null if there's none
+   */
+  async _findRecentWorklog(ticketKey, seconds, since) {
+    const result = await this.request('GET', `issue/${ticketKey}/worklog`, null, { startedAfter: since - seconds * 1000 - 3600000 });
+    // Allow for clock skew between us and JIRA
+    const cutoff = since - 60000;
+    return (result.worklogs || []).find(w => Date.parse(w.created) >= cutoff && w.timeSpentSeconds === seconds) || null;
+  }
+
+  /**
+   * Create a task in the team's project
+   * Teams scoped by a JQL filter may not have a project key - pass the project of a related ticket instead
+   * @param {Object} issue - Issue details
+   * @param {string} issue.summary - Issue title
+   * @param {string} issue.description - Description (markdown, or plain text with one paragraph per line)
+   * @param {string} issue.projectKey - Project to create it in (defaults to the team's project)
+   * @param {string} issue.assignee - Account ID (Cloud) or username (Data Center) to assign it to (optional)
+   * @returns {Promise<string|null>} Key of the new issue if successful
+   */
+  async createIssue({ summary, description = '', projectKey = this.projectKey, assignee = null }) {
+    if (!projectKey) {
+      console.error(`Failed to create issue "${summary}": no project key`);
+      return null;
+    }
+
+    try {
+      // Atlassian Document Format on Cloud, wiki markup on Data Center
       const body = {
-        body: {
-          type: 'doc',
-          version: 1,
-          content: [
-            {
-              type: 'paragraph',
-              content: [
-                {
-                  type: 'text',
-                  text: comment,
-                }
-              ]
-            }
-          ]
-        }
+        fields: {
+          project: { key: projectKey },
+          issuetype: { name: 'Task' },
+          summary,
+          description: this._toRichText(description),
+          ...(assignee && { assignee: this.isCloud ? { accountId: assignee } : { name: assignee } }),
+        },
       };
 
-      await this.request('POST', `issue/${ticketKey}/comment`, body);
-      console.log(`✓ Added comment to ${ticketKey}`);
+      // A retry first looks for an issue with the same summary we created in the meantime
+      const result = await this.request('POST', 'issue', body, null, {
+        alreadyApplied: () => this._findRecentIssue(projectKey, summary),
+      });
+      console.log(`✓ Created ${result?.key} in ${projectKey}`);
+      return result?.key || null;
+    } catch (error) {
+      console.error(`Failed to create issue "${summary}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Look up a user's JIRA account by email (for assigning or mentioning someone with no tickets yet)
+   * Only a user whose email JIRA shows and matches counts - Cloud often hides emails, and the first search result
+   * may well be someone else
+   * @param {string} email - User's email address
+   * @returns {Promise<string|null>} Account ID (Cloud) or username (Data Center), or null if not found
+   */
+  async findAccountId(email) {
+    if (this.accountIds.has(email)) {
+      return this.accountIds.get(email);
+    }
+
+    try {
+      // Cloud searches by "query"; Data Center's "username" also matches emails
+      const users = await this.request('GET', 'user/search', null, this.isCloud ? { query: email } : { username: email });
+      const found = users || [];
+      const matches = found.filter(u => (u.emailAddress || '').toLowerCase() === email.toLowerCase());
+      const user = matches.length === 1 ? matches[0] : null;
+      if (!user && found.length > 0) {
+        console.warn(`No JIRA user shows the email ${email} (${found.length} found) - not guessing which one it is`);
+      }
+      const accountId = user ? user.accountId || user.name || null : null;
+      this.accountIds.set(email, accountId);
+      return accountId;
+    } catch (error) {
+      console.error(`Failed to look up JIRA user ${email}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find a comment with this text added to a ticket since a time (to tell whether a failed post went through)
+   * @param {string} ticketKey - The ticket key
+   * @param {string} comment - The comment text
+   * @param {number} since - Epoch ms the post was first tried
+   * @returns {Promise<Object|null>} The comment, or null if there's none
+   */
+  async _findRecentComment(ticketKey, comment, since) {
+    const result = await this.request('GET', `issue/${ticketKey}/comment`, null, { orderBy: '-created', maxResults: 20 });
+    // Allow for clock skew between us and JIRA
+    const cutoff = since - 60000;
+    return (result.comments || []).find(c =>
+      Date.parse(c.created) >= cutoff && this._fromRichText(c.body) === this._fromRichText(this._toRichText(comment))
+    ) || null;
+  }
+
+  /**
+   * Find an issue with this summary we created in a project in the last few minutes
+   * (to tell whether a failed create went through)
+   * @param {string} projectKey - Project key
+   * @param {string} summary - Issue title
+   * @returns {Promise<Object|null>} { key } of the issue, or null if there's none
+   */
+  async _findRecentIssue(projectKey, summary) {
+    const jql = `project = "${projectKey}" AND reporter = currentUser() AND created >= "-15m" ORDER BY created DESC`;
+    const issues = await this.searchAll(jql, ['summary'], 20);
+    const issue = issues.find(i => i.fields?.summary === summary);
+    return issue ? { key: issue.key } : null;
+  }
+
+  /**
+   * Set the due date of a JIRA ticket
+   * @param {string} ticketKey - The ticket key (e.g., "PROJ-123")
+   * @param {string} dueDate - New due date (YYYY-MM-DD)
+   * @returns {Promise<boolean>} True if successful
+   */
+  async updateDueDate(ticketKey, dueDate) {
+    try {
+      await this.request('PUT', `issue/${ticketKey}`, {
+        fields: { duedate: dueDate },
+      });
+      console.log(`✓ Set due date of ${ticketKey} to ${dueDate}`);
       return true;
     } catch (error) {
-      console.error(`Failed to add comment to ${ticketKey}:`, error.message);
+      console.error(`Failed to set due date of ${ticketKey}:`, error.message);
       return false;
     }
   }
@@ -344,36 +1100,30 @@ class JiraService {
    */
   async getTeamMembers() {
     try {
-      const jql = `project = "${this.projectKey}" AND assignee IS NOT EMPTY`;
-      
-      // Use the new /search/jql endpoint (POST) - the old /search endpoint has been deprecated
-      // See: https://developer.atlassian.com/changelog/#CHANGE-2046
-      const result = await this.request('POST', 'search/jql', {
-        jql,
-        fields: ['assignee'],
-        maxResults: 100,
-      });
+      const jql = `${this._scopeJql()} AND assignee IS NOT EMPTY`;
 
-      // Extract unique assignees
+      // Extract unique assignees across every page (not just the most relevant issues)
       const seenEmails = new Set();
       const seenAccountIds = new Set();
       const members = [];
 
-      for (const issue of result.issues || []) {
+      for await (const issue of this.searchIssues(jql, ['assignee'])) {
         const assignee = issue.fields?.assignee;
         if (!assignee) continue;
         
         // Use accountId as primary identifier (email may be hidden due to privacy settings)
-        const identifier = assignee.emailAddress || assignee.accountId;
-        if (identifier && !seenAccountIds.has(assignee.accountId)) {
-          seenAccountIds.add(assignee.accountId);
+        // Data Center users have no accountId - their username (which JQL accepts) plays that role
+        const accountId = assignee.accountId || assignee.name || assignee.key;
+        const identifier = assignee.emailAddress || accountId;
+        if (identifier && !seenAccountIds.has(accountId)) {
+          seenAccountIds.add(accountId);
           if (assignee.emailAddress) {
             seenEmails.add(assignee.emailAddress);
           }
           members.push({
             name: assignee.displayName || 'Unknown',
             email: assignee.emailAddress || null, // May be null due to privacy settings
-            accountId: assignee.accountId,
+            accountId,
           });
         }
       }
@@ -386,6 +1136,85 @@ class JiraService {
     }
   }
 
+  /**
+   * Find the Agile board to read sprints from - the configured one, or the project's first scrum board
+   * @returns {Promise<string|null>} Board ID, or null if there isn't one
+   */
+  async _findBoardId() {
+    if (this.boardId || this.boardSearched || !this.projectKey) {
+      return this.boardId;
+    }
+    this.boardSearched = true;
+
+    try {
+      const result = await this.request('GET', `${this.agileUrl}/board`, null, { projectKeyOrId: this.projectKey, type: 'scrum' });
+      const board = result.values?.[0];
+      if (board) {
+        this.boardId = String(board.id);
+        console.log(`Using JIRA board "${board.name}" (${board.id}) for sprint information`);
+      } else {
+        console.log(`No scrum board found for ${this.projectKey} - set JIRA_BOARD_ID to show sprint information`);
+      }
+    } catch (error) {
+      console.warn(`Could not look up the JIRA board of ${this.projectKey}:`, error.message);
+    }
+    return this.boardId;
+  }
+
+  /**
+   * Get the active sprint of the team's board, with the story points it committed to and has completed
+   * Points come from the story points field (customfield_10016) of every issue in the sprint; an issue counts
+   * as completed once its status means done
+   * @returns {Promise<Object|null>} { id, name, goal, startDate, endDate, committedPoints, completedPoints,
+   *   issueCount, doneCount }, or null if the board has no active sprint (or JIRA can't be read)
+   */
+  async getActiveSprint() {
+    const boardId = await this._findBoardId();
+    if (!boardId) {
+      return null;
+    }
+
+    try {
+      // A board running parallel sprints reports each of them - the first is the team's main one
+      const result = await this.request('GET', `${this.agileUrl}/board/${boardId}/sprint`, null, { state: 'active' });
+      const sprint = result.values?.[0];
+      if (!sprint) {
+        console.log(`No active sprint on JIRA board ${boardId}`);
+        return null;
+      }
+
+      const issues = await this.searchAll(`sprint = ${sprint.id}`, ['status', 'customfield_10016']);
+      let committedPoints = 0;
+      let completedPoints = 0;
+      let doneCount = 0;
+      for (const issue of issues) {
+        const points = issue.fields?.customfield_10016 || 0;
+        const status = issue.fields?.status;
+        committedPoints += points;
+        if (this.getStatusModel(issue.key).categorize(status?.name, status?.statusCategory?.key) === StatusCategory.DONE) {
+          completedPoints += points;
+          doneCount++;
+        }
+      }
+
+      console.log(`Active sprint "${sprint.name}": ${completedPoints}/${committedPoints} points done (${doneCount}/${issues.length} issues)`);
+      return {
+        id: sprint.id,
+        name: sprint.name,
+        goal: sprint.goal?.trim() || null,
+        startDate: sprint.startDate || null,
+        endDate: sprint.endDate || null,
+        committedPoints,
+        completedPoints,
+        issueCount: issues.length,
+        doneCount,
+      };
+    } catch (error) {
+      console.error('Failed to get the active sprint:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Format a ticket for display in context
    * @param {Object} ticket - Ticket object
@@ -406,10 +1235,21 @@ class JiraService {
       parts.push(`  Due Date: ${ticket.dueDate}`);
     }
     if (ticket.description) {
-      const desc = ticket.description.length > 200 
-        ? ticket.description.substring(0, 200) + '...' 
+      const desc = ticket.description.length > CONTEXT_DESCRIPTION_LENGTH
+        ? ticket.description.substring(0, CONTEXT_DESCRIPTION_LENGTH) + '...'
         : ticket.description;
-      parts.push(`  Description: ${desc}`);
+      parts.push('  Description:');
+      parts.push(...desc.split('\n').map(line => `    ${line}`));
+    }
+    if (ticket.comments?.length > 0) {
+      parts.push('  Recent comments:');
+      for (const comment of ticket.comments) {
+        // One line each - the comment's own lines are joined with " / "
+        const body = comment.body.split('\n').join(' / ');
+        const text = body.length > CONTEXT_COMMENT_LENGTH ? body.substring(0, CONTEXT_COMMENT_LENGTH) + '...' : body;
+        const date = comment.created ? ` (${comment.created.split('T')[0]})` : '';
+        parts.push(`    - ${comment.author || 'Someone'}${date}: ${text}`);
+      }
     }
 
     return parts.join('\n');
@@ -421,42 +1261,52 @@ class JiraService {
    */
   async testConnection() {
     console.log('Testing JIRA connection...');
-    console.log(`  Configured Base URL: ${config.jira.baseUrl}`);
+    console.log(`  Configured Base URL: ${this.options.baseUrl}`);
     console.log(`  Cleaned Base URL: ${this.baseUrl}`);
-    console.log(`  Full API URL: ${this.baseUrl}/rest/api/3`);
-    console.log(`  Email: ${config.jira.email}`);
+    console.log(`  Deployment: ${this.isCloud ? 'Cloud' : 'Data Center'}`);
+    console.log(`  Full API URL: ${this.apiUrl}`);
+    if (this.isCloud) {
+      console.log(`  Email: ${this.options.email}`);
+    }
     console.log(`  Project Key: ${this.projectKey}`);
-    console.log(`  API Token: ${config.jira.apiToken ? '***' + config.jira.apiToken.slice(-4) : '(not set)'}`);
+    if (this.jqlFilter) {
+      console.log(`  JQL Filter: ${this.jqlFilter}`);
+    }
+    console.log(`  API Token: ${this.options.apiToken ? '***' + this.options.apiToken.slice(-4) : '(not set)'}`);
     
     // Check if configuration is present
     if (!this.baseUrl) {
       return { success: false, message: 'JIRA_BASE_URL is not configured' };
     }
-    if (!config.jira.email) {
+    if (this.isCloud && !this.options.email) {
       return { success: false, message: 'JIRA_EMAIL is not configured' };
     }
-    if (!config.jira.apiToken) {
+    if (!this.options.apiToken) {
       return { success: false, message: 'JIRA_API_TOKEN is not configured' };
     }
-    if (!this.projectKey) {
+    if (!this.projectKey && !this.jqlFilter) {
       return { success: false, message: 'JIRA_PROJECT_KEY is not configured' };
     }
 
-    // Validate base URL format
-    if (!this.baseUrl.startsWith('https://') || !this.baseUrl.includes('.atlassian.net')) {
+    // Validate base URL format (self-hosted instances can live anywhere)
+    if (this.isCloud && (!this.baseUrl.startsWith('https://') || !this.baseUrl.includes('.atlassian.net'))) {
       console.warn('  ⚠ Warning: JIRA_BASE_URL should be like https://yourcompany.atlassian.net');
+      console.warn('    For a self-hosted Server / Data Center instance, set JIRA_DEPLOYMENT=datacenter');
     }
 
     try {
       // Test 1: Check if we can reach the JIRA server (get current user)
       console.log('  Testing authentication...');
       const myself = await this.request('GET', 'myself');
-      console.log(`  ✓ Authenticated as: ${myself.displayName} (${myself.emailAddress})`);
+      console.log(`  ✓ Authenticated as: ${myself.displayName} (${myself.emailAddress || myself.name})`);
 
-      // Test 2: Check if the project exists and is accessible
-      console.log(`  Testing project access (${this.projectKey})...`);
-      const project = await this.request('GET', `project/${this.projectKey}`);
-      console.log(`  ✓ Project found: ${project.name} (${project.key})`);
+      // Test 2: Check if the project exists and is accessible (JQL-scoped teams may not have one)
+      let project = null;
+      if (this.projectKey) {
+        console.log(`  Testing project access (${this.projectKey})...`);
+        project = await this.request('GET', `project/${this.projectKey}`);
+        console.log(`  ✓ Project found: ${project.name} (${project.key})`);
+      }
 
       return {
         success: true,
@@ -464,8 +1314,8 @@ class JiraService {
         details: {
           user: myself.displayName,
           email: myself.emailAddress,
-          project: project.name,
-          projectKey: project.key,
+          project: project?.name || null,
+          projectKey: project?.key || null,
         }
       };
     } catch (error) {
@@ -473,7 +1323,9 @@ class JiraService {
       let message = error.message;
 
       if (statusCode === 401) {
-        message = 'Authentication failed. Check your JIRA_EMAIL and JIRA_API_TOKEN.';
+        message = this.isCloud
+          ? 'Authentication failed. Check your JIRA_EMAIL and JIRA_API_TOKEN.'
+          : 'Authentication failed. Check the Personal Access Token in JIRA_API_TOKEN.';
       } else if (statusCode === 403) {
         message = 'Access forbidden. Your API token may not have the required permissions, or the base URL is incorrect.';
       } else if (statusCode === 404) {
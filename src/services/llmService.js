@@ -2,6 +2,8 @@
  * LLM Service - Supports OpenAI and Ollama
  * Handles all AI/LLM interactions for:
  * - Analyzing standup responses
+ * - Analyzing end-of-day check-out responses against the morning's plan
+ * - Sorting and grouping sprint retrospective feedback
  * - Extracting task updates
  * - Generating follow-up questions
  * - Keeping conversations focused
@@ -25,9 +27,15 @@ Always be professional, supportive, and efficient. Keep responses concise.`;
 
 const ANALYSIS_PROMPT = `Analyze the following standup response from a developer.
 
+Current sprint:
+{sprintContext}
+
 Developer's current tasks:
 {tasksContext}
 
+Open blockers from earlier standups that involve this developer:
+{blockersContext}
+
 Developer's response:
 {response}
 
@@ -36,13 +44,27 @@ Extract the following information and respond in JSON format ONLY (no other text
     "taskUpdates": [
         {
             "ticketKey": "TICKET-123",
-            "newStatus": "In Progress" or "Done" or "Blocked" or null,
+            "newStatus": {statusChoices} or null,
             "progressNote": "Brief note about progress",
             "blocker": "Description of blocker if any" or null,
-            "timeline": "Estimated completion time if mentioned" or null
+            "timeline": "Estimated completion time if mentioned" or null,
+            "timeSpent": "Time spent on it since the last standup, e.g. \"3h\" or \"1d 2h\"" or null
         }
     ],
     "blockers": ["List of any blockers mentioned"],
+    "blockerUpdates": [
+        {
+            "id": "BLK-1",
+            "resolved": true/false,
+            "note": "What the developer said about it (how it was resolved, or progress)"
+        }
+    ],
+    "untrackedWork": [
+        {
+            "summary": "Short ticket title for work that has no ticket above",
+            "description": "What the work is, in the developer's words (1-3 sentences)"
+        }
+    ],
     "isOffTopic": true/false,
     "offTopicReason": "Reason if off-topic (e.g., 'discussing HLD', 'unrelated topic')" or null,
     "needsClarification": true/false,
@@ -52,30 +74,140 @@ Extract the following information and respond in JSON format ONLY (no other text
 
 Rules:
 - If developer discusses technical implementation details or HLD, mark as isOffTopic
+- Add an untrackedWork entry for each piece of work the developer is doing or about to start that matches none of their tickets above (and names no ticket key) - not for meetings, reviews of others' work or time off
 - If no timeline given for To-Do or In-Progress tasks, add follow-up question
+- If a timeline runs past the end of the current sprint, add a follow-up question about how it affects the sprint goal
 - Set needsClarification to true if the response is vague, incomplete, or doesn't provide actionable info
 - Extract specific ticket updates when mentioned
+- Only set timeSpent when the developer says (or clearly implies, e.g. "spent all of yesterday on it") how long they worked on that ticket
+- Only set newStatus when the developer says the ticket moved, and only to one of the statuses offered above, spelled exactly
+- Only add a blockerUpdates entry for the open blockers listed above, and only set resolved to true if the developer clearly says it is resolved or they are unblocked
+- Don't repeat an open blocker from above in "blockers" unless the developer describes it again as still blocking
 - Keep summary concise (1-2 sentences)`;
 
-class LLMService {
-  constructor() {
-    this.provider = config.llm.provider;
+// Statuses offered when the caller doesn't know the project's workflow
+const DEFAULT_STATUS_CHOICES = ['In Progress', 'In Review', 'Done', 'Blocked'];
+
+/**
+ * Format status names as JSON alternatives for a prompt, e.g. "In Progress" or "Done"
+ * @param {string[]} statusChoices - Status names
+ * @returns {string} Prompt text
+ */
+function formatStatusChoices(statusChoices) {
+  return statusChoices.map(s => JSON.stringify(s)).join(' or ');
+}
+
+const CHECKOUT_ANALYSIS_PROMPT = `Analyze the following end-of-day check-out response from a developer.
+This morning at standup the developer said they would do this:
+{planContext}
+
+Current sprint:
+{sprintContext}
+
+Developer's current tasks:
+{tasksContext}
+
+Developer's response (what actually got done today):
+{response}
+
+Extract the following information and respond in JSON format ONLY (no other text):
+{
+    "taskUpdates": [
+        {
+            "ticketKey": "TICKET-123",
+            "outcome": "done" or "partial" or "not_done",
+            "newStatus": {statusChoices} or null,
+            "progressNote": "Brief note about what got done, or why it didn't"
+        }
+    ],
+    "blockers": ["List of any blockers mentioned"],
+    "summary": "Brief summary of the day"
+}
+
+Rules:
+- Add a taskUpdates entry for every ticket in this morning's plan, plus any other ticket the developer says they worked on
+- outcome is "done" if what they planned for the ticket happened, "partial" if some of it did, "not_done" if none of it did
+- If the developer doesn't mention a planned ticket, set outcome to "not_done" and progressNote to null
+- Only set newStatus when the developer says the ticket moved (e.g. finished, sent for review, got blocked), using one of the statuses offered above, spelled exactly
+- Keep progressNote and summary concise (1 sentence)`;
+
+const RETRO_SYSTEM_PROMPT = `You are an AI Engineering Manager assistant facilitating an async sprint retrospective.
+Your role is to:
+1. Sort each team member's feedback into what went well, what didn't go well and ideas
+2. Group similar feedback from different people into a few clear themes
+3. Suggest one concrete, actionable next step for each theme that needs improving
+
+Be neutral and blameless - describe problems, not people. Keep wording short.`;
+
+const RETRO_FEEDBACK_PROMPT = `Sort the following retrospective feedback from a team member.
+
+Feedback:
+{feedback}
+
+Respond in JSON format ONLY (no other text):
+{
+    "wentWell": ["Each thing that went well, as a short phrase"],
+    "didntGoWell": ["Each thing that didn't go well, as a short phrase"],
+    "ideas": ["Each idea or suggestion, as a short phrase"]
+}
+
+Rules:
+- Split a message that covers several points into separate phrases
+- Keep the member's meaning; don't add points they didn't make
+- Leave a list empty if nothing fits it`;
+
+const RETRO_THEMES_PROMPT = `Group the following sprint retrospective feedback into themes.
+
+Facts from this sprint's standups:
+{sprintFacts}
+
+Feedback from the team (category: text):
+{feedback}
+
+Respond in JSON format ONLY (no other text):
+{
+    "themes": [
+        {
+            "title": "Short theme title (max 8 words)",
+            "category": "went_well" or "didnt_go_well" or "idea",
+            "summary": "One sentence describing the theme",
+            "actionItem": "One concrete next step (a JIRA-ticket-sized task)" or null
+        }
+    ]
+}
+
+Rules:
+- Merge feedback that says the same thing, even if worded differently
+- Use the sprint facts to sharpen themes (e.g. a recurring blocker), but don't create themes from facts alone
+- Give an actionItem for every didnt_go_well and idea theme; went_well themes only need one to keep something going
+- No more than 8 themes, most mentioned first`;
+
+export class LLMService {
+  /**
+   * @param {Object} overrides - Optional per-team settings (provider, model, baseUrl, apiKey, timeout)
+   *                             Anything not overridden comes from the provider's global config
+   */
+  constructor(overrides = {}) {
+    this.provider = overrides.provider || config.llm.provider;
     
     if (this.provider === 'anthropic') {
-      this.apiKey = config.anthropic.apiKey;
-      this.model = config.anthropic.model;
-      this.timeout = config.anthropic.timeout;
-      this.baseUrl = config.anthropic.baseUrl.replace(/\/$/, '');
+      const settings = { ...config.anthropic, ...overrides };
+      this.apiKey = settings.apiKey;
+      this.model = settings.model;
+      this.timeout = settings.timeout;
+      this.baseUrl = settings.baseUrl.replace(/\/$/, '');
     } else if (this.provider === 'openai') {
-      this.apiKey = config.openai.apiKey;
-      this.model = config.openai.model;
-      this.timeout = config.openai.timeout;
-      this.baseUrl = config.openai.baseUrl || 'https://api.openai.com/v1';
+      const settings = { ...config.openai, ...overrides };
+      this.apiKey = settings.apiKey;
+      this.model = settings.model;
+      this.timeout = settings.timeout;
+      this.baseUrl = settings.baseUrl || 'https://api.openai.com/v1';
     } else {
       // Ollama (local)
-      this.baseUrl = config.ollama.baseUrl.replace(/\/$/, '');
-      this.model = config.ollama.model;
-      this.timeout = config.ollama.timeout;
+      const settings = { ...config.ollama, ...overrides };
+      this.baseUrl = settings.baseUrl.replace(/\/$/, '');
+      this.model = settings.model;
+      this.timeout = settings.timeout;
     }
     
     console.log(`LLM Service initialized with provider: ${this.provider}, model: ${this.model}`);
@@ -234,27 +366,28 @@ class LLMService {
    * Analyze a developer's standup response
    * @param {string} response - The developer's message
    * @param {string} tasksContext - Context about their current tasks
+   * @param {string} blockersContext - Open blockers they were asked about (one per line, with IDs)
+   * @param {string[]} statusChoices - Statuses their tickets can be moved to (from the project's status model)
+   * @param {string} sprintContext - The active sprint's name, goal and days left
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeStandupResponse(response, tasksContext) {
+  async analyzeStandupResponse(response, tasksContext, blockersContext = 'None', statusChoices = DEFAULT_STATUS_CHOICES, sprintContext = 'None') {
     const prompt = ANALYSIS_PROMPT
+      .replace('{statusChoices}', formatStatusChoices(statusChoices))
+      .replace('{sprintContext}', sprintContext)
       .replace('{tasksContext}', tasksContext)
+      .replace('{blockersContext}', blockersContext)
       .replace('{response}', response);
 
     try {
-      const result = await this.callLLM(prompt, SYSTEM_PROMPT);
-
-      // Parse JSON from response
-      const jsonStart = result.indexOf('{');
-      const jsonEnd = result.lastIndexOf('}') + 1;
-
-      if (jsonStart !== -1 && jsonEnd > jsonStart) {
-        const jsonStr = result.substring(jsonStart, jsonEnd);
-        const data = JSON.parse(jsonStr);
+      const data = await this._callForJson(prompt);
 
+      if (data) {
         return {
           taskUpdates: data.taskUpdates || [],
           blockers: data.blockers || [],
+          blockerUpdates: data.blockerUpdates || [],
+          untrackedWork: data.untrackedWork || [],
           isOffTopic: data.isOffTopic || false,
           offTopicReason: data.offTopicReason || null,
           needsClarification: data.needsClarification || false,
@@ -267,6 +400,8 @@ class LLMService {
       return {
         taskUpdates: [],
         blockers: [],
+        blockerUpdates: [],
+        untrackedWork: [],
         isOffTopic: false,
         offTopicReason: null,
         needsClarification: false,
@@ -278,6 +413,8 @@ class LLMService {
       return {
         taskUpdates: [],
         blockers: [],
+        blockerUpdates: [],
+        untrackedWork: [],
         isOffTopic: false,
         offTopicReason: null,
         needsClarification: false,
@@ -287,6 +424,122 @@ class LLMService {
     }
   }
 
+  /**
+   * Analyze an end-of-day check-out response against what the developer planned at standup
+   * @param {string} response - Developer's response
+   * @param {string} planContext - What they said they'd do this morning
+   * @param {string} tasksContext - Context about their tasks
+   * @param {string[]} statusChoices - Statuses their tickets can be moved to (from the project's status model)
+   * @param {string} sprintContext - The active sprint's name, goal and days left
+   * @returns {Promise<Object|null>} { taskUpdates: [{ ticketKey, outcome, newStatus, progressNote }], blockers, summary },
+   *   or null if the reply couldn't be analyzed
+   */
+  async analyzeCheckoutResponse(response, planContext, tasksContext, statusChoices = DEFAULT_STATUS_CHOICES, sprintContext = 'None') {
+    const prompt = CHECKOUT_ANALYSIS_PROMPT
+      .replace('{statusChoices}', formatStatusChoices(statusChoices))
+      .replace('{sprintContext}', sprintContext)
+      .replace('{planContext}', planContext)
+      .replace('{tasksContext}', tasksContext)
+      .replace('{response}', response);
+
+    try {
+      const data = await this._callForJson(prompt);
+
+      if (data) {
+        return {
+          taskUpdates: data.taskUpdates || [],
+          blockers: data.blockers || [],
+          summary: data.summary || 'Check-out received.',
+        };
+      }
+
+      console.warn('Could not find JSON in check-out analysis');
+    } catch (error) {
+      console.error('Error analyzing check-out response:', error.message);
+    }
+
+    // No guessing here - an empty analysis would mark every planned ticket as not done
+    return null;
+  }
+
+  /**
+   * Sort one member's retrospective feedback into went well / didn't go well / ideas
+   * @param {string} feedback - The member's message
+   * @returns {Promise<Object>} { wentWell, didntGoWell, ideas } - lists of short phrases
+   */
+  async categorizeRetroFeedback(feedback) {
+    const prompt = RETRO_FEEDBACK_PROMPT.replace('{feedback}', feedback);
+
+    try {
+      const data = await this._callForJson(prompt, RETRO_SYSTEM_PROMPT);
+
+      if (data) {
+        return {
+          wentWell: data.wentWell || [],
+          didntGoWell: data.didntGoWell || [],
+          ideas: data.ideas || [],
+        };
+      }
+
+      console.warn('Could not find JSON in LLM response, keeping the feedback as an idea');
+    } catch (error) {
+      console.error('Error sorting retro feedback:', error.message);
+    }
+
+    // Keep what they said rather than dropping it
+    return { wentWell: [], didntGoWell: [], ideas: [feedback] };
+  }
+
+  /**
+   * Group the team's retrospective feedback into themes, each with an action item
+   * @param {Array} items - [{ category, text }] with category went_well, didnt_go_well or idea
+   * @param {string} sprintFacts - Facts from the sprint's standups (one per line)
+   * @returns {Promise<Array>} [{ title, category, summary, actionItem }]
+   */
+  async groupRetroThemes(items, sprintFacts = 'None') {
+    const prompt = RETRO_THEMES_PROMPT
+      .replace('{sprintFacts}', sprintFacts)
+      .replace('{feedback}', items.map(item => `- ${item.category}: ${item.text}`).join('\n'));
+
+    try {
+      const data = await this._callForJson(prompt, RETRO_SYSTEM_PROMPT);
+
+      if (data?.themes?.length > 0) {
+        return data.themes;
+      }
+
+      console.warn('Could not find themes in LLM response, using one theme per item');
+    } catch (error) {
+      console.error('Error grouping retro themes:', error.message);
+    }
+
+    return items.map(item => ({
+      title: item.text,
+      category: item.category,
+      summary: null,
+      actionItem: item.category === 'went_well' ? null : item.text,
+    }));
+  }
+
+  /**
+   * Call the LLM and parse the JSON object in its reply
+   * @param {string} prompt - Prompt asking for JSON
+   * @param {string} systemPrompt - System prompt (defaults to the standup one)
+   * @returns {Promise<Object|null>} Parsed object, or null if the reply has no JSON
+   */
+  async _callForJson(prompt, systemPrompt = SYSTEM_PROMPT) {
+    const result = await this.callLLM(prompt, systemPrompt);
+
+    // Parse JSON from response
+    const jsonStart = result.indexOf('{');
+    const jsonEnd = result.lastIndexOf('}') + 1;
+
+    if (jsonStart !== -1 && jsonEnd > jsonStart) {
+      return JSON.parse(result.substring(jsonStart, jsonEnd));
+    }
+    return null;
+  }
+
   /**
    * Generate a message to redirect off-topic conversation
    * @param {string} reason - Why the message is off-topic
@@ -343,16 +596,20 @@ Keep it conversational and under 1-2 sentences.`;
   /**
    * Generate a summary of all standup updates
    * @param {Array} allUpdates - List of all developer updates
+   * @param {string} sprintContext - The active sprint's name, goal, days left and story points
    * @returns {Promise<string>} Summary message
    */
-  async generateStandupSummary(allUpdates) {
+  async generateStandupSummary(allUpdates, sprintContext = 'None') {
     const prompt = `Generate a brief standup summary for the team.
 
+Current sprint:
+${sprintContext}
+
 Updates received:
 ${JSON.stringify(allUpdates, null, 2)}
 
 Create a concise summary that includes:
-1. Overall team progress
+1. Overall team progress (toward the sprint goal, if there is one)
 2. Key blockers that need attention
 3. Any items needing follow-up
 
@@ -0,0 +1,168 @@
+/**
+ * Parking Lot Service
+ * Keeps the off-topic discussions people start during standup, so they can be picked up later:
+ * - What was said, by whom, on which standup and which ticket it relates to
+ * - Whether it was turned into a JIRA task or a follow-up thread (and by whom)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+
+class ParkingLotService {
+  constructor() {
+    this.storagePath = path.join(config.app.dataDir, 'parking_lot.json');
+    this.items = [];
+    this._loadItems();
+  }
+
+  /**
+   * Load parking lot items from storage
+   */
+  _loadItems() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, 'utf8');
+        this.items = JSON.parse(data);
+        console.log(`Loaded ${this.items.length} parking lot items`);
+      }
+    } catch (error) {
+      console.error('Failed to load parking lot:', error.message);
+      this.items = [];
+    }
+  }
+
+  /**
+   * Save parking lot items to storage
+   */
+  _saveItems() {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.storagePath, JSON.stringify(this.items, null, 2));
+    } catch (error) {
+      console.error('Failed to save parking lot:', error.message);
+    }
+  }
+
+  /**
+   * Generate the next item ID (PL-1, PL-2, ...)
+   * @returns {string} Item ID
+   */
+  _nextId() {
+    const highest = this.items.reduce((max, item) => {
+      const number = parseInt(item.id.replace('PL-', ''), 10);
+      return Number.isNaN(number) ? max : Math.max(max, number);
+    }, 0);
+    return `PL-${highest + 1}`;
+  }
+
+  /**
+   * Park a topic that came up during standup
+   * @param {Object} details - Item details
+   * @param {string} details.teamId - Team ID
+   * @param {string} details.date - Standup date (YYYY-MM-DD)
+   * @param {Object} details.author - { userId, name } of whoever raised it
+   * @param {string} details.text - What they said
+   * @param {string} details.reason - Why it was off-topic (from the LLM, optional)
+   * @param {string} details.relatedTicket - Key of the ticket it relates to (optional)
+   * @returns {Object} Parking lot item
+   */
+  addItem({ teamId, date, author, text, reason = null, relatedTicket = null }) {
+    const item = {
+      id: this._nextId(),
+      teamId,
+      date,
+      author,
+      text,
+      reason,
+      relatedTicket,
+      createdAt: new Date().toISOString(),
+      issueKey: null,
+      issueCreatedBy: null,
+      threadChannel: null,
+      threadTs: null,
+      threadStartedBy: null,
+    };
+
+    this.items.push(item);
+    this._saveItems();
+    console.log(`🅿️ Parked ${item.id} from ${author.name}: "${text.substring(0, 50)}"`);
+    return item;
+  }
+
+  /**
+   * Get an item by ID
+   * @param {string} id - Item ID (case-insensitive)
+   * @returns {Object|null} Item
+   */
+  getItem(id) {
+    const idUpper = (id || '').toUpperCase();
+    return this.items.find(item => item.id === idUpper) || null;
+  }
+
+  /**
+   * Get the items a team parked at one standup
+   * @param {string} teamId - Team ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array} Items, oldest first
+   */
+  getItemsOn(teamId, date) {
+    return this.items.filter(item => item.teamId === teamId && item.date === date);
+  }
+
+  /**
+   * Get a team's items that haven't been turned into a task or a thread yet
+   * @param {string} teamId - Team ID
+   * @returns {Array} Items, oldest first
+   */
+  getOpenItems(teamId) {
+    return this.items.filter(item => item.teamId === teamId && !item.issueKey && !item.threadTs);
+  }
+
+  /**
+   * Record the JIRA task created for an item
+   * @param {string} id - Item ID
+   * @param {string} issueKey - Created issue key
+   * @param {string} createdBy - Slack user ID of whoever asked for it
+   * @returns {Object|null} Updated item
+   */
+  markIssueCreated(id, issueKey, createdBy) {
+    const item = this.getItem(id);
+    if (!item) {
+      return null;
+    }
+
+    item.issueKey = issueKey;
+    item.issueCreatedBy = createdBy;
+    this._saveItems();
+    return item;
+  }
+
+  /**
+   * Record the follow-up thread started for an item
+   * @param {string} id - Item ID
+   * @param {string} channel - Channel the thread is in
+   * @param {string} threadTs - Thread timestamp
+   * @param {string} startedBy - Slack user ID of whoever asked for it
+   * @returns {Object|null} Updated item
+   */
+  markThreadStarted(id, channel, threadTs, startedBy) {
+    const item = this.getItem(id);
+    if (!item) {
+      return null;
+    }
+
+    item.threadChannel = channel;
+    item.threadTs = threadTs;
+    item.threadStartedBy = startedBy;
+    this._saveItems();
+    return item;
+  }
+}
+
+export default new ParkingLotService();
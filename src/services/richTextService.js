@@ -0,0 +1,453 @@
+/**
+ * Rich Text Service
+ * Converts JIRA rich text to and from the small markdown dialect the bot reads and writes:
+ * - Atlassian Document Format (Cloud) to markdown, for the LLM context
+ * - Markdown to Atlassian Document Format, for comments and descriptions
+ * - Wiki markup (Server / Data Center) both ways, through the same document model
+ *
+ * The dialect: every line is its own paragraph; "#" headings; "-", "*" or "1." list items (nested by
+ * indenting two spaces); ``` code blocks; "> " quotes; "---" rules; **bold**, *italic*, ~~strike~~,
+ * `code`, [text](url) links and @[Name](accountId) user mentions.
+ */
+
+// Characters with a meaning in JIRA wiki markup (escaped so plain text shows as written)
+const WIKI_SPECIAL_CHARS = /[\\[\]{}|*_+^~]/g;
+
+// Inline markdown, in the order the alternatives are tried
+const INLINE_PATTERN = new RegExp([
+  /@\[([^\]]+)\]\(([^)\s]+)\)/.source,               // 1-2: @[Name](accountId)
+  /`([^`]+)`/.source,                                 // 3: `code`
+  /\[([^\]]+)\]\(([^)\s]+)\)/.source,                 // 4-5: [text](url)
+  /\*\*(.+?)\*\*/.source,                             // 6: **bold**
+  /~~(.+?)~~/.source,                                 // 7: ~~strike~~
+  /(?<![\w*])\*(?![\s*])(.+?)(?<!\s)\*(?![\w*])/.source, // 8: *italic*
+  /(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)/.source,          // 9: _italic_
+].join('|'), 'g');
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// ==================
+// Markdown -> ADF
+// ==================
+
+/**
+ * Parse inline markdown into ADF inline nodes
+ * @param {string} text - Inline markdown
+ * @param {Array} marks - Marks applying to all of it
+ * @returns {Array} ADF inline nodes
+ */
+function parseInline(text, marks = []) {
+  const nodes = [];
+  const pushText = (value, nodeMarks) => {
+    if (!value) return;
+    nodes.push(nodeMarks.length > 0 ? { type: 'text', text: value, marks: nodeMarks } : { type: 'text', text: value });
+  };
+
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    pushText(text.slice(last, match.index), marks);
+    last = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      nodes.push({ type: 'mention', attrs: { id: match[2], text: `@${match[1]}` } });
+    } else if (match[3] !== undefined) {
+      // Code only combines with links
+      pushText(match[3], [...marks.filter(m => m.type === 'link'), { type: 'code' }]);
+    } else if (match[4] !== undefined) {
+      nodes.push(...parseInline(match[4], [...marks, { type: 'link', attrs: { href: match[5] } }]));
+    } else if (match[6] !== undefined) {
+      nodes.push(...parseInline(match[6], [...marks, { type: 'strong' }]));
+    } else if (match[7] !== undefined) {
+      nodes.push(...parseInline(match[7], [...marks, { type: 'strike' }]));
+    } else {
+      nodes.push(...parseInline(match[8] ?? match[9], [...marks, { type: 'em' }]));
+    }
+  }
+  pushText(text.slice(last), marks);
+  return nodes;
+}
+
+/**
+ * Parse a list starting at a line, with any lists nested under its items
+ * @param {string[]} lines - Markdown lines
+ * @param {number} start - Index of the first item
+ * @returns {Array} [ADF list node, index of the first line after it]
+ */
+function parseList(lines, start) {
+  const [, indent, marker] = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(marker);
+  const list = ordered
+    ? { type: 'orderedList', attrs: { order: parseInt(marker, 10) || 1 }, content: [] }
+    : { type: 'bulletList', content: [] };
+
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || match[1].length < indent.length) break;
+
+    if (match[1].length > indent.length) {
+      // Nested under the previous item
+      const item = list.content[list.content.length - 1];
+      const [nested, next] = parseList(lines, i);
+      item.content.push(nested);
+      i = next;
+      continue;
+    }
+
+    if (/\d/.test(match[2]) !== ordered) break;
+    list.content.push({ type: 'listItem', content: [paragraph(match[3])] });
+    i++;
+  }
+  return [list, i];
+}
+
+/**
+ * Build an ADF paragraph from a line of inline markdown
+ * @param {string} text - Inline markdown
+ * @returns {Object} ADF paragraph
+ */
+function paragraph(text) {
+  return { type: 'paragraph', content: parseInline(text) };
+}
+
+/**
+ * Parse markdown lines into ADF block nodes
+ * @param {string[]} lines - Markdown lines
+ * @returns {Array} ADF block nodes
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(/^\s*```\s*([\w+-]*)\s*$/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Closing fence
+      const block = { type: 'codeBlock', content: code.length > 0 ? [{ type: 'text', text: code.join('\n') }] : [] };
+      if (fence[1]) block.attrs = { language: fence[1] };
+      blocks.push(block);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: 'heading', attrs: { level: heading[1].length }, content: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', content: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const [list, next] = parseList(lines, i);
+      blocks.push(list);
+      i = next;
+      continue;
+    }
+
+    blocks.push(paragraph(line.trim()));
+    i++;
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert markdown to an Atlassian Document Format document
+ * @param {string} markdown - Markdown (plain text works too, one paragraph per line)
+ * @returns {Object} ADF document
+ */
+export function markdownToAdf(markdown) {
+  return { type: 'doc', version: 1, content: parseBlocks((markdown || '').split('\n')) };
+}
+
+// ==================
+// ADF -> Markdown
+// ==================
+
+/**
+ * Render ADF inline nodes as markdown
+ * @param {Array} nodes - ADF inline nodes
+ * @returns {string} Markdown
+ */
+function renderInline(nodes = []) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': {
+        let text = node.text || '';
+        const marks = node.marks || [];
+        const has = type => marks.some(m => m.type === type);
+        if (has('code')) text = `\`${text}\``;
+        if (has('em')) text = `*${text}*`;
+        if (has('strong')) text = `**${text}**`;
+        if (has('strike')) text = `~~${text}~~`;
+        const link = marks.find(m => m.type === 'link');
+        if (link?.attrs?.href) text = `[${text}](${link.attrs.href})`;
+        return text;
+      }
+      case 'hardBreak':
+        return '\n';
+      case 'mention': {
+        const name = (node.attrs?.text || node.attrs?.id || '').replace(/^@/, '');
+        return `@${name}`;
+      }
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || '';
+      case 'inlineCard':
+        return node.attrs?.url || '';
+      case 'status':
+        return `[${node.attrs?.text || ''}]`;
+      case 'date':
+        return node.attrs?.timestamp ? new Date(parseInt(node.attrs.timestamp, 10)).toISOString().split('T')[0] : '';
+      default:
+        return node.text || renderInline(node.content);
+    }
+  }).join('');
+}
+
+/**
+ * Render an ADF list as markdown lines
+ * @param {Object} list - bulletList or orderedList node
+ * @param {string} indent - Indent of its items
+ * @returns {string[]} Lines
+ */
+function renderList(list, indent) {
+  const lines = [];
+  let number = list.attrs?.order || 1;
+
+  for (const item of list.content || []) {
+    const marker = list.type === 'orderedList' ? `${number++}.` : '-';
+    let first = true;
+    for (const child of item.content || []) {
+      if (child.type === 'bulletList' || child.type === 'orderedList') {
+        lines.push(...renderList(child, `${indent}  `));
+      } else {
+        for (const line of renderBlock(child, `${indent}  `)) {
+          lines.push(first ? `${indent}${marker} ${line.trimStart()}` : line);
+          first = false;
+        }
+      }
+    }
+    if (first) lines.push(`${indent}${marker}`);
+  }
+  return lines;
+}
+
+/**
+ * Render an ADF block node as markdown lines
+ * @param {Object} node - ADF block node
+ * @param {string} indent - Indent for continuation lines
+ * @returns {string[]} Lines
+ */
+function renderBlock(node, indent = '') {
+  const prefixed = (prefix, children) =>
+    children.flatMap(child => renderBlock(child)).map(line => `${prefix}${line}`);
+
+  switch (node.type) {
+    case 'paragraph':
+      return renderInline(node.content).split('\n').filter(line => line.trim()).map(line => `${indent}${line}`);
+    case 'heading':
+      return [`${'#'.repeat(node.attrs?.level || 1)} ${renderInline(node.content)}`];
+    case 'bulletList':
+    case 'orderedList':
+      return renderList(node, indent);
+    case 'codeBlock': {
+      const code = (node.content || []).map(n => n.text || '').join('');
+      return [`\`\`\`${node.attrs?.language || ''}`, ...code.split('\n'), '```'];
+    }
+    case 'blockquote':
+    case 'panel':
+      return prefixed('> ', node.content || []);
+    case 'rule':
+      return ['---'];
+    case 'table':
+      return (node.content || []).flatMap((row, r) => {
+        const cells = (row.content || []).map(cell =>
+          (cell.content || []).flatMap(child => renderBlock(child)).join(' ').trim());
+        const line = `| ${cells.join(' | ')} |`;
+        const isHeader = r === 0 && (row.content || []).every(cell => cell.type === 'tableHeader');
+        return isHeader ? [line, `|${cells.map(() => ' --- |').join('')}`] : [line];
+      });
+    case 'expand':
+    case 'nestedExpand':
+      return [...(node.attrs?.title ? [`**${node.attrs.title}**`] : []), ...(node.content || []).flatMap(child => renderBlock(child))];
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return ['[attachment]'];
+    default:
+      // Unknown blocks (e.g. layouts) still show their text
+      return node.content ? node.content.flatMap(child => renderBlock(child, indent)) : [];
+  }
+}
+
+/**
+ * Convert an Atlassian Document Format document to markdown
+ * @param {Object} adf - ADF document (or any ADF node)
+ * @returns {string} Markdown, one block per line
+ */
+export function adfToMarkdown(adf) {
+  if (!adf) return '';
+  const blocks = adf.type === 'doc' ? adf.content || [] : [adf];
+  return blocks.flatMap(block => renderBlock(block)).join('\n').trim();
+}
+
+// ==================
+// Wiki markup (Data Center)
+// ==================
+
+/**
+ * Render ADF inline nodes as wiki markup
+ * @param {Array} nodes - ADF inline nodes
+ * @returns {string} Wiki markup
+ */
+function renderWikiInline(nodes = []) {
+  return nodes.map(node => {
+    if (node.type === 'mention') return `[~${node.attrs?.id}]`;
+    if (node.type === 'hardBreak') return '\\\\ ';
+    if (node.type !== 'text') return renderInline([node]).replace(WIKI_SPECIAL_CHARS, '\\$&');
+
+    const marks = node.marks || [];
+    const has = type => marks.some(m => m.type === type);
+    let text = has('code') ? `{{${node.text}}}` : node.text.replace(WIKI_SPECIAL_CHARS, '\\$&');
+    if (has('em')) text = `_${text}_`;
+    if (has('strong')) text = `*${text}*`;
+    if (has('strike')) text = `-${text}-`;
+    const link = marks.find(m => m.type === 'link');
+    if (link?.attrs?.href) text = `[${text}|${link.attrs.href}]`;
+    return text;
+  }).join('');
+}
+
+/**
+ * Render an ADF block node as wiki markup
+ * @param {Object} node - ADF block node
+ * @param {string} bullets - Wiki list markers of the enclosing lists
+ * @returns {string} Wiki markup
+ */
+function renderWikiBlock(node, bullets = '') {
+  switch (node.type) {
+    case 'paragraph':
+      return renderWikiInline(node.content);
+    case 'heading':
+      return `h${node.attrs?.level || 1}. ${renderWikiInline(node.content)}`;
+    case 'bulletList':
+    case 'orderedList': {
+      const marker = bullets + (node.type === 'orderedList' ? '#' : '*');
+      return (node.content || []).map(item => (item.content || []).map((child, c) => {
+        if (child.type === 'bulletList' || child.type === 'orderedList') return renderWikiBlock(child, marker);
+        return c === 0 ? `${marker} ${renderWikiBlock(child)}` : renderWikiBlock(child);
+      }).join('\n')).join('\n');
+    }
+    case 'codeBlock': {
+      const code = (node.content || []).map(n => n.text || '').join('');
+      return `{code${node.attrs?.language ? `:${node.attrs.language}` : ''}}\n${code}\n{code}`;
+    }
+    case 'blockquote':
+      return `{quote}\n${(node.content || []).map(child => renderWikiBlock(child)).join('\n\n')}\n{quote}`;
+    case 'rule':
+      return '----';
+    default:
+      return (node.content || []).map(child => renderWikiBlock(child, bullets)).join('\n\n');
+  }
+}
+
+/**
+ * Convert markdown to JIRA wiki markup
+ * @param {string} markdown - Markdown (plain text works too, one paragraph per line)
+ * @returns {string} Wiki markup
+ */
+export function markdownToWiki(markdown) {
+  return markdownToAdf(markdown).content.map(block => renderWikiBlock(block)).join('\n\n');
+}
+
+/**
+ * Convert inline JIRA wiki markup to markdown
+ * @param {string} text - Inline wiki markup
+ * @returns {string} Markdown
+ */
+function wikiInlineToMarkdown(text) {
+  return text
+    .replace(/\{\{(.+?)\}\}/g, '`$1`')
+    .replace(/\[~([^\]]+)\]/g, '@$1')
+    .replace(/\[([^\]|]+)\|([^\]]+)\]/g, '[$1]($2)')
+    .replace(/(?<![\w\\])\*(?!\s)(.+?)(?<![\s\\])\*(?!\w)/g, '**$1**')
+    .replace(/(?<![\w\\])_(?!\s)(.+?)(?<![\s\\])_(?!\w)/g, '*$1*')
+    .replace(/(?<![\w\\])-(?![\s-])(.+?)(?<![\s\\])-(?!\w)/g, '~~$1~~')
+    .replace(/\\\\\s?/g, '\n')
+    .replace(/\\([\\[\]{}|*_+^~-])/g, '$1');
+}
+
+/**
+ * Convert JIRA wiki markup to markdown
+ * @param {string} wiki - Wiki markup
+ * @returns {string} Markdown, one block per line
+ */
+export function wikiToMarkdown(wiki) {
+  const lines = [];
+  let inCode = false;
+  let inQuote = false;
+
+  for (const line of (wiki || '').replace(/\r/g, '').split('\n')) {
+    const codeTag = line.match(/^\s*\{(code|noformat)(?::([\w+-]+))?[^}]*\}\s*$/);
+    if (codeTag) {
+      lines.push(inCode ? '```' : `\`\`\`${codeTag[2] || ''}`);
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      lines.push(line);
+      continue;
+    }
+    if (/^\s*\{quote\}\s*$/.test(line)) {
+      inQuote = !inQuote;
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const quote = inQuote ? '> ' : '';
+    const heading = line.match(/^h([1-6])\.\s+(.*)$/);
+    const item = line.match(/^\s*([*#-]+)\s+(.*)$/);
+    if (heading) {
+      lines.push(`${quote}${'#'.repeat(parseInt(heading[1], 10))} ${wikiInlineToMarkdown(heading[2])}`);
+    } else if (/^-{4,}\s*$/.test(line)) {
+      lines.push('---');
+    } else if (/^bq\.\s+/.test(line)) {
+      lines.push(`> ${wikiInlineToMarkdown(line.replace(/^bq\.\s+/, ''))}`);
+    } else if (item) {
+      const indent = '  '.repeat(item[1].length - 1);
+      const marker = item[1].endsWith('#') ? '1.' : '-';
+      lines.push(`${quote}${indent}${marker} ${wikiInlineToMarkdown(item[2])}`);
+    } else {
+      lines.push(`${quote}${wikiInlineToMarkdown(line.trim())}`);
+    }
+  }
+
+  return lines.join('\n').trim();
+}
@@ -3,17 +3,30 @@
  * Handles all Slack interactions including:
  * - Sending messages to channels
  * - Direct messages to users
- * - Handling bot events and commands
+ * - Handling bot events and commands (mentions and the /standup slash command)
+ * - Edited and deleted messages
+ * - Interactive standup buttons (Block Kit actions)
+ * - Emoji reactions (retro votes)
  */
 
 import pkg from '@slack/bolt';
 const { App } = pkg;
 import config from '../config/index.js';
+import { getStatusEmoji, guessStatusCategory } from './statusService.js';
+
+// Slash command registered for the app (see README - Slack App Setup)
+export const SLASH_COMMAND = '/standup';
 
 class SlackService {
   constructor() {
     this.app = null;
     this.messageHandlers = [];
+    this.actionHandlers = [];
+    this.commandHandlers = [];
+    this.editHandlers = [];
+
+    // The bot's own user ID (known once the app has started)
+    this.botUserId = null;
   }
 
   /**
@@ -37,6 +50,12 @@ class SlackService {
   _setupEventHandlers() {
     // Handle direct messages and channel messages
     this.app.message(async ({ message, say }) => {
+      // Edits and deletes arrive as message subtypes
+      if (message.subtype === 'message_changed' || message.subtype === 'message_deleted') {
+        await this._dispatchMessageEdit(message, say);
+        return;
+      }
+
       console.log(`📨 Message received from ${message.user}: "${message.text?.substring(0, 50)}..."`);
       
       // Ignore bot messages
@@ -59,8 +78,10 @@ class SlackService {
     this.app.event('app_mention', async ({ event, say }) => {
       console.log(`🔔 App mention received from ${event.user}: "${event.text}"`);
       
-      // Remove the bot mention from the text
-      const cleanText = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+      // Remove the bot's own mention (or the leading one, before the bot's ID is known) -
+      // other mentions stay so commands can take them as arguments
+      const botMention = this.botUserId ? new RegExp(`<@${this.botUserId}(?:\\|[^>]*)?>`, 'g') : /^\s*<@[A-Z0-9]+>/;
+      const cleanText = event.text.replace(botMention, '').trim();
       console.log(`   Clean text: "${cleanText}"`);
 
       // Call registered handlers with cleaned text
@@ -72,6 +93,95 @@ class SlackService {
         }
       }
     });
+
+    // Handle the /standup slash command
+    this.app.command(SLASH_COMMAND, async ({ command, ack, respond }) => {
+      await ack();
+      console.log(`⌨️ ${SLASH_COMMAND} from ${command.user_id}: "${command.text}"`);
+
+      const slashCommand = {
+        userId: command.user_id,
+        channel: command.channel_id,
+        text: command.text || '',
+        isDirectMessage: command.channel_name === 'directmessage',
+      };
+
+      for (const handler of this.commandHandlers) {
+        try {
+          // Replies to slash commands are only visible to whoever ran them
+          await handler(slashCommand, text => respond({ text }));
+        } catch (error) {
+          console.error('Error in command handler:', error);
+        }
+      }
+    });
+
+    // Handle standup button clicks and date picks (see createTaskActionBlocks, createParkingLotActionBlock and createUntrackedWorkBlocks)
+    this.app.action(/^standup_/, async ({ ack, body, action }) => {
+      await ack();
+
+      // Block IDs carry the context: standup_task:<teamId>:<ticketKey>, standup_skip:<teamId>,
+      // standup_parking:<teamId>:<itemId> or standup_untracked:<teamId>:<itemId>
+      const [blockType, teamId, target] = (action.block_id || '').split(':');
+      const ticketKey = blockType === 'standup_task' ? target : null;
+      const itemId = ['standup_parking', 'standup_untracked'].includes(blockType) ? target : null;
+      const standupAction = {
+        type: action.action_id.replace(/^standup_/, ''),
+        userId: body.user?.id,
+        teamId,
+        ticketKey,
+        itemId,
+        selectedDate: action.selected_date || null,
+      };
+      console.log(`🖱️ Standup action '${standupAction.type}' from ${standupAction.userId}${target ? ` on ${target}` : ''}`);
+
+      for (const handler of this.actionHandlers) {
+        try {
+          await handler(standupAction);
+        } catch (error) {
+          console.error('Error in action handler:', error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pass an edited or deleted message on to the edit handlers
+   * @param {Object} event - message_changed or message_deleted event
+   * @param {Function} say - Bolt say function for the channel
+   */
+  async _dispatchMessageEdit(event, say) {
+    const isDeleted = event.subtype === 'message_deleted';
+    const original = event.previous_message || {};
+    const edited = isDeleted ? null : event.message || {};
+
+    // Our own chat.update calls come back as edits too
+    if (original.bot_id || edited?.bot_id) {
+      return;
+    }
+    // A new thread reply also "changes" the parent message (reply count) - only text changes matter
+    if (!isDeleted && edited.text === original.text) {
+      return;
+    }
+
+    const edit = {
+      type: isDeleted ? 'deleted' : 'changed',
+      userId: original.user || edited?.user,
+      channel: event.channel,
+      ts: isDeleted ? event.deleted_ts : edited.ts,
+      threadTs: (edited || original).thread_ts || null,
+      text: edited?.text || null,
+      isDirectMessage: event.channel_type === 'im',
+    };
+    console.log(`✏️ Message ${edit.ts} ${edit.type} by ${edit.userId}`);
+
+    for (const handler of this.editHandlers) {
+      try {
+        await handler(edit, say);
+      } catch (error) {
+        console.error('Error in edit handler:', error);
+      }
+    }
   }
 
   /**
@@ -82,12 +192,47 @@ class SlackService {
     this.messageHandlers.push(handler);
   }
 
+  /**
+   * Register a handler for edited and deleted messages
+   * @param {Function} handler - Handler function ({ type, userId, channel, ts, threadTs, text, isDirectMessage }, say) => void
+   *                             type is 'changed' or 'deleted'; text is null for deleted messages
+   */
+  registerEditHandler(handler) {
+    this.editHandlers.push(handler);
+  }
+
+  /**
+   * Register a handler for standup button clicks
+   * @param {Function} handler - Handler function ({ type, userId, teamId, ticketKey, itemId, selectedDate }) => void
+   *                             type is one of on_track, done, blocked, timeline, skip (prompt buttons)
+   *                             or parking_ticket, parking_thread (summary parking lot buttons, with itemId)
+   *                             or untracked_create, untracked_dismiss (untracked work offers, with itemId)
+   */
+  registerActionHandler(handler) {
+    this.actionHandlers.push(handler);
+  }
+
+  /**
+   * Register a handler for the /standup slash command
+   * @param {Function} handler - Handler function ({ userId, channel, text, isDirectMessage }, respond) => void
+   */
+  registerCommandHandler(handler) {
+    this.commandHandlers.push(handler);
+  }
+
   /**
    * Start the Slack app
    */
   async start() {
     await this.app.start();
     console.log('⚡️ Slack bot is running in Socket Mode!');
+
+    try {
+      const auth = await this.app.client.auth.test();
+      this.botUserId = auth.user_id;
+    } catch (error) {
+      console.error('Failed to look up the bot user:', error.message);
+    }
   }
 
   /**
@@ -113,6 +258,62 @@ class SlackService {
     }
   }
 
+  /**
+   * Update a message the bot posted earlier
+   * @param {string} channel - Channel ID (chat.update doesn't accept names)
+   * @param {string} ts - Timestamp of the message to update
+   * @param {string} text - New message text (fallback for notifications)
+   * @param {Array} blocks - Optional new Block Kit blocks
+   * @returns {Promise<boolean>} True if successful
+   */
+  async updateMessage(channel, ts, text, blocks = null) {
+    try {
+      await this.app.client.chat.update({
+        channel,
+        ts,
+        text,
+        blocks,
+      });
+      return true;
+    } catch (error) {
+      console.error(`Failed to update message ${ts} in ${channel}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add an emoji reaction to a message
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Message timestamp
+   * @param {string} name - Emoji name without colons (e.g. "+1")
+   * @returns {Promise<boolean>} True if successful
+   */
+  async addReaction(channel, ts, name) {
+    try {
+      await this.app.client.reactions.add({ channel, timestamp: ts, name });
+      return true;
+    } catch (error) {
+      console.error(`Failed to add :${name}: to ${ts}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the emoji reactions on a message
+   * @param {string} channel - Channel ID
+   * @param {string} ts - Message timestamp
+   * @returns {Promise<Array>} [{ name, count, users }] (empty if none or on failure)
+   */
+  async getReactions(channel, ts) {
+    try {
+      const result = await this.app.client.reactions.get({ channel, timestamp: ts, full: true });
+      return result.message?.reactions || [];
+    } catch (error) {
+      console.error(`Failed to get reactions on ${ts}:`, error.message);
+      return [];
+    }
+  }
+
   /**
    * Send a direct message to a user
    * @param {string} userId - Slack user ID
@@ -121,8 +322,21 @@ class SlackService {
    * @returns {Promise<string|null>} Message timestamp if successful
    */
   async sendDM(userId, text, blocks = null) {
+    const channelId = await this.openDirectMessage(userId);
+    if (!channelId) {
+      return null;
+    }
+
+    return this.sendMessage(channelId, text, blocks);
+  }
+
+  /**
+   * Open (or reuse) the DM channel between the bot and a user
+   * @param {string} userId - Slack user ID
+   * @returns {Promise<string|null>} DM channel ID if successful
+   */
+  async openDirectMessage(userId) {
     try {
-      // Open a DM channel with the user
       const result = await this.app.client.conversations.open({ users: userId });
       const channelId = result.channel?.id;
 
@@ -131,9 +345,9 @@ class SlackService {
         return null;
       }
 
-      return this.sendMessage(channelId, text, blocks);
+      return channelId;
     } catch (error) {
-      console.error(`Failed to send DM to ${userId}:`, error.message);
+      console.error(`Failed to open DM with ${userId}:`, error.message);
       return null;
     }
   }
@@ -219,6 +433,19 @@ class SlackService {
     }
   }
 
+  /**
+   * Resolve a configured channel ("#name" or an ID) to its channel ID
+   * @param {string} channel - Channel name with # or channel ID
+   * @returns {Promise<string|null>} Channel ID
+   */
+  async resolveChannelId(channel) {
+    if (!channel) return null;
+    if (channel.startsWith('#')) {
+      return this._getChannelId(channel.substring(1));
+    }
+    return channel;
+  }
+
   /**
    * Get channel ID from channel name
    * @param {string} channelName - Channel name without #
@@ -246,9 +473,10 @@ class SlackService {
    * Create Block Kit blocks for standup prompt
    * @param {string} userName - Name of the user
    * @param {Array} tasks - List of task objects
+   * @param {string} teamId - Optional team ID - when given, each task gets quick-update buttons
    * @returns {Array} Block Kit blocks
    */
-  createStandupPromptBlocks(userName, tasks) {
+  createStandupPromptBlocks(userName, tasks, teamId = null) {
     const blocks = [
       {
         type: 'section',
@@ -269,15 +497,12 @@ class SlackService {
         },
       });
 
-      for (const task of tasks.slice(0, 5)) {
-        const statusEmoji = this._getStatusEmoji(task.status);
-        blocks.push({
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `${statusEmoji} *${task.key}*: ${task.summary}\n_Status: ${task.status}_`,
-          },
-        });
+      if (teamId) {
+        blocks.push(...this.createTaskActionBlocks(teamId, tasks.slice(0, 5)));
+      } else {
+        for (const task of tasks.slice(0, 5)) {
+          blocks.push(this._createTaskSection(task));
+        }
       }
 
       blocks.push({ type: 'divider' });
@@ -295,17 +520,152 @@ class SlackService {
   }
 
   /**
-   * Get emoji for task status
-   * @param {string} status - Task status
-   * @returns {string} Emoji
+   * Create interactive blocks for a standup prompt: per task "On track", "Done", "Blocked"
+   * and a timeline date picker, followed by a "Skip me today" button
+   * @param {string} teamId - Team ID (clicks are routed back to the team's workflow)
+   * @param {Array} tasks - List of task objects
+   * @returns {Array} Block Kit blocks
+   */
+  createTaskActionBlocks(teamId, tasks) {
+    const blocks = [];
+
+    for (const task of tasks) {
+      blocks.push(this._createTaskSection(task));
+      blocks.push({
+        type: 'actions',
+        block_id: `standup_task:${teamId}:${task.key}`,
+        elements: [
+          {
+            type: 'button',
+            action_id: 'standup_on_track',
+            text: { type: 'plain_text', text: '👍 On track', emoji: true },
+            style: 'primary',
+          },
+          {
+            type: 'button',
+            action_id: 'standup_done',
+            text: { type: 'plain_text', text: '✅ Done', emoji: true },
+          },
+          {
+            type: 'button',
+            action_id: 'standup_blocked',
+            text: { type: 'plain_text', text: '🚧 Blocked', emoji: true },
+            style: 'danger',
+          },
+          {
+            type: 'datepicker',
+            action_id: 'standup_timeline',
+            placeholder: { type: 'plain_text', text: 'Expected done by', emoji: true },
+            ...(task.dueDate ? { initial_date: task.dueDate } : {}),
+          },
+        ],
+      });
+    }
+
+    blocks.push({
+      type: 'actions',
+      block_id: `standup_skip:${teamId}`,
+      elements: [
+        {
+          type: 'button',
+          action_id: 'standup_skip',
+          text: { type: 'plain_text', text: '🙅 Skip me today', emoji: true },
+        },
+      ],
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Create the buttons under a parking lot item in the standup summary:
+   * "Create JIRA task" and "Start follow-up thread" (each until it's been done)
+   * @param {string} teamId - Team ID (clicks are routed back to the team's workflow)
+   * @param {Object} item - Parking lot item
+   * @returns {Object|null} Block Kit actions block, or null if both have been done
    */
-  _getStatusEmoji(status) {
-    const statusLower = status.toLowerCase();
-    if (statusLower.includes('done')) return '✅';
-    if (statusLower.includes('progress')) return '🔄';
-    if (statusLower.includes('review')) return '👀';
-    if (statusLower.includes('blocked')) return '🚫';
-    return '📋';
+  createParkingLotActionBlock(teamId, item) {
+    const elements = [];
+
+    if (!item.issueKey) {
+      elements.push({
+        type: 'button',
+        action_id: 'standup_parking_ticket',
+        text: { type: 'plain_text', text: '🎫 Create JIRA task', emoji: true },
+      });
+    }
+    if (!item.threadTs) {
+      elements.push({
+        type: 'button',
+        action_id: 'standup_parking_thread',
+        text: { type: 'plain_text', text: '🧵 Start follow-up thread', emoji: true },
+      });
+    }
+
+    if (elements.length === 0) {
+      return null;
+    }
+
+    return {
+      type: 'actions',
+      block_id: `standup_parking:${teamId}:${item.id}`,
+      elements,
+    };
+  }
+
+  /**
+   * Create the offer to file untracked work as JIRA tickets: each item with "Create ticket" / "No thanks"
+   * @param {string} teamId - Team ID (clicks are routed back to the team's workflow)
+   * @param {Array} items - Untracked work items [{ id, summary, description }]
+   * @returns {Array} Block Kit blocks
+   */
+  createUntrackedWorkBlocks(teamId, items) {
+    const blocks = [];
+
+    for (const item of items) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${item.summary}*${item.description ? `\n_${item.description}_` : ''}`,
+        },
+      });
+      blocks.push({
+        type: 'actions',
+        block_id: `standup_untracked:${teamId}:${item.id}`,
+        elements: [
+          {
+            type: 'button',
+            action_id: 'standup_untracked_create',
+            text: { type: 'plain_text', text: '🎫 Create ticket', emoji: true },
+            style: 'primary',
+          },
+          {
+            type: 'button',
+            action_id: 'standup_untracked_dismiss',
+            text: { type: 'plain_text', text: 'No thanks', emoji: true },
+          },
+        ],
+      });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Create the section block describing a task
+   * @param {Object} task - Task object
+   * @returns {Object} Block Kit section
+   */
+  _createTaskSection(task) {
+    const statusEmoji = getStatusEmoji(task.statusCategory || guessStatusCategory(task.status));
+    return {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${statusEmoji} *${task.key}*: ${task.summary}\n_Status: ${task.status}_`,
+      },
+    };
   }
 }
 
@@ -0,0 +1,183 @@
+/**
+ * Status Service
+ * Describes a JIRA project's workflow statuses and what each one means to the standup:
+ * - Status categories: to do, in progress, in review, blocked and done
+ * - Configured per team, or discovered from the project's JIRA status categories
+ * - Drives task categorization, the done filter, the statuses offered to the LLM and status emoji
+ */
+
+// What a status means to the standup
+export const StatusCategory = {
+  TODO: 'todo',               // Not started - asked about in the to-do phase
+  IN_PROGRESS: 'in_progress', // Being worked on - asked about first
+  REVIEW: 'review',           // Work finished, waiting on review or QA - asked about with in-progress work
+  BLOCKED: 'blocked',         // Can't move - asked about with in-progress work
+  DONE: 'done',               // Finished - left out of standups
+};
+
+// Config keys for each category (e.g. { "inProgress": ["In Progress", "Dev Complete"] })
+const CONFIG_KEYS = {
+  todo: StatusCategory.TODO,
+  inProgress: StatusCategory.IN_PROGRESS,
+  review: StatusCategory.REVIEW,
+  blocked: StatusCategory.BLOCKED,
+  done: StatusCategory.DONE,
+};
+
+// JIRA's own status categories (statusCategory.key) - JIRA has no review or blocked category
+const JIRA_CATEGORIES = {
+  new: StatusCategory.TODO,
+  indeterminate: StatusCategory.IN_PROGRESS,
+  done: StatusCategory.DONE,
+};
+
+const STATUS_EMOJI = {
+  [StatusCategory.TODO]: '📋',
+  [StatusCategory.IN_PROGRESS]: '🔄',
+  [StatusCategory.REVIEW]: '👀',
+  [StatusCategory.BLOCKED]: '🚫',
+  [StatusCategory.DONE]: '✅',
+};
+
+// Preferred status to move a ticket to for each category, when the workflow has it
+const PREFERRED_NAMES = {
+  [StatusCategory.TODO]: 'to do',
+  [StatusCategory.IN_PROGRESS]: 'in progress',
+  [StatusCategory.REVIEW]: 'in review',
+  [StatusCategory.BLOCKED]: 'blocked',
+  [StatusCategory.DONE]: 'done',
+};
+
+// The statuses assumed when a project's workflow can't be read
+const DEFAULT_STATUSES = ['To Do', 'In Progress', 'In Review', 'Blocked', 'Done'];
+
+/**
+ * Guess what a status means from its name (and JIRA's category for it, if known)
+ * JIRA files review, QA and blocked statuses under "In Progress", so the name decides those
+ * @param {string} name - Status name
+ * @param {string} jiraCategory - JIRA statusCategory key ('new', 'indeterminate', 'done'), if known
+ * @returns {string|null} StatusCategory, or null if nothing fits
+ */
+export function guessStatusCategory(name, jiraCategory = null) {
+  const nameLower = (name || '').toLowerCase();
+
+  if (jiraCategory === 'done') return StatusCategory.DONE;
+  if (/block|impeded|on hold/.test(nameLower)) return StatusCategory.BLOCKED;
+  if (/review|\bqa\b|test|verif|dev complete/.test(nameLower)) return StatusCategory.REVIEW;
+  if (JIRA_CATEGORIES[jiraCategory]) return JIRA_CATEGORIES[jiraCategory];
+
+  if (/\b(done|closed|resolved|released)\b/.test(nameLower)) return StatusCategory.DONE;
+  if (/progress|develop|doing/.test(nameLower)) return StatusCategory.IN_PROGRESS;
+  if (/to ?do|open|backlog|selected/.test(nameLower)) return StatusCategory.TODO;
+  return null;
+}
+
+/**
+ * Get the emoji for a status category
+ * @param {string} category - StatusCategory
+ * @returns {string} Emoji
+ */
+export function getStatusEmoji(category) {
+  return STATUS_EMOJI[category] || '📋';
+}
+
+export class StatusModel {
+  /**
+   * @param {Array} statuses - [{ name, category }] in workflow order
+   */
+  constructor(statuses) {
+    this.statuses = statuses;
+    this.byName = new Map(statuses.map(s => [s.name.toLowerCase(), s]));
+  }
+
+  /**
+   * Build a model from a team's configured statuses
+   * @param {Object} statusConfig - Status names per category, e.g. { todo: ["Open"], done: ["Closed"] }
+   *   (keys: todo, inProgress, review, blocked, done)
+   * @returns {StatusModel} Model
+   */
+  static fromConfig(statusConfig) {
+    const statuses = [];
+    for (const [key, category] of Object.entries(CONFIG_KEYS)) {
+      for (const name of statusConfig[key] || []) {
+        statuses.push({ name, category });
+      }
+    }
+    return new StatusModel(statuses);
+  }
+
+  /**
+   * Build a model from the statuses JIRA reports for a project
+   * @param {Array} jiraStatuses - [{ name, statusCategory: { key } }]
+   * @returns {StatusModel} Model
+   */
+  static fromJira(jiraStatuses) {
+    const seen = new Set();
+    const statuses = [];
+    for (const status of jiraStatuses) {
+      if (!status?.name || seen.has(status.name.toLowerCase())) continue;
+      seen.add(status.name.toLowerCase());
+      statuses.push({
+        name: status.name,
+        category: guessStatusCategory(status.name, status.statusCategory?.key) || StatusCategory.IN_PROGRESS,
+      });
+    }
+    return new StatusModel(statuses);
+  }
+
+  /**
+   * Build the model assumed when a project's workflow isn't known
+   * @returns {StatusModel} Model
+   */
+  static default() {
+    return new StatusModel(DEFAULT_STATUSES.map(name => ({ name, category: guessStatusCategory(name) })));
+  }
+
+  /**
+   * Work out what a status means
+   * Statuses the model doesn't list are guessed from their name and JIRA category
+   * @param {string} status - Status name
+   * @param {string} jiraCategory - JIRA statusCategory key of the status, if known
+   * @returns {string|null} StatusCategory, or null if it can't be told
+   */
+  categorize(status, jiraCategory = null) {
+    const known = this.byName.get((status || '').toLowerCase());
+    return known ? known.category : guessStatusCategory(status, jiraCategory);
+  }
+
+  /**
+   * Check whether a status means the work is finished
+   * @param {string} status - Status name
+   * @returns {boolean} True if done
+   */
+  isDone(status) {
+    return this.categorize(status) === StatusCategory.DONE;
+  }
+
+  /**
+   * Get the names of the statuses that mean done
+   * @returns {string[]} Status names
+   */
+  getDoneStatuses() {
+    return this.statuses.filter(s => s.category === StatusCategory.DONE).map(s => s.name);
+  }
+
+  /**
+   * Get the status to move a ticket to for a category (e.g. the done status for the Done button)
+   * @param {string} category - StatusCategory
+   * @returns {string|null} Status name, or null if the workflow has none
+   */
+  getStatusName(category) {
+    const candidates = this.statuses.filter(s => s.category === category);
+    const preferred = candidates.find(s => s.name.toLowerCase() === PREFERRED_NAMES[category]);
+    return (preferred || candidates[0])?.name || null;
+  }
+
+  /**
+   * Get the statuses a ticket can be moved to at standup, for the LLM prompt
+   * @returns {string[]} Status names
+   */
+  getStatusChoices() {
+    return this.statuses.filter(s => s.category !== StatusCategory.TODO).map(s => s.name);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Worklog Tracking Service
+ * Keeps the JIRA worklogs posted from standup updates, so that:
+ * - The summary can show each developer's time logged this week
+ * - A worklog can be found again (and removed) when the reply it came from is edited or deleted
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+import { shiftDate } from './calendarService.js';
+
+// JIRA's default working day and how durations are written
+const HOURS_PER_DAY = 8;
+const UNIT_SECONDS = { d: HOURS_PER_DAY * 3600, h: 3600, m: 60 };
+
+/**
+ * Turn a stated amount of time into seconds
+ * Understands e.g. "3h", "2.5 hours", "1d 2h", "2h30m", "1h30", "45 mins", "an hour", "a couple of hours", "half a day" and "all day"
+ * @param {string} text - Time as the developer said it
+ * @returns {number|null} Seconds, or null if it can't be worked out
+ */
+export function parseDuration(text) {
+  const value = (text || '').toLowerCase()
+    .replace(/\b(all|full|whole|entire) day\b/, '1d')
+    .replace(/\bhalf (a )?day\b/, '4h')
+    .replace(/\bhalf an hour\b/, '30m')
+    .replace(/\ba couple of\b/, '2')
+    .replace(/\ba few\b/, '3')
+    .replace(/\b(an|a|one)\b(?= (hour|day|minute))/, '1')
+    // "1h30" - a bare number right after hours is minutes
+    .replace(/(\d)\s*(h|hrs?|hours?)\s*(\d{1,2})(?!\s*[a-z\d.])/, '$1h $3m');
+
+  let seconds = 0;
+  for (const match of value.matchAll(/(\d+(?:\.\d+)?)\s*(d|days?|h|hrs?|hours?|m|mins?|minutes?)(?![a-z])/g)) {
+    seconds += parseFloat(match[1]) * UNIT_SECONDS[match[2][0]];
+  }
+  return seconds > 0 ? Math.round(seconds / 60) * 60 : null;
+}
+
+/**
+ * Format seconds the way JIRA shows time spent, in hours and minutes (e.g. "12h 30m")
+ * @param {number} seconds - Seconds
+ * @returns {string} Duration
+ */
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+}
+
+class WorklogService {
+  constructor() {
+    this.storagePath = path.join(config.app.dataDir, 'worklogs.json');
+    this.worklogs = [];
+    this._loadWorklogs();
+  }
+
+  /**
+   * Load worklogs from storage
+   */
+  _loadWorklogs() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, 'utf8');
+        this.worklogs = JSON.parse(data);
+        console.log(`Loaded ${this.worklogs.length} worklogs`);
+      }
+    } catch (error) {
+      console.error('Failed to load worklogs:', error.message);
+      this.worklogs = [];
+    }
+  }
+
+  /**
+   * Save worklogs to storage
+   */
+  _saveWorklogs() {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.storagePath, JSON.stringify(this.worklogs, null, 2));
+    } catch (error) {
+      console.error('Failed to save worklogs:', error.message);
+    }
+  }
+
+  /**
+   * Record a worklog posted to JIRA from a standup update
+   * @param {Object} details - Worklog details
+   * @param {string} details.teamId - Team ID
+   * @param {string} details.date - Standup date (YYYY-MM-DD)
+   * @param {string} details.userEmail - Developer's email
+   * @param {string} details.userName - Developer's name
+   * @param {string} details.ticketKey - Ticket key
+   * @param {string} details.worklogId - JIRA worklog ID
+   * @param {number} details.seconds - Time spent
+   * @returns {Object} Worklog
+   */
+  recordWorklog({ teamId, date, userEmail, userName, ticketKey, worklogId, seconds }) {
+    const worklog = { teamId, date, userEmail, userName, ticketKey, worklogId, seconds };
+    this.worklogs.push(worklog);
+    this._saveWorklogs();
+    return worklog;
+  }
+
+  /**
+   * Forget a worklog (it was deleted from JIRA)
+   * @param {string} ticketKey - Ticket key
+   * @param {string} worklogId - JIRA worklog ID
+   * @returns {boolean} True if a worklog was removed
+   */
+  removeWorklog(ticketKey, worklogId) {
+    const before = this.worklogs.length;
+    this.worklogs = this.worklogs.filter(w => !(w.ticketKey === ticketKey && w.worklogId === worklogId));
+    if (this.worklogs.length === before) {
+      return false;
+    }
+    this._saveWorklogs();
+    return true;
+  }
+
+  /**
+   * Get each developer's time logged in the week a date falls in (Monday up to that date)
+   * @param {string} teamId - Team ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array} [{ userEmail, userName, weekSeconds, daySeconds }], most time first
+   */
+  getWeeklyTotals(teamId, date) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const monday = shiftDate(date, -((dayOfWeek + 6) % 7));
+
+    const totals = new Map();
+    for (const worklog of this.worklogs) {
+      if (worklog.teamId !== teamId || worklog.date < monday || worklog.date > date) continue;
+
+      const total = totals.get(worklog.userEmail) || { userEmail: worklog.userEmail, userName: worklog.userName, weekSeconds: 0, daySeconds: 0 };
+      total.weekSeconds += worklog.seconds;
+      if (worklog.date === date) {
+        total.daySeconds += worklog.seconds;
+      }
+      totals.set(worklog.userEmail, total);
+    }
+
+    return [...totals.values()].sort((a, b) => b.weekSeconds - a.weekSeconds);
+  }
+}
+
+export default new WorklogService();
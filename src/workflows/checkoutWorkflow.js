@@ -0,0 +1,480 @@
+/**
+ * End-of-day Check-out Workflow
+ * An optional second workflow in the afternoon, after the team's standup:
+ * - DMs everyone who completed standup with what they said they'd do (from their standup updates)
+ * - Asks what actually got done and analyzes the reply with a check-out prompt
+ * - Applies the same JIRA transitions and comments as a standup reply
+ * - Posts a short end-of-day delta (done / partly done / not done) to the team's channel
+ * - Persisting state to disk so a check-out survives a process restart
+ *
+ * One instance runs per team next to its StandupWorkflow (see teamRegistry.js),
+ * sharing its JIRA, LLM and calendar.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+import slackService from '../services/slackService.js';
+
+// Check-out states for individual developers
+const CheckoutState = {
+  WAITING: 'waiting',   // Asked, no reply yet
+  DONE: 'done',         // Replied and applied
+  NO_REPLY: 'no_reply', // Unreachable, or the deadline passed first
+};
+
+// Overall check-out phases
+const CheckoutPhase = {
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+};
+
+// How each planned ticket turned out
+const OUTCOME_ICONS = {
+  done: '✅',
+  partial: '🔶',
+  not_done: '⏳',
+};
+
+// Version of the on-disk state snapshot (bump when the shape changes)
+const STATE_VERSION = 1;
+
+/**
+ * Format a YYYY-MM-DD date for display, e.g. "Mon, Mar 18"
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string} Formatted date
+ */
+function formatDate(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export class CheckoutWorkflow {
+  /**
+   * @param {StandupWorkflow} standupWorkflow - The team's standup workflow (the plans come from its sessions)
+   */
+  constructor(standupWorkflow) {
+    this.standup = standupWorkflow;
+    this.team = standupWorkflow.team;
+
+    // Check-out sessions keyed by user_id
+    this.sessions = new Map();
+
+    // Track today's check-out
+    this.checkoutDate = null;
+    this.phase = CheckoutPhase.NOT_STARTED;
+
+    // The delta is posted at this time even if some developers haven't replied
+    this.deadline = null;
+    this.deadlineTimer = null;
+
+    // Snapshot of the workflow state, rewritten on every transition
+    this.statePath = path.join(config.app.dataDir, `checkout_state_${this.team.id}.json`);
+  }
+
+  /**
+   * Save a snapshot of the current check-out state to disk
+   */
+  saveState() {
+    const state = {
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      checkoutDate: this.checkoutDate,
+      phase: this.phase,
+      deadline: this.deadline,
+      sessions: Array.from(this.sessions.values()),
+    };
+
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.statePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      // Write to a temp file first so a crash mid-write never leaves a truncated snapshot
+      const tmpPath = `${this.statePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, this.statePath);
+    } catch (error) {
+      console.error('Failed to save check-out state:', error.message);
+    }
+  }
+
+  /**
+   * Load the state snapshot from disk and resume a check-out that was interrupted by a restart
+   * Only today's snapshot is restored; the deadline is rebuilt (and fires right away if it has passed)
+   * @returns {Promise<boolean>} True if a check-out was resumed
+   */
+  async restoreState() {
+    let state;
+    try {
+      if (!fs.existsSync(this.statePath)) {
+        return false;
+      }
+      state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load check-out state:', error.message);
+      return false;
+    }
+
+    if (state.version !== STATE_VERSION) {
+      console.warn(`Ignoring check-out state with unsupported version ${state.version}`);
+      return false;
+    }
+
+    const today = this.standup.calendar.today();
+    if (state.checkoutDate !== today) {
+      return false;
+    }
+
+    this.sessions = new Map((state.sessions || []).map(s => [s.userId, s]));
+    this.checkoutDate = state.checkoutDate;
+    this.phase = state.phase;
+    this.deadline = state.deadline || null;
+
+    console.log(`Restored check-out state from ${state.savedAt} (phase: ${this.phase}, ${this.sessions.size} sessions)`);
+
+    if (this.phase !== CheckoutPhase.IN_PROGRESS) {
+      return false;
+    }
+
+    this._scheduleDeadline(Math.max(this.deadline - Date.now(), 0));
+    console.log(`▶️ Resumed check-out (${this._getWaitingSessions().length} developers still to reply)`);
+    return true;
+  }
+
+  /**
+   * Check whether a check-out is running
+   * @returns {boolean} True if running
+   */
+  isRunning() {
+    return this.phase === CheckoutPhase.IN_PROGRESS;
+  }
+
+  /**
+   * Check whether today's check-out has already been done
+   * @returns {boolean} True if completed today
+   */
+  isCompletedToday() {
+    return this.phase === CheckoutPhase.COMPLETED && this.checkoutDate === this.standup.calendar.today();
+  }
+
+  /**
+   * Start today's check-out: DM everyone who completed standup and gave updates
+   * @returns {Promise<number>} Number of developers asked (0 if there was nothing to check out)
+   */
+  async start() {
+    const today = this.standup.calendar.today();
+
+    if (this.isRunning() || this.isCompletedToday()) {
+      console.log(`Check-out for ${this.team.name} is already ${this.isRunning() ? 'running' : 'done for today'}`);
+      return 0;
+    }
+
+    const standupSessions = this.standup.getCompletedSessions().filter(s => s.updates.length > 0);
+    if (standupSessions.length === 0) {
+      console.log(`Skipping ${this.team.name} check-out - nobody gave standup updates today`);
+      return 0;
+    }
+
+    console.log(`🌆 Starting end-of-day check-out for ${this.team.name}...`);
+
+    this.reset();
+    this.checkoutDate = today;
+    this.phase = CheckoutPhase.IN_PROGRESS;
+
+    for (const standupSession of standupSessions) {
+      const session = {
+        userId: standupSession.userId,
+        userName: standupSession.userName,
+        userEmail: standupSession.userEmail,
+        tasks: standupSession.tasks,
+        plan: this._buildPlan(standupSession),
+        dmChannel: await slackService.openDirectMessage(standupSession.userId),
+        state: CheckoutState.WAITING,
+        outcomes: [],
+        blockers: [],
+        summary: null,
+        completedAt: null,
+      };
+      this.sessions.set(session.userId, session);
+
+      if (!session.dmChannel) {
+        session.state = CheckoutState.NO_REPLY;
+        continue;
+      }
+
+      await slackService.sendMessage(session.dmChannel, this._buildPrompt(session));
+    }
+
+    const deadlineMs = this.team.checkout.deadlineMinutes * 60000;
+    this.deadline = Date.now() + deadlineMs;
+    this._scheduleDeadline(deadlineMs);
+
+    console.log(`📬 Check-out started for ${this.sessions.size} developers, delta due by ${new Date(this.deadline).toISOString()}`);
+
+    // Everyone may have been unreachable
+    await this._checkCompletion();
+    return this.sessions.size;
+  }
+
+  /**
+   * Combine a developer's standup updates into one planned item per ticket (later updates win)
+   * @param {Object} standupSession - The developer's standup session
+   * @returns {Array} [{ ticketKey, summary, newStatus, progressNote, timeline, expectedDate }]
+   */
+  _buildPlan(standupSession) {
+    const plan = new Map();
+
+    for (const update of standupSession.updates) {
+      const item = plan.get(update.ticketKey) || {
+        ticketKey: update.ticketKey,
+        summary: standupSession.tasks.find(t => t.key === update.ticketKey)?.summary || null,
+        newStatus: null,
+        progressNote: null,
+        timeline: null,
+        expectedDate: null,
+      };
+      item.newStatus = update.newStatus || item.newStatus;
+      item.progressNote = update.progressNote || item.progressNote;
+      item.timeline = update.timeline || item.timeline;
+      item.expectedDate = update.expectedDate || item.expectedDate;
+      plan.set(update.ticketKey, item);
+    }
+
+    return Array.from(plan.values());
+  }
+
+  /**
+   * Describe one planned item, e.g. "*PROJ-12* Login page - finish validation (moved to In Review, by Thu, Oct 22)"
+   * @param {Object} item - Planned item
+   * @returns {string} Description
+   */
+  _describePlanItem(item) {
+    const details = [
+      item.newStatus ? `moved to ${item.newStatus}` : null,
+      item.expectedDate === this.checkoutDate ? 'by today' : item.expectedDate ? `by ${formatDate(item.expectedDate)}` : item.timeline,
+    ].filter(Boolean);
+
+    let text = `*${item.ticketKey}*${item.summary ? ` ${item.summary}` : ''}`;
+    text += item.progressNote ? ` - ${item.progressNote}` : '';
+    text += details.length > 0 ? ` _(${details.join(', ')})_` : '';
+    return text;
+  }
+
+  /**
+   * Build the check-out DM listing what the developer said they'd do
+   * @param {Object} session - Check-out session
+   * @returns {string} Message text
+   */
+  _buildPrompt(session) {
+    const firstName = session.userName.split(' ')[0];
+    let text = `🌆 Hi ${firstName}! Time for a quick end-of-day check-out.\n\n`;
+    text += "*At standup this morning you said:*\n";
+    text += session.plan.map(item => `• ${this._describePlanItem(item)}`).join('\n');
+    text += "\n\nWhat actually got done today? If something didn't happen, a few words on why help.";
+    return text;
+  }
+
+  /**
+   * Schedule the deadline (posts the delta with whoever has replied)
+   * @param {number} delayMs - Delay before the deadline fires
+   */
+  _scheduleDeadline(delayMs) {
+    this._clearDeadline();
+    this.deadlineTimer = setTimeout(async () => {
+      this.deadlineTimer = null;
+      console.log('⏰ Check-out deadline reached, posting the end-of-day delta...');
+      await this._complete();
+    }, delayMs);
+    this.saveState();
+  }
+
+  /**
+   * Clear the deadline timer
+   */
+  _clearDeadline() {
+    if (this.deadlineTimer) {
+      clearTimeout(this.deadlineTimer);
+      this.deadlineTimer = null;
+    }
+  }
+
+  /**
+   * Get sessions still waiting for a reply
+   * @returns {Array} Waiting sessions
+   */
+  _getWaitingSessions() {
+    return Array.from(this.sessions.values()).filter(s => s.state === CheckoutState.WAITING);
+  }
+
+  /**
+   * Check whether a DM is a check-out reply for this workflow
+   * @param {string} userId - Slack user ID
+   * @param {string} channel - Channel ID
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {boolean} True if the message should be handled by this workflow
+   */
+  ownsMessage(userId, channel, isDirectMessage = false) {
+    const session = this.sessions.get(userId);
+    return Boolean(
+      this.isRunning() && isDirectMessage &&
+      session?.state === CheckoutState.WAITING && session.dmChannel === channel
+    );
+  }
+
+  /**
+   * Handle a developer's check-out reply: compare it with the plan and update JIRA
+   * @param {string} userId - Slack user ID
+   * @param {string} message - Message text
+   * @param {string} channel - Channel ID
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {Promise<string|null>} Response message or null
+   */
+  async handleUserMessage(userId, message, channel, isDirectMessage = false) {
+    if (!this.ownsMessage(userId, channel, isDirectMessage)) {
+      return null;
+    }
+
+    const session = this.sessions.get(userId);
+    console.log(`🌆 Check-out reply from ${session.userName}`);
+
+    const planContext = session.plan.map(item => `- ${this._describePlanItem(item).replace(/\*/g, '')}`).join('\n');
+    const tasksContext = session.tasks.map(t => this.standup.jira.formatTicketContext(t)).join('\n\n');
+    const analysis = await this.standup.llm.analyzeCheckoutResponse(
+      message, planContext, tasksContext, this.standup.getStatusChoices(session.tasks), this.standup.getSprintContext()
+    );
+    if (!analysis) {
+      // Still waiting - they can send it again
+      return "Sorry, I couldn't process that just now. Could you send your check-out again?";
+    }
+
+    // Only tickets they planned or own - never transition a ticket the LLM made up
+    const knownKeys = new Set([...session.plan.map(item => item.ticketKey), ...session.tasks.map(t => t.key)]);
+    const updates = analysis.taskUpdates.filter(u => knownKeys.has(u.ticketKey));
+
+    // A planned ticket they didn't mention didn't happen
+    for (const item of session.plan) {
+      if (!updates.some(u => u.ticketKey === item.ticketKey)) {
+        updates.push({ ticketKey: item.ticketKey, outcome: 'not_done', newStatus: null, progressNote: null });
+      }
+    }
+
+    session.outcomes = [];
+    for (const update of updates) {
+      const { changes } = update.newStatus
+        ? await this.standup.syncJiraUpdate(update.ticketKey, null, update, {
+          commentPrefix: '[Check-out Update]',
+          author: this.standup.getJiraAuthor(session),
+        })
+        : { changes: [] };
+
+      session.outcomes.push({
+        ticketKey: update.ticketKey,
+        summary: session.tasks.find(t => t.key === update.ticketKey)?.summary || null,
+        planned: session.plan.some(item => item.ticketKey === update.ticketKey),
+        outcome: OUTCOME_ICONS[update.outcome] ? update.outcome : 'partial',
+        newStatus: update.newStatus || null,
+        progressNote: update.progressNote || null,
+        jiraChanges: changes,
+      });
+    }
+
+    session.blockers = analysis.blockers;
+    session.summary = analysis.summary;
+    session.state = CheckoutState.DONE;
+    session.completedAt = new Date().toISOString();
+    this.saveState();
+
+    const jiraLines = session.outcomes
+      .filter(o => o.jiraChanges.length > 0)
+      .map(o => `• *${o.ticketKey}*: ${o.jiraChanges.join(', ')}`);
+    let reply = "Thanks! That's you checked out for today. 🌙";
+    if (jiraLines.length > 0) {
+      reply += `\n\nI've updated JIRA:\n${jiraLines.join('\n')}`;
+    }
+
+    await this._checkCompletion();
+    return reply;
+  }
+
+  /**
+   * Complete the check-out once every developer has replied
+   */
+  async _checkCompletion() {
+    if (this.isRunning() && this._getWaitingSessions().length === 0) {
+      await this._complete();
+    }
+  }
+
+  /**
+   * Finish the check-out and post the end-of-day delta to the team's channel
+   */
+  async _complete() {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    this._clearDeadline();
+    for (const session of this._getWaitingSessions()) {
+      session.state = CheckoutState.NO_REPLY;
+    }
+    this.phase = CheckoutPhase.COMPLETED;
+    this.saveState();
+
+    await slackService.sendMessage(this.team.channel, this._buildDelta());
+    console.log(`🌆 ${this.team.name} check-out complete`);
+  }
+
+  /**
+   * Build the end-of-day delta: per developer, how each planned ticket turned out
+   * @returns {string} Message text
+   */
+  _buildDelta() {
+    const sessions = Array.from(this.sessions.values());
+    const checkedOut = sessions.filter(s => s.state === CheckoutState.DONE);
+    const noReply = sessions.filter(s => s.state === CheckoutState.NO_REPLY);
+
+    let text = `🌆 *End-of-day check-out* - ${formatDate(this.checkoutDate)}\n`;
+
+    for (const session of checkedOut) {
+      text += `\n*${session.userName}*\n`;
+      for (const outcome of session.outcomes) {
+        text += `${OUTCOME_ICONS[outcome.outcome]} ${outcome.ticketKey}${outcome.summary ? ` ${outcome.summary}` : ''}`;
+        text += outcome.newStatus ? ` → ${outcome.newStatus}` : '';
+        text += outcome.planned ? '' : ' _(unplanned)_';
+        text += outcome.progressNote ? ` - ${outcome.progressNote}` : '';
+        text += '\n';
+      }
+      for (const blocker of session.blockers) {
+        text += `🚧 ${blocker}\n`;
+      }
+    }
+
+    if (checkedOut.length === 0) {
+      text += '\nNobody checked out today.\n';
+    }
+    if (noReply.length > 0) {
+      text += `\n_No check-out from: ${noReply.map(s => s.userName).join(', ')}_`;
+    }
+
+    return text.trimEnd();
+  }
+
+  /**
+   * Reset the check-out state (and its deadline)
+   */
+  reset() {
+    this._clearDeadline();
+    this.sessions.clear();
+    this.checkoutDate = null;
+    this.phase = CheckoutPhase.NOT_STARTED;
+    this.deadline = null;
+  }
+}
@@ -0,0 +1,660 @@
+/**
+ * Sprint Retrospective Workflow
+ * Runs an async retro at the end of each sprint:
+ * - Seeds it with facts from the sprint's standups: blockers raised, slipped timelines and
+ *   members who needed follow-up
+ * - Collects "went well / didn't go well / ideas" from each member by DM
+ * - Groups the feedback into themes with the LLM and posts one message per theme for an emoji-reaction vote
+ * - Files the top-voted action items as JIRA tickets
+ * - Persisting state to disk so a retro survives a process restart
+ *
+ * One instance runs per team next to its StandupWorkflow (see teamRegistry.js),
+ * sharing its JIRA, LLM and calendar.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+import slackService from '../services/slackService.js';
+import blockerService, { BlockerStatus } from '../services/blockerService.js';
+import commitmentService from '../services/commitmentService.js';
+import historyService from '../services/historyService.js';
+import { shiftDate } from '../services/calendarService.js';
+
+// Overall retro phases
+const RetroPhase = {
+  NOT_STARTED: 'not_started',
+  COLLECTING: 'collecting', // Members are DMed for feedback
+  VOTING: 'voting',         // Themes are posted in the channel for a reaction vote
+  COMPLETED: 'completed',
+};
+
+// Feedback categories (as returned by the theme grouping)
+const CATEGORY_LABELS = {
+  went_well: '👍 Went well',
+  didnt_go_well: "👎 Didn't go well",
+  idea: '💡 Idea',
+};
+
+// Reaction members vote with (skin-tone variants count too)
+const VOTE_REACTION = '+1';
+
+// Most facts of each kind listed in the retro
+const MAX_FACTS = 5;
+
+// Version of the on-disk state snapshot (bump when the shape changes)
+const STATE_VERSION = 1;
+
+/**
+ * Format a YYYY-MM-DD date for display, e.g. "Mon, Mar 18"
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string} Formatted date
+ */
+function formatDate(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Number of calendar days from one YYYY-MM-DD date to another (negative if toDate is earlier)
+ * @param {string} fromDate - Start date
+ * @param {string} toDate - End date
+ * @returns {number} Days
+ */
+function daysFrom(fromDate, toDate) {
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+export class RetroWorkflow {
+  /**
+   * @param {StandupWorkflow} standupWorkflow - The team's standup workflow
+   */
+  constructor(standupWorkflow) {
+    this.standup = standupWorkflow;
+    this.team = standupWorkflow.team;
+
+    this.phase = RetroPhase.NOT_STARTED;
+
+    // Sprint the retro is about: { start, end } (YYYY-MM-DD)
+    this.sprint = null;
+
+    // Facts from the sprint's standups: { blockers, slipped, followups }
+    this.facts = null;
+
+    // Members keyed by user_id: { userId, name, dmChannel, feedback: [{ category, text }] }
+    this.members = new Map();
+
+    // Themes posted for the vote: [{ title, category, summary, actionItem, messageTs, votes, issueKey }]
+    this.themes = [];
+
+    // Channel ID the vote runs in (reactions need the ID, not the name)
+    this.channelId = null;
+
+    // End of the current phase (ms) and its timer
+    this.deadline = null;
+    this.deadlineTimer = null;
+
+    // True while the vote is being opened or closed, so the deadline and a command can't both do it
+    this.transitionPending = false;
+
+    // Snapshot of the workflow state, rewritten on every transition
+    this.statePath = path.join(config.app.dataDir, `retro_state_${this.team.id}.json`);
+  }
+
+  /**
+   * Save a snapshot of the current retro state to disk
+   */
+  saveState() {
+    const state = {
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      phase: this.phase,
+      sprint: this.sprint,
+      facts: this.facts,
+      members: Array.from(this.members.values()),
+      themes: this.themes,
+      channelId: this.channelId,
+      deadline: this.deadline,
+    };
+
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.statePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      // Write to a temp file first so a crash mid-write never leaves a truncated snapshot
+      const tmpPath = `${this.statePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, this.statePath);
+    } catch (error) {
+      console.error('Failed to save retro state:', error.message);
+    }
+  }
+
+  /**
+   * Load the state snapshot from disk and resume a retro that was interrupted by a restart
+   * A retro spans days, so any unfinished one is resumed; its deadline fires right away if it has passed
+   * @returns {Promise<boolean>} True if a retro was resumed
+   */
+  async restoreState() {
+    let state;
+    try {
+      if (!fs.existsSync(this.statePath)) {
+        return false;
+      }
+      state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load retro state:', error.message);
+      return false;
+    }
+
+    if (state.version !== STATE_VERSION) {
+      console.warn(`Ignoring retro state with unsupported version ${state.version}`);
+      return false;
+    }
+
+    this.phase = state.phase;
+    this.sprint = state.sprint;
+    this.facts = state.facts;
+    this.members = new Map((state.members || []).map(m => [m.userId, m]));
+    this.themes = state.themes || [];
+    this.channelId = state.channelId || null;
+    this.deadline = state.deadline || null;
+
+    if (!this.isRunning()) {
+      return false;
+    }
+
+    this._scheduleDeadline(Math.max(this.deadline - Date.now(), 0));
+    console.log(`▶️ Resumed ${this.team.name} retro (phase: ${this.phase})`);
+    return true;
+  }
+
+  /**
+   * Check whether a retro is running (collecting feedback or voting)
+   * @returns {boolean} True if running
+   */
+  isRunning() {
+    return this.phase === RetroPhase.COLLECTING || this.phase === RetroPhase.VOTING;
+  }
+
+  /**
+   * Get the current phase
+   * @returns {string} Phase
+   */
+  getPhase() {
+    return this.phase;
+  }
+
+  /**
+   * Work out the sprint a date falls in, from the configured first sprint and sprint length
+   * Without a configured sprint, it's the sprint length up to and including the date
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {Object} { start, end } (YYYY-MM-DD)
+   */
+  getSprintWindow(dateStr) {
+    const { sprintStart, sprintLengthDays } = this.team.retro;
+    if (!sprintStart) {
+      return { start: shiftDate(dateStr, -(sprintLengthDays - 1)), end: dateStr };
+    }
+
+    const sprintNumber = Math.floor(daysFrom(sprintStart, dateStr) / sprintLengthDays);
+    const start = shiftDate(sprintStart, sprintNumber * sprintLengthDays);
+    return { start, end: shiftDate(start, sprintLengthDays - 1) };
+  }
+
+  /**
+   * Check whether a date is the last working day of its sprint (the scheduled retro day)
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean} True if the retro should run that day
+   */
+  isSprintEnd(dateStr) {
+    const { start, end } = this.getSprintWindow(dateStr);
+    let lastWorkingDay = end;
+    while (lastWorkingDay > start && !this.standup.calendar.isWorkingDay(lastWorkingDay)) {
+      lastWorkingDay = shiftDate(lastWorkingDay, -1);
+    }
+    return lastWorkingDay === dateStr;
+  }
+
+  /**
+   * Start a retro for the sprint ending today: gather the sprint's facts and DM every member
+   * @returns {Promise<number>} Number of members asked (0 if a retro is running or nobody took part in standups)
+   */
+  async start() {
+    if (this.isRunning()) {
+      console.log(`A ${this.team.name} retro is already running`);
+      return 0;
+    }
+
+    const today = this.standup.calendar.today();
+    const { start } = this.getSprintWindow(today);
+    const standups = historyService.getStandupsBetween(this.team.id, start, today);
+
+    // Everyone who took part in a standup this sprint
+    const members = new Map();
+    for (const standup of standups) {
+      for (const member of standup.members) {
+        members.set(member.userId, member.name);
+      }
+    }
+    if (members.size === 0) {
+      console.log(`Skipping ${this.team.name} retro - no standups since ${start}`);
+      return 0;
+    }
+
+    console.log(`🔁 Starting ${this.team.name} retro for ${start} - ${today}...`);
+
+    this.reset();
+    this.phase = RetroPhase.COLLECTING;
+    this.sprint = { start, end: today };
+    this.facts = this._collectSprintFacts(standups);
+
+    const factsText = this._formatFacts();
+    for (const [userId, name] of members) {
+      const member = {
+        userId,
+        name,
+        dmChannel: await slackService.openDirectMessage(userId),
+        feedback: [],
+      };
+      this.members.set(userId, member);
+
+      if (member.dmChannel) {
+        await slackService.sendMessage(member.dmChannel, this._buildPrompt(member, factsText));
+      }
+    }
+
+    await slackService.sendMessage(
+      this.team.channel,
+      `🔁 *Sprint retro time!* I've DMed everyone for what went well, what didn't and ideas. Voting starts ${this._formatDeadline(this.team.retro.collectMinutes)}.`
+    );
+
+    this._scheduleDeadline(this.team.retro.collectMinutes * 60000);
+    return this.members.size;
+  }
+
+  /**
+   * Gather the sprint's facts from standup data
+   * @param {Array} standups - The sprint's standup history records
+   * @returns {Object} { blockers, slipped, followups }
+   */
+  _collectSprintFacts(standups) {
+    const { start, end } = this.sprint;
+
+    const blockers = blockerService.getOpenedBetween(this.team.id, start, end).map(b => ({
+      id: b.id,
+      blockedUser: b.blockedUser.name,
+      blockingParty: b.blockingPerson || b.blockingTicket || null,
+      description: b.description,
+      resolved: b.status === BlockerStatus.RESOLVED,
+      days: blockerService.getAgeInDays(b, end),
+    }));
+
+    const slipped = commitmentService.getSlippedBetween(this.team.id, start, end).map(c => ({
+      userName: c.userName,
+      ticketKey: c.ticketKey,
+      ticketSummary: c.ticketSummary,
+      expectedDate: c.expectedDate,
+    }));
+
+    // How many standups each member ended up needing a separate follow-up
+    const followupCounts = new Map();
+    for (const standup of standups) {
+      for (const member of standup.members.filter(m => m.state === 'needs_followup')) {
+        followupCounts.set(member.name, (followupCounts.get(member.name) || 0) + 1);
+      }
+    }
+    const followups = Array.from(followupCounts, ([name, standupCount]) => ({ name, standupCount }));
+
+    return { blockers, slipped, followups };
+  }
+
+  /**
+   * Describe the sprint's facts, one line per kind (empty if there are none)
+   * @returns {string} Facts text
+   */
+  _formatFacts() {
+    const { blockers, slipped, followups } = this.facts;
+    const list = (items, describe) => {
+      const shown = items.slice(0, MAX_FACTS).map(describe).join('; ');
+      return items.length > MAX_FACTS ? `${shown}; and ${items.length - MAX_FACTS} more` : shown;
+    };
+    const lines = [];
+
+    if (blockers.length > 0) {
+      const open = blockers.filter(b => !b.resolved).length;
+      lines.push(`• 🚧 ${blockers.length} blocker${blockers.length > 1 ? 's' : ''} raised${open > 0 ? ` (${open} still open)` : ''}: ` +
+        list(blockers, b => `${b.blockedUser}${b.blockingParty ? ` on ${b.blockingParty}` : ''} - ${b.description} (${b.resolved ? `resolved after ${b.days} day${b.days === 1 ? '' : 's'}` : 'open'})`));
+    }
+    if (slipped.length > 0) {
+      lines.push(`• ⏳ ${slipped.length} slipped timeline${slipped.length > 1 ? 's' : ''}: ` +
+        list(slipped, c => `${c.ticketKey} ${c.ticketSummary} (${c.userName}, expected ${formatDate(c.expectedDate)})`));
+    }
+    if (followups.length > 0) {
+      lines.push('• 🤝 Needed a separate follow-up: ' +
+        list(followups, f => `${f.name} (${f.standupCount} standup${f.standupCount > 1 ? 's' : ''})`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the feedback DM for a member
+   * @param {Object} member - Retro member
+   * @param {string} factsText - The sprint's facts
+   * @returns {string} Message text
+   */
+  _buildPrompt(member, factsText) {
+    const firstName = member.name.split(' ')[0];
+    let text = `🔁 Hi ${firstName}! It's the end of the sprint (${formatDate(this.sprint.start)} - ${formatDate(this.sprint.end)}) - time for our retro.\n\n`;
+    if (factsText) {
+      text += `*From this sprint's standups:*\n${factsText}\n\n`;
+    }
+    text += "Reply here with what *went well*, what *didn't go well* and any *ideas*. ";
+    text += `Send as many messages as you like until voting starts ${this._formatDeadline(this.team.retro.collectMinutes)}. `;
+    text += "Feedback is grouped into themes - names aren't shown.";
+    return text;
+  }
+
+  /**
+   * Describe when a phase that starts now ends, e.g. "at 18:00 (Asia/Kolkata)"
+   * @param {number} minutes - Phase length in minutes
+   * @returns {string} Deadline description
+   */
+  _formatDeadline(minutes) {
+    const deadline = new Date(Date.now() + minutes * 60000);
+    const time = deadline.toLocaleTimeString('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: this.team.standup.timezone,
+    });
+    const day = deadline.toLocaleDateString('en-CA', { timeZone: this.team.standup.timezone });
+    const when = day === this.standup.calendar.today() ? `at ${time}` : `${formatDate(day)} at ${time}`;
+    return `${when} (${this.team.standup.timezone})`;
+  }
+
+  /**
+   * Schedule the end of the current phase (collection ends in the vote, the vote ends in the results)
+   * @param {number} delayMs - Delay before the deadline fires
+   */
+  _scheduleDeadline(delayMs) {
+    this._clearDeadline();
+    this.deadline = Date.now() + delayMs;
+    this.deadlineTimer = setTimeout(async () => {
+      this.deadlineTimer = null;
+      if (this.phase === RetroPhase.COLLECTING) {
+        await this.startVote();
+      } else if (this.phase === RetroPhase.VOTING) {
+        await this.close();
+      }
+    }, delayMs);
+    this.saveState();
+  }
+
+  /**
+   * Clear the deadline timer
+   */
+  _clearDeadline() {
+    if (this.deadlineTimer) {
+      clearTimeout(this.deadlineTimer);
+      this.deadlineTimer = null;
+    }
+  }
+
+  /**
+   * Check whether a DM is retro feedback for this workflow
+   * @param {string} userId - Slack user ID
+   * @param {string} channel - Channel ID
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {boolean} True if the message should be handled by this workflow
+   */
+  ownsMessage(userId, channel, isDirectMessage = false) {
+    const member = this.members.get(userId);
+    return Boolean(this.phase === RetroPhase.COLLECTING && isDirectMessage && member?.dmChannel === channel);
+  }
+
+  /**
+   * Handle a member's feedback DM: sort it into categories and keep it for the themes
+   * @param {string} userId - Slack user ID
+   * @param {string} message - Message text
+   * @param {string} channel - Channel ID
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {Promise<string|null>} Response message or null
+   */
+  async handleUserMessage(userId, message, channel, isDirectMessage = false) {
+    if (!this.ownsMessage(userId, channel, isDirectMessage)) {
+      return null;
+    }
+
+    const member = this.members.get(userId);
+    console.log(`🔁 Retro feedback from ${member.name}`);
+
+    const { wentWell, didntGoWell, ideas } = await this.standup.llm.categorizeRetroFeedback(message);
+    member.feedback.push(
+      ...wentWell.map(text => ({ category: 'went_well', text })),
+      ...didntGoWell.map(text => ({ category: 'didnt_go_well', text })),
+      ...ideas.map(text => ({ category: 'idea', text }))
+    );
+    this.saveState();
+
+    const counts = [
+      wentWell.length > 0 ? `${wentWell.length} went well` : null,
+      didntGoWell.length > 0 ? `${didntGoWell.length} didn't go well` : null,
+      ideas.length > 0 ? `${ideas.length} idea${ideas.length > 1 ? 's' : ''}` : null,
+    ].filter(Boolean);
+    if (counts.length === 0) {
+      return "I couldn't find any retro feedback in that - what went well, what didn't, or any ideas?";
+    }
+    return `🙏 Got it (${counts.join(', ')}). Add more any time before voting starts.`;
+  }
+
+  /**
+   * End feedback collection: group it into themes and post them in the channel for a reaction vote
+   * @returns {Promise<boolean>} True if the vote was started
+   */
+  async startVote() {
+    if (this.phase !== RetroPhase.COLLECTING || this.transitionPending) {
+      return false;
+    }
+    this._clearDeadline();
+    this.transitionPending = true;
+    try {
+      return await this._openVote();
+    } finally {
+      this.transitionPending = false;
+    }
+  }
+
+  /**
+   * Group the feedback into themes and post them (startVote holds the pending flag around this)
+   * @returns {Promise<boolean>} True once the vote is open
+   */
+  async _openVote() {
+    const items = Array.from(this.members.values()).flatMap(m => m.feedback);
+    const contributors = Array.from(this.members.values()).filter(m => m.feedback.length > 0).length;
+    if (items.length === 0) {
+      this.phase = RetroPhase.COMPLETED;
+      this.saveState();
+      await slackService.sendMessage(this.team.channel, '🔁 Nobody sent retro feedback this sprint, so there is nothing to vote on.');
+      return true;
+    }
+
+    console.log(`🔁 Grouping ${items.length} retro items from ${contributors} members...`);
+    const factsText = this._formatFacts();
+    const themes = await this.standup.llm.groupRetroThemes(items, factsText.replace(/^• /gm, '- ') || 'None');
+
+    this.channelId = await slackService.resolveChannelId(this.team.channel);
+    this.phase = RetroPhase.VOTING;
+
+    let intro = `🔁 *Sprint retro* (${formatDate(this.sprint.start)} - ${formatDate(this.sprint.end)})\n`;
+    intro += `${items.length} pieces of feedback from ${contributors} ${contributors === 1 ? 'person' : 'people'}, grouped into ${themes.length} themes.\n`;
+    if (factsText) {
+      intro += `\n*From this sprint's standups:*\n${factsText}\n`;
+    }
+    intro += `\n*Vote with :${VOTE_REACTION}: on the themes below* - voting closes ${this._formatDeadline(this.team.retro.voteMinutes)}. `;
+    intro += `The top ${this.team.retro.actionItems} action items become JIRA tickets.`;
+    await slackService.sendMessage(this.team.channel, intro);
+
+    this.themes = [];
+    for (const theme of themes) {
+      const category = CATEGORY_LABELS[theme.category] ? theme.category : 'idea';
+      let text = `${CATEGORY_LABELS[category]}: *${theme.title}*`;
+      text += theme.summary ? `\n${theme.summary}` : '';
+      text += theme.actionItem ? `\n➡️ _Action: ${theme.actionItem}_` : '';
+
+      const messageTs = await slackService.sendMessage(this.team.channel, text);
+      if (messageTs && this.channelId) {
+        // Seed the reaction so voting is one click
+        await slackService.addReaction(this.channelId, messageTs, VOTE_REACTION);
+      }
+
+      this.themes.push({
+        title: theme.title,
+        category,
+        summary: theme.summary || null,
+        actionItem: theme.actionItem || null,
+        messageTs,
+        votes: 0,
+        issueKey: null,
+      });
+    }
+
+    this._scheduleDeadline(this.team.retro.voteMinutes * 60000);
+    return true;
+  }
+
+  /**
+   * Count a theme's votes: everyone but the bot who reacted with the vote emoji
+   * @param {Object} theme - Posted theme
+   * @returns {Promise<number>} Votes
+   */
+  async _countVotes(theme) {
+    if (!theme.messageTs || !this.channelId) {
+      return 0;
+    }
+
+    const reactions = await slackService.getReactions(this.channelId, theme.messageTs);
+    const voters = new Set(reactions
+      .filter(r => r.name === VOTE_REACTION || r.name.startsWith(`${VOTE_REACTION}::`))
+      .flatMap(r => r.users || [])
+      .filter(userId => userId !== slackService.botUserId));
+    return voters.size;
+  }
+
+  /**
+   * End the vote: count the reactions, file the top action items in JIRA and post the results
+   * Only themes with an action item and at least one vote are filed
+   * @returns {Promise<boolean>} True if the retro was closed
+   */
+  async close() {
+    if (this.phase !== RetroPhase.VOTING || this.transitionPending) {
+      return false;
+    }
+    this._clearDeadline();
+    this.transitionPending = true;
+    try {
+      return await this._closeVote();
+    } finally {
+      this.transitionPending = false;
+    }
+  }
+
+  /**
+   * Count the votes, file the action items and post the results (close holds the pending flag around this)
+   * @returns {Promise<boolean>} True once the retro is closed
+   */
+  async _closeVote() {
+    for (const theme of this.themes) {
+      theme.votes = await this._countVotes(theme);
+    }
+
+    const ranked = this.themes
+      .filter(t => t.actionItem && t.votes > 0)
+      .sort((a, b) => b.votes - a.votes)
+      .slice(0, this.team.retro.actionItems);
+
+    const sprintLabel = `${formatDate(this.sprint.start)} - ${formatDate(this.sprint.end)}`;
+    for (const theme of ranked) {
+      const description = [
+        `Action item from the ${this.team.name} sprint retro (${sprintLabel}), with ${theme.votes} vote${theme.votes > 1 ? 's' : ''}.`,
+        `Theme: ${theme.title}`,
+        theme.summary || '',
+      ].join('\n');
+      theme.issueKey = await this.standup.jira.createIssue({
+        summary: `Retro: ${theme.actionItem}`.substring(0, 250),
+        description,
+        projectKey: this._getActionItemProject(theme),
+      });
+    }
+
+    this.phase = RetroPhase.COMPLETED;
+    this.deadline = null;
+    this.saveState();
+
+    let text = `🏁 *Retro results* (${sprintLabel})\n`;
+    if (ranked.length === 0) {
+      text += 'No action item got a vote this time.';
+    } else {
+      text += ranked.map((theme, i) => {
+        const filed = theme.issueKey ? `🎫 ${theme.issueKey}` : "⚠️ couldn't create the JIRA ticket";
+        return `${i + 1}. ${theme.actionItem} - ${theme.votes} vote${theme.votes > 1 ? 's' : ''} (${filed})`;
+      }).join('\n');
+    }
+    await slackService.sendMessage(this.team.channel, text);
+
+    console.log(`🏁 ${this.team.name} retro closed, ${ranked.filter(t => t.issueKey).length} action items filed`);
+    return true;
+  }
+
+  /**
+   * Get the JIRA project a retro action item is filed in: the configured retro project, the team's project, or
+   * (for teams scoped by a JQL filter) the project of a ticket the theme mentions
+   * @param {Object} theme - Posted theme
+   * @returns {string|null} Project key, or null if there's none to go on
+   */
+  _getActionItemProject(theme) {
+    const projectKey = this.team.retro.projectKey || this.standup.jira.projectKey;
+    if (projectKey) {
+      return projectKey;
+    }
+    const ticketKey = `${theme.title} ${theme.summary || ''} ${theme.actionItem}`.match(/\b[A-Z][A-Z0-9]+-\d+\b/)?.[0];
+    return ticketKey ? this.standup.jira.projectKeyOf(ticketKey) : null;
+  }
+
+  /**
+   * Describe the running retro for the status command
+   * @returns {string} Status text
+   */
+  getStatus() {
+    if (this.phase === RetroPhase.COLLECTING) {
+      const contributors = Array.from(this.members.values()).filter(m => m.feedback.length > 0).length;
+      return `🔁 Collecting retro feedback: ${contributors}/${this.members.size} members have replied.`;
+    }
+    if (this.phase === RetroPhase.VOTING) {
+      return `🗳️ Voting on ${this.themes.length} retro themes in ${this.team.channel}.`;
+    }
+    return 'No retro is running.';
+  }
+
+  /**
+   * Reset the retro state (and its deadline)
+   */
+  reset() {
+    this._clearDeadline();
+    this.phase = RetroPhase.NOT_STARTED;
+    this.transitionPending = false;
+    this.sprint = null;
+    this.facts = null;
+    this.members.clear();
+    this.themes = [];
+    this.channelId = null;
+    this.deadline = null;
+  }
+}
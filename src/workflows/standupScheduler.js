@@ -0,0 +1,424 @@
+/**
+ * Standup Scheduler
+ * Schedules each team's daily standup including:
+ * - Cron-style schedules in the team's timezone
+ * - Skipping non-working days and company holidays (holiday skips are announced)
+ * - One-off reschedules ("move tomorrow's standup to 11:00"), persisted across restarts
+ * - The optional end-of-day check-out, on the same working days
+ * - The optional sprint retro, on the last working day of each sprint
+ */
+
+import fs from 'fs';
+import path from 'path';
+import schedule from 'node-schedule';
+import config from '../config/index.js';
+import slackService from '../services/slackService.js';
+
+class StandupScheduler {
+  constructor() {
+    // Regular recurring job per team ID
+    this.jobs = new Map();
+
+    // Recurring end-of-day check-out job per team ID
+    this.checkoutJobs = new Map();
+
+    // Daily sprint-end check for the retro per team ID
+    this.retroJobs = new Map();
+
+    // One-off jobs keyed by "teamId:date"
+    this.oneOffJobs = new Map();
+
+    // One-off reschedules: [{ teamId, date, time, requestedBy, createdAt, ranAt }]
+    // Kept after they run (ranAt is set) so the regular job doesn't start a second standup that day.
+    // A day whose regular standup ran is recorded the same way (time is null) so it can't be rescheduled.
+    this.storagePath = path.join(config.app.dataDir, 'schedule_overrides.json');
+    this.overrides = [];
+    this._loadOverrides();
+  }
+
+  /**
+   * Load one-off reschedules from storage
+   */
+  _loadOverrides() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, 'utf8');
+        this.overrides = JSON.parse(data);
+        console.log(`Loaded ${this.overrides.length} standup reschedules`);
+      }
+    } catch (error) {
+      console.error('Failed to load standup reschedules:', error.message);
+      this.overrides = [];
+    }
+  }
+
+  /**
+   * Save one-off reschedules to storage
+   */
+  _saveOverrides() {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.writeFileSync(this.storagePath, JSON.stringify(this.overrides, null, 2));
+    } catch (error) {
+      console.error('Failed to save standup reschedules:', error.message);
+    }
+  }
+
+  /**
+   * Build the cron expression for a team
+   * An explicit cron wins; otherwise it's the standup time on the team's working days
+   * @param {Object} team - Team configuration
+   * @returns {string} Cron expression (minute hour day-of-month month day-of-week)
+   */
+  _getCronExpression(team) {
+    if (team.standup.cron) {
+      return team.standup.cron;
+    }
+    const { hour, minute } = team.standup.time;
+    return `${minute} ${hour} * * ${team.standup.workingDays.join(',')}`;
+  }
+
+  /**
+   * Schedule every team's standup and restore pending one-off reschedules
+   * @param {Array} workflows - Team workflows
+   */
+  scheduleAll(workflows) {
+    for (const workflow of workflows) {
+      this.scheduleTeam(workflow);
+    }
+
+    // Drop reschedules that are in the past, then re-arm the rest
+    const workflowsById = new Map(workflows.map(w => [w.team.id, w]));
+    this.overrides = this.overrides.filter(o => {
+      const workflow = workflowsById.get(o.teamId);
+      return workflow && o.date >= workflow.calendar.today();
+    });
+    this._saveOverrides();
+
+    for (const override of this.overrides.filter(o => !o.ranAt)) {
+      const workflow = workflowsById.get(override.teamId);
+      if (!this._scheduleOneOff(workflow, override)) {
+        this.cancelReschedule(workflow, override.date);
+      }
+    }
+  }
+
+  /**
+   * Schedule the recurring standup for one team
+   * @param {StandupWorkflow} workflow - The team's workflow
+   */
+  scheduleTeam(workflow) {
+    const { team } = workflow;
+    const cron = this._getCronExpression(team);
+    const timezone = team.standup.timezone;
+
+    this.jobs.get(team.id)?.cancel();
+
+    const job = schedule.scheduleJob({ rule: cron, tz: timezone }, async () => {
+      console.log(`⏰ Scheduled standup for ${team.name} triggered at ${new Date().toISOString()}`);
+      await this._runScheduledStandup(workflow, false);
+    });
+
+    if (!job) {
+      console.error(`❌ Invalid standup schedule for ${team.name}: "${cron}"`);
+      return;
+    }
+
+    this.jobs.set(team.id, job);
+    console.log(`📅 ${team.name} standup scheduled with "${cron}" (${timezone})`);
+
+    // Log next scheduled time
+    if (job.nextInvocation()) {
+      console.log(`   Next standup: ${job.nextInvocation().toISOString()}`);
+    }
+  }
+
+  /**
+   * Schedule the end-of-day check-out for every team that has it enabled
+   * @param {Array} checkouts - Team check-outs
+   */
+  scheduleCheckouts(checkouts) {
+    for (const checkout of checkouts) {
+      if (checkout.team.checkout.enabled) {
+        this.scheduleCheckout(checkout);
+      }
+    }
+  }
+
+  /**
+   * Schedule the recurring check-out for one team (at the check-out time on the standup's working days)
+   * @param {CheckoutWorkflow} checkout - The team's check-out
+   */
+  scheduleCheckout(checkout) {
+    const { team } = checkout;
+    const { hour, minute } = team.checkout.time;
+    const cron = `${minute} ${hour} * * ${team.standup.workingDays.join(',')}`;
+    const timezone = team.standup.timezone;
+
+    this.checkoutJobs.get(team.id)?.cancel();
+
+    const job = schedule.scheduleJob({ rule: cron, tz: timezone }, async () => {
+      console.log(`⏰ Scheduled check-out for ${team.name} triggered at ${new Date().toISOString()}`);
+      await this._runScheduledCheckout(checkout);
+    });
+
+    if (!job) {
+      console.error(`❌ Invalid check-out schedule for ${team.name}: "${cron}"`);
+      return;
+    }
+
+    this.checkoutJobs.set(team.id, job);
+    console.log(`📅 ${team.name} check-out scheduled with "${cron}" (${timezone})`);
+  }
+
+  /**
+   * Run a scheduled check-out unless today is a holiday
+   * Days without a standup are skipped by the check-out itself (nobody has a plan to check)
+   * @param {CheckoutWorkflow} checkout - The team's check-out
+   */
+  async _runScheduledCheckout(checkout) {
+    const { team, calendar } = checkout.standup;
+    const holiday = calendar.getHoliday(calendar.today());
+    if (holiday) {
+      console.log(`Skipping ${team.name} check-out - holiday: ${holiday}`);
+      return;
+    }
+
+    await checkout.start();
+  }
+
+  /**
+   * Schedule the sprint retro for every team that has it enabled
+   * @param {Array} retros - Team retros
+   */
+  scheduleRetros(retros) {
+    for (const retro of retros) {
+      if (retro.team.retro.enabled) {
+        this.scheduleRetro(retro);
+      }
+    }
+  }
+
+  /**
+   * Schedule the recurring retro check for one team (at the retro time on the standup's working days)
+   * The retro itself only starts on the last working day of a sprint
+   * @param {RetroWorkflow} retro - The team's retro
+   */
+  scheduleRetro(retro) {
+    const { team } = retro;
+    const { hour, minute } = team.retro.time;
+    const cron = `${minute} ${hour} * * ${team.standup.workingDays.join(',')}`;
+    const timezone = team.standup.timezone;
+
+    this.retroJobs.get(team.id)?.cancel();
+
+    const job = schedule.scheduleJob({ rule: cron, tz: timezone }, async () => {
+      await this._runScheduledRetro(retro);
+    });
+
+    if (!job) {
+      console.error(`❌ Invalid retro schedule for ${team.name}: "${cron}"`);
+      return;
+    }
+
+    this.retroJobs.set(team.id, job);
+    console.log(`📅 ${team.name} sprint retro check scheduled with "${cron}" (${timezone})`);
+  }
+
+  /**
+   * Start the retro if today is the last working day of the sprint (and not a holiday)
+   * @param {RetroWorkflow} retro - The team's retro
+   */
+  async _runScheduledRetro(retro) {
+    const { team, calendar } = retro.standup;
+    const today = calendar.today();
+    if (calendar.getHoliday(today) || !retro.isSprintEnd(today)) {
+      return;
+    }
+
+    console.log(`⏰ Scheduled retro for ${team.name} triggered at ${new Date().toISOString()}`);
+    await retro.start();
+  }
+
+  /**
+   * Run a scheduled standup unless today is a non-working day, a holiday or has been rescheduled
+   * @param {StandupWorkflow} workflow - The team's workflow
+   * @param {boolean} isOneOff - True when triggered by a one-off reschedule
+   */
+  async _runScheduledStandup(workflow, isOneOff) {
+    const { team, calendar } = workflow;
+    const today = calendar.today();
+
+    if (isOneOff) {
+      // An explicit reschedule always runs - the EM picked the day on purpose
+      const override = this.getOverride(team.id, today);
+      if (override) {
+        override.ranAt = new Date().toISOString();
+      }
+      this.oneOffJobs.delete(`${team.id}:${today}`);
+      this._saveOverrides();
+      // Someone started one by hand in the meantime - starting again would throw it away
+      if (workflow.isRunning()) {
+        console.log(`Skipping rescheduled ${team.name} standup - one is already running`);
+        return;
+      }
+      await workflow.startDailyStandup();
+      return;
+    }
+
+    const override = this.getOverride(team.id, today);
+    if (override) {
+      console.log(`Skipping regular ${team.name} standup - ${override.ranAt ? 'it already ran at the rescheduled time' : 'rescheduled for today'}`);
+      return;
+    }
+
+    if (!calendar.isWorkingWeekday(today)) {
+      console.log(`Skipping ${team.name} standup - ${today} is not a working day`);
+      return;
+    }
+
+    const holiday = calendar.getHoliday(today);
+    if (holiday) {
+      console.log(`Skipping ${team.name} standup - holiday: ${holiday}`);
+      const nextDay = new Date(`${calendar.nextWorkingDay(today)}T12:00:00Z`).toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+      });
+      await slackService.sendMessage(
+        team.channel,
+        `🏖️ No standup today - it's *${holiday}*! See you on ${nextDay}.`
+      );
+      return;
+    }
+
+    const now = new Date().toISOString();
+    this.overrides.push({ teamId: team.id, date: today, time: null, requestedBy: null, createdAt: now, ranAt: now });
+    this._saveOverrides();
+    await workflow.startDailyStandup();
+  }
+
+  /**
+   * Get the one-off reschedule for a team on a date, if any
+   * @param {string} teamId - Team ID
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {Object|null} Override
+   */
+  getOverride(teamId, dateStr) {
+    return this.overrides.find(o => o.teamId === teamId && o.date === dateStr) || null;
+  }
+
+  /**
+   * Check whether a team's scheduled standup on a date has already run (at its regular or a rescheduled time)
+   * Standups started by hand don't count - the day's scheduled one can still be moved
+   * @param {StandupWorkflow} workflow - The team's workflow
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean} True if it ran
+   */
+  hasRun(workflow, dateStr) {
+    return Boolean(this.getOverride(workflow.team.id, dateStr)?.ranAt);
+  }
+
+  /**
+   * Move a team's standup on a given day to another time
+   * @param {StandupWorkflow} workflow - The team's workflow
+   * @param {string} dateStr - YYYY-MM-DD in the team's timezone
+   * @param {string} time - HH:MM (24-hour) in the team's timezone
+   * @param {string} requestedBy - Slack user ID of whoever asked
+   * @returns {Object|null} Created override, or null if that time has already passed or that day's standup
+   *   already ran
+   */
+  reschedule(workflow, dateStr, time, requestedBy = null) {
+    const { team } = workflow;
+
+    // A second run would replace the first standup's sessions and summary
+    if (this.hasRun(workflow, dateStr)) {
+      console.warn(`Not rescheduling ${team.name} standup on ${dateStr} - it already ran`);
+      return null;
+    }
+
+    // Replace any earlier reschedule for the same day
+    this.cancelReschedule(workflow, dateStr);
+
+    const override = {
+      teamId: team.id,
+      date: dateStr,
+      time,
+      requestedBy,
+      createdAt: new Date().toISOString(),
+    };
+    this.overrides.push(override);
+    this._saveOverrides();
+
+    if (!this._scheduleOneOff(workflow, override)) {
+      this.cancelReschedule(workflow, dateStr);
+      return null;
+    }
+
+    console.log(`Rescheduled ${team.name} standup on ${dateStr} to ${time} ${team.standup.timezone}`);
+    return override;
+  }
+
+  /**
+   * Cancel a one-off reschedule (the regular schedule applies again)
+   * A reschedule that already ran is kept, or the regular job would run the standup a second time
+   * @param {StandupWorkflow} workflow - The team's workflow
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean} True if a reschedule was removed
+   */
+  cancelReschedule(workflow, dateStr) {
+    const key = `${workflow.team.id}:${dateStr}`;
+    this.oneOffJobs.get(key)?.cancel();
+    this.oneOffJobs.delete(key);
+
+    const originalCount = this.overrides.length;
+    this.overrides = this.overrides.filter(o => !(o.teamId === workflow.team.id && o.date === dateStr && !o.ranAt));
+    if (this.overrides.length !== originalCount) {
+      this._saveOverrides();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Arm the one-off job for a reschedule
+   * @param {StandupWorkflow} workflow - The team's workflow
+   * @param {Object} override - Reschedule record
+   * @returns {boolean} True if the job was scheduled (false if the time has passed)
+   */
+  _scheduleOneOff(workflow, override) {
+    const [year, month, day] = override.date.split('-').map(Number);
+    const [hour, minute] = override.time.split(':').map(Number);
+
+    // A fully-specified recurrence rule fires exactly once, in the team's timezone
+    const rule = new schedule.RecurrenceRule();
+    rule.year = year;
+    rule.month = month - 1;
+    rule.date = day;
+    rule.hour = hour;
+    rule.minute = minute;
+    rule.second = 0;
+    rule.tz = workflow.team.standup.timezone;
+
+    const job = schedule.scheduleJob(rule, async () => {
+      console.log(`⏰ Rescheduled standup for ${workflow.team.name} triggered at ${new Date().toISOString()}`);
+      await this._runScheduledStandup(workflow, true);
+    });
+
+    if (!job) {
+      console.warn(`Reschedule for ${workflow.team.name} on ${override.date} ${override.time} is in the past - ignoring`);
+      return false;
+    }
+
+    this.oneOffJobs.set(`${override.teamId}:${override.date}`, job);
+    return true;
+  }
+}
+
+export default new StandupScheduler();
@@ -3,6 +3,7 @@
  * Manages the daily standup process including:
  * - Initiating standups at scheduled times
  * - Asking team members ONE BY ONE in a SINGLE thread
+ * - Or, in DM mode, asking everyone at once in their DMs (async standup)
  * - Processing responses with LLM
  * - Updating JIRA tickets
  * - Handling leave management
@@ -10,13 +11,39 @@
  * - Limiting conversations: 2 back-n-forth for in-progress, 2 for todo
  * - Skipping non-dev team members (EM, PM)
  * - Skipping unavailable members (no repeated prompts)
+ * - Late updates from skipped members, appended to the posted summary
+ * - Following up on open blockers (see blockerService.js) until someone confirms they're resolved
+ * - Escalating long-standing or high-priority blockers to the team's escalation contacts
+ * - Showing the active sprint (goal, working days left, story points) and warning when its scope won't fit
+ * - Checking yesterday's commitments ("did that land?") and calling out slipped ones
+ * - Turning stated timelines into dates and syncing/flagging the JIRA due date
+ * - Logging time spent on tickets as JIRA worklogs (see worklogService.js), with weekly totals in the summary
+ * - Quick updates from the prompt's buttons (on track / done / blocked / timeline / skip) without an LLM call
+ * - Facilitator controls: pause, resume, skip, move to the end, re-ask and abort (announced in the thread)
+ * - Edited or deleted replies: re-analyzed, with JIRA transitions and comments corrected or rolled back
+ * - Parking off-topic discussions (see parkingLotService.js) for a JIRA task or a follow-up thread
+ * - Offering to file work mentioned without a ticket as a JIRA task (assigned to the developer, in progress)
+ * - Persisting state to disk so a standup survives a process restart
+ * - Recording each standup's summary and updates in the standup history
+ *
+ * One instance runs per team (see teamRegistry.js), each with its own
+ * channel, JIRA scope and LLM settings.
  */
 
+import fs from 'fs';
+import path from 'path';
 import config from '../config/index.js';
-import jiraService from '../services/jiraService.js';
+import { JiraService } from '../services/jiraService.js';
 import slackService from '../services/slackService.js';
-import llmService from '../services/llmService.js';
+import { LLMService } from '../services/llmService.js';
 import leaveService from '../services/leaveService.js';
+import blockerService, { BlockerStatus } from '../services/blockerService.js';
+import commitmentService from '../services/commitmentService.js';
+import historyService from '../services/historyService.js';
+import parkingLotService from '../services/parkingLotService.js';
+import worklogService, { parseDuration, formatDuration } from '../services/worklogService.js';
+import { CalendarService, shiftDate, formatDateInTimezone } from '../services/calendarService.js';
+import { StatusCategory } from '../services/statusService.js';
 
 // Standup states for individual developers - progressive flow
 const StandupState = {
@@ -34,9 +61,16 @@ const StandupState = {
 const StandupPhase = {
   NOT_STARTED: 'not_started',
   IN_PROGRESS: 'in_progress',
+  PAUSED: 'paused',           // Held by a facilitator - no prompts, reminders or deadlines until resumed
   COMPLETED: 'completed',
 };
 
+// How developers are asked
+const StandupMode = {
+  THREAD: 'thread', // One by one in a single channel thread
+  DM: 'dm',         // Everyone at once in their DMs
+};
+
 // Timeout for waiting for a developer's response (in milliseconds)
 const RESPONSE_TIMEOUT_MS = 120000; // 2 minutes - initial wait before checking
 const FINAL_TIMEOUT_MS = 60000; // 1 additional minute (3 minutes total) before moving on
@@ -45,8 +79,32 @@ const FINAL_TIMEOUT_MS = 60000; // 1 additional minute (3 minutes total) before
 const MAX_IN_PROGRESS_EXCHANGES = 3;
 const MAX_TODO_EXCHANGES = 3;
 
-class StandupWorkflow {
-  constructor() {
+// Version of the on-disk state snapshot (bump when the shape changes)
+const STATE_VERSION = 1;
+
+/**
+ * Format story points, dropping needless decimals (e.g. 12, 2.5)
+ * @param {number} points - Story points
+ * @returns {string} Points
+ */
+function formatPoints(points) {
+  return String(Math.round(points * 10) / 10);
+}
+
+export class StandupWorkflow {
+  /**
+   * @param {Object} team - Normalized team configuration (see config/teams.js)
+   */
+  constructor(team) {
+    this.team = team;
+    
+    // Team-scoped integrations (Slack is shared - one bot serves every team)
+    this.jira = new JiraService(team.jira);
+    this.llm = new LLMService(team.llm);
+    
+    // Working days, holidays and "today" in the team's timezone
+    this.calendar = new CalendarService(team.standup);
+    
     // Active standup sessions keyed by user_id
     this.sessions = new Map();
     
@@ -57,12 +115,37 @@ class StandupWorkflow {
     // Overall standup phase
     this.standupPhase = StandupPhase.NOT_STARTED;
     
+    // Mode of the current standup (fixed when it starts)
+    this.standupMode = StandupMode.THREAD;
+    
+    // DM mode: the summary is posted at this time even if some developers haven't replied
+    this.dmDeadline = null;
+    this.dmDeadlineTimer = null;
+    
+    // When the standup started (ms) - late updates are accepted until the configured cutoff after this
+    this.standupStartedAt = null;
+    
+    // When a facilitator paused the standup (ms) - the DM deadline is pushed back by the paused time
+    this.pausedAt = null;
+    
+    // Posted summary, kept so it can be edited when late updates come in
+    this.summaryText = null;
+    this.summaryMessageTs = null;
+    this.sprint = null;
+
+    // Parking lot items with a JIRA task or thread being created (guards against double clicks)
+    this.parkingLotPending = new Set();
+    
     // Map Slack user IDs to sessions for quick lookup
     this.userIdToSession = new Map();
     
     // Track timeouts per user (for individual thread responses)
     this.userTimeouts = new Map();
     
+    // Deadlines of the timeouts above: userId -> { stage, deadline }
+    // Timers themselves can't be persisted, so we keep enough to rebuild them after a restart
+    this.userTimeoutDeadlines = new Map();
+    
     // Members who need 1-1 follow-up
     this.needsFollowup = [];
     
@@ -78,9 +161,151 @@ class StandupWorkflow {
     // Set of unavailable developers (skip them entirely)
     this.unavailableDevelopers = new Set();
     
-    // Track blockers: Map of blocker owner (email/name) -> array of {blockedUser, blockerDescription}
-    // When A says they're blocked on B, we store it here and ask B about it when B's turn comes
-    this.pendingBlockerQuestions = new Map();
+    // Snapshot of the workflow state, rewritten on every transition
+    this.statePath = path.join(config.app.dataDir, `standup_state_${team.id}.json`);
+  }
+
+  /**
+   * Save a snapshot of the current workflow state to disk
+   * Sessions are stored once; queue, current developer and follow-ups reference them by user ID
+   */
+  saveState() {
+    const state = {
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      standupDate: this.standupDate,
+      standupChannel: this.standupChannel,
+      standupPhase: this.standupPhase,
+      standupMode: this.standupMode,
+      standupThreadTs: this.standupThreadTs,
+      dmDeadline: this.dmDeadline,
+      standupStartedAt: this.standupStartedAt,
+      pausedAt: this.pausedAt,
+      summaryText: this.summaryText,
+      summaryMessageTs: this.summaryMessageTs,
+      sprint: this.sprint,
+      sessions: Array.from(this.sessions.values()),
+      developerQueue: this.developerQueue.map(s => s.userId),
+      currentDeveloper: this.currentDeveloper?.userId || null,
+      unavailableDevelopers: Array.from(this.unavailableDevelopers),
+      needsFollowup: this.needsFollowup.map(s => s.userId),
+      userTimeouts: Array.from(this.userTimeoutDeadlines.entries()),
+    };
+
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.statePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      // Write to a temp file first so a crash mid-write never leaves a truncated snapshot
+      const tmpPath = `${this.statePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, this.statePath);
+    } catch (error) {
+      console.error('Failed to save standup state:', error.message);
+    }
+  }
+
+  /**
+   * Load the state snapshot from disk and resume a standup that was interrupted by a restart
+   * Only today's snapshot is restored; pending timeouts are rebuilt from their saved deadlines
+   * @returns {Promise<boolean>} True if a standup was resumed
+   */
+  async restoreState() {
+    let state;
+    try {
+      if (!fs.existsSync(this.statePath)) {
+        return false;
+      }
+      state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load standup state:', error.message);
+      return false;
+    }
+
+    if (state.version !== STATE_VERSION) {
+      console.warn(`Ignoring standup state with unsupported version ${state.version}`);
+      return false;
+    }
+
+    const today = this.calendar.today();
+    if (state.standupDate !== today) {
+      console.log(`Ignoring standup state from ${state.standupDate} (today is ${today})`);
+      return false;
+    }
+
+    // Rehydrate sessions (dates come back as ISO strings)
+    this.sessions.clear();
+    this.userIdToSession.clear();
+    for (const session of state.sessions || []) {
+      session.startedAt = session.startedAt ? new Date(session.startedAt) : null;
+      session.completedAt = session.completedAt ? new Date(session.completedAt) : null;
+      this.sessions.set(session.userId, session);
+      this.userIdToSession.set(session.userId, session);
+    }
+
+    const lookup = userId => this.sessions.get(userId) || null;
+
+    this.standupDate = state.standupDate;
+    this.standupChannel = state.standupChannel;
+    this.standupPhase = state.standupPhase;
+    this.standupMode = state.standupMode || StandupMode.THREAD;
+    this.standupThreadTs = state.standupThreadTs;
+    this.dmDeadline = state.dmDeadline || null;
+    this.standupStartedAt = state.standupStartedAt || null;
+    this.pausedAt = state.pausedAt || null;
+    this.summaryText = state.summaryText || null;
+    this.summaryMessageTs = state.summaryMessageTs || null;
+    this.sprint = state.sprint || null;
+    this.developerQueue = (state.developerQueue || []).map(lookup).filter(Boolean);
+    this.currentDeveloper = lookup(state.currentDeveloper);
+    this.unavailableDevelopers = new Set(state.unavailableDevelopers || []);
+    this.needsFollowup = (state.needsFollowup || []).map(lookup).filter(Boolean);
+
+    console.log(`Restored standup state from ${state.savedAt} (phase: ${this.standupPhase}, ${this.sessions.size} sessions)`);
+
+    // A paused standup stays paused - resume() rebuilds its timers
+    if (this.standupPhase !== StandupPhase.IN_PROGRESS) {
+      return false;
+    }
+
+    // DM standups have no turn order - just rebuild the deadline and wait for replies
+    if (this.standupMode === StandupMode.DM) {
+      this._scheduleDmDeadline(Math.max(this.dmDeadline - Date.now(), 0));
+      console.log(`▶️ Resumed DM standup (${this._getPendingSessions().length} developers still to reply)`);
+      return true;
+    }
+
+    // Rebuild timeouts with whatever time was left on them (fire immediately if already overdue)
+    const now = Date.now();
+    for (const [userId, { stage, deadline }] of state.userTimeouts || []) {
+      const session = lookup(userId);
+      if (session) {
+        this._scheduleUserTimeout(session, stage, Math.max(deadline - now, 0));
+      }
+    }
+
+    if (this.currentDeveloper) {
+      // The current developer must always have a timer, otherwise the standup would stall
+      if (!this.userTimeouts.has(this.currentDeveloper.userId)) {
+        this._setUserTimeout(this.currentDeveloper);
+      }
+
+      await slackService.sendMessage(
+        this.standupChannel,
+        `🔄 I was restarted - picking up where we left off. <@${this.currentDeveloper.userId}>, it's still your turn!`,
+        null,
+        this.standupThreadTs
+      );
+      console.log(`▶️ Resumed standup with ${this.currentDeveloper.userName} (${this.developerQueue.length} left in queue)`);
+    } else {
+      // Restarted between two developers - carry on with the queue
+      await this._askNextDeveloper();
+    }
+
+    return true;
   }
 
   /**
@@ -90,7 +315,7 @@ class StandupWorkflow {
    * @returns {boolean} True if should be excluded
    */
   _shouldExcludeMember(name, email) {
-    const excludedMembers = config.standup?.excludedMembers || [];
+    const excludedMembers = this.team.standup.excludedMembers || [];
     const nameLower = (name || '').toLowerCase();
     const emailLower = (email || '').toLowerCase();
     
@@ -112,8 +337,8 @@ class StandupWorkflow {
   }
 
   /**
-   * Categorize tasks into in-progress and todo
-   * Sorts by priority if available
+   * Categorize tasks into in-progress and todo, by what their status means in the project's status model
+   * (review and blocked statuses count as in progress). Sorts by priority if available
    * @param {Array} tasks - All tasks
    * @returns {Object} { inProgressTasks, todoTasks }
    */
@@ -132,10 +357,10 @@ class StandupWorkflow {
     };
     
     for (const task of tasks) {
-      const statusLower = (task.status || '').toLowerCase();
-      if (statusLower.includes('in progress') || statusLower.includes('in-progress')) {
+      const category = task.statusCategory || this.jira.getStatusModel(task.key).categorize(task.status);
+      if (category === StatusCategory.IN_PROGRESS || category === StatusCategory.REVIEW || category === StatusCategory.BLOCKED) {
         inProgressTasks.push(task);
-      } else if (statusLower.includes('to do') || statusLower.includes('todo') || statusLower.includes('open')) {
+      } else if (category === StatusCategory.TODO) {
         todoTasks.push(task);
       }
     }
@@ -162,27 +387,37 @@ class StandupWorkflow {
 
   /**
    * Initiate the daily standup for all team members
-   * Asks developers ONE BY ONE in a SINGLE thread
+   * Asks developers ONE BY ONE in a SINGLE thread, or everyone at once by DM in DM mode
    * @returns {Promise<boolean>} True if standup started successfully
    */
   async startDailyStandup() {
-    console.log('🚀 Starting daily standup...');
+    console.log(`🚀 Starting daily standup for ${this.team.name}...`);
 
     // Reset sessions for new day
     this.sessions.clear();
     this.userIdToSession.clear();
     this.userTimeouts.clear();
+    this.userTimeoutDeadlines.clear();
     this.needsFollowup = [];
     this.developerQueue = [];
     this.currentDeveloper = null;
     this.unavailableDevelopers.clear();
-    this.pendingBlockerQuestions.clear();
     this.standupThreadTs = null;
-    this.standupDate = new Date().toISOString().split('T')[0];
+    this._clearDmDeadline();
+    this.standupDate = this.calendar.today();
+    this.standupStartedAt = Date.now();
+    this.pausedAt = null;
+    this.summaryText = null;
+    this.summaryMessageTs = null;
+    this.sprint = null;
     this.standupPhase = StandupPhase.IN_PROGRESS;
+    this.standupMode = this.team.standup.mode === StandupMode.DM ? StandupMode.DM : StandupMode.THREAD;
 
     // Get channel for standup
-    this.standupChannel = config.slack.standupChannel;
+    this.standupChannel = this.team.channel;
+
+    // The sprint is shown in the header and given to the LLM with every reply
+    this.sprint = await this._loadSprint();
 
     // Send standup header message (this becomes the thread parent)
     const headerBlocks = this._createStandupHeader();
@@ -201,7 +436,7 @@ class StandupWorkflow {
     this.standupThreadTs = headerTs;
 
     // Get team members from JIRA
-    const teamMembers = await jiraService.getTeamMembers();
+    const teamMembers = await this.jira.getTeamMembers();
 
     if (teamMembers.length === 0) {
       console.warn('No team members found in JIRA project');
@@ -240,7 +475,7 @@ class StandupWorkflow {
       }
 
       // Get user's tasks from JIRA
-      const tasks = await jiraService.getUserTasks(email);
+      const tasks = await this.jira.getUserTasks(email);
       
       // Categorize tasks
       const { inProgressTasks, todoTasks } = this._categorizeTasks(tasks);
@@ -296,6 +531,11 @@ class StandupWorkflow {
 
     console.log(`Standup started with ${this.developerQueue.length} active developers, ${onLeaveMembers.length} on leave, ${excludedMembers.length} excluded`);
 
+    if (this.standupMode === StandupMode.DM && this.developerQueue.length > 0) {
+      await this._startDmStandup();
+      return true;
+    }
+
     // Start asking developers ONE BY ONE
     if (this.developerQueue.length > 0) {
       await this._askNextDeveloper();
@@ -306,14 +546,157 @@ class StandupWorkflow {
     return true;
   }
 
+  /**
+   * DM mode: prompt every developer in their DMs at the same time
+   * The queue is drained up front - nobody waits for anyone else
+   */
+  async _startDmStandup() {
+    const sessions = this.developerQueue;
+    this.developerQueue = [];
+
+    for (const session of sessions) {
+      session.dmChannel = await slackService.openDirectMessage(session.userId);
+      if (!session.dmChannel) {
+        // Can't reach them - treat like a missed standup
+        session.state = StandupState.SKIPPED;
+        this.unavailableDevelopers.add(session.userId);
+        continue;
+      }
+
+      await this._sendInitialPrompt(session);
+    }
+
+    const deadlineMs = this.team.standup.dmDeadlineMinutes * 60000;
+    this.dmDeadline = Date.now() + deadlineMs;
+    this._scheduleDmDeadline(deadlineMs);
+
+    console.log(`📬 DM standup started, summary due by ${new Date(this.dmDeadline).toISOString()}`);
+
+    // Everyone may have been unreachable
+    await this._checkDmStandupCompletion();
+  }
+
+  /**
+   * Schedule the DM standup deadline (posts the summary with whoever has replied)
+   * @param {number} delayMs - Delay before the deadline fires
+   */
+  _scheduleDmDeadline(delayMs) {
+    this._clearDmDeadline();
+    this.dmDeadlineTimer = setTimeout(async () => {
+      await this._handleDmDeadline();
+    }, delayMs);
+    this.saveState();
+  }
+
+  /**
+   * Clear the DM standup deadline timer
+   */
+  _clearDmDeadline() {
+    if (this.dmDeadlineTimer) {
+      clearTimeout(this.dmDeadlineTimer);
+      this.dmDeadlineTimer = null;
+    }
+  }
+
+  /**
+   * DM standup deadline reached - everyone who hasn't finished missed it
+   */
+  async _handleDmDeadline() {
+    this.dmDeadlineTimer = null;
+    if (this.standupPhase !== StandupPhase.IN_PROGRESS) {
+      return;
+    }
+
+    console.log('⏰ DM standup deadline reached, posting summary...');
+
+    for (const session of this._getPendingSessions()) {
+      session.state = StandupState.SKIPPED;
+      this.unavailableDevelopers.add(session.userId);
+      await this._sendToDeveloper(
+        session,
+        "⏰ Today's standup has wrapped up - I've posted the summary without your update. You can still reply here and I'll add it as a late update."
+      );
+    }
+
+    await this._completeStandup();
+  }
+
+  /**
+   * Get sessions that haven't reached a final state yet
+   * @returns {Array} Sessions still in progress
+   */
+  _getPendingSessions() {
+    return Array.from(this.sessions.values()).filter(session =>
+      session.state !== StandupState.COMPLETED &&
+      session.state !== StandupState.SKIPPED &&
+      session.state !== StandupState.NEEDS_FOLLOWUP
+    );
+  }
+
+  /**
+   * DM mode: complete the standup once every developer is done
+   */
+  async _checkDmStandupCompletion() {
+    if (this.standupPhase === StandupPhase.IN_PROGRESS && this._getPendingSessions().length === 0) {
+      await this._completeStandup();
+    }
+  }
+
+  /**
+   * Move on after a developer has finished
+   * Thread mode asks the next developer; DM mode just checks whether everyone is done
+   */
+  async _advanceStandup() {
+    if (this.standupMode === StandupMode.DM) {
+      this.saveState();
+      await this._checkDmStandupCompletion();
+      return;
+    }
+
+    // Clear current developer and move to next
+    this.currentDeveloper = null;
+    
+    // Small delay before asking next developer
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    
+    // Ask the next developer
+    await this._askNextDeveloper();
+  }
+
+  /**
+   * Send a message to a developer - in their DM (DM mode) or the standup thread
+   * @param {Object} session - The developer's session
+   * @param {string} text - Message text
+   * @param {Array} blocks - Optional Block Kit blocks
+   * @returns {Promise<string|null>} Message timestamp if successful
+   */
+  async _sendToDeveloper(session, text, blocks = null) {
+    if (session.dmChannel) {
+      return slackService.sendMessage(session.dmChannel, text, blocks);
+    }
+    return slackService.sendMessage(this.standupChannel, text, blocks, this.standupThreadTs);
+  }
+
   /**
    * Ask the next developer in the queue (sequential, one at a time)
    */
   async _askNextDeveloper() {
+    // Paused between two developers - resume() asks the next one
+    if (this.standupPhase === StandupPhase.PAUSED) {
+      this.currentDeveloper = null;
+      this.saveState();
+      return;
+    }
+
     // Find next available developer (skip unavailable ones)
     while (this.developerQueue.length > 0) {
       const nextSession = this.developerQueue.shift();
       
+      // Already sent a late update while waiting in the queue
+      if (nextSession.state === StandupState.COMPLETED) {
+        continue;
+      }
+      
       // Skip if marked as unavailable
       if (this.unavailableDevelopers.has(nextSession.userId)) {
         console.log(`Skipping ${nextSession.userName} - marked as unavailable`);
@@ -323,6 +706,7 @@ class StandupWorkflow {
       
       // Found an available developer
       this.currentDeveloper = nextSession;
+      this.saveState();
       console.log(`📣 Asking ${nextSession.userName} for standup update...`);
       await this._sendInitialPrompt(nextSession);
       return;
@@ -330,6 +714,7 @@ class StandupWorkflow {
     
     // No more developers in queue
     this.currentDeveloper = null;
+    this.saveState();
     await this._completeStandup();
   }
 
@@ -351,28 +736,124 @@ class StandupWorkflow {
   }
 
   /**
-   * Get pending blocker questions for a user (blockers where they are the blocking party)
+   * Get the open blockers to ask a user about
+   * - blocking: someone else is blocked on this user
+   * - blocked: this user reported the blocker at an earlier standup and it's still open
    * @param {Object} session - The user's session
-   * @returns {Array} Array of blocker questions to ask
+   * @returns {Object} { blocking: Array, blocked: Array } of blockers
    */
-  _getPendingBlockerQuestionsForUser(session) {
-    const blockerQuestions = [];
+  _getBlockersToAskAbout(session) {
+    const blocking = [];
+    const blocked = [];
     const userNameLower = (session.userName || '').toLowerCase();
     const userEmailLower = (session.userEmail || '').toLowerCase();
     const userFirstName = userNameLower.split(' ')[0];
     
-    // Check all pending blocker questions to see if any are for this user
-    for (const [blockerOwner, blockers] of this.pendingBlockerQuestions) {
-      const ownerLower = blockerOwner.toLowerCase();
-      if (ownerLower.includes(userFirstName) ||
+    for (const blocker of blockerService.getOpenBlockers(this.team.id)) {
+      if (blocker.blockedUser.email === session.userEmail) {
+        if (blocker.lastReportedOn !== this.standupDate) {
+          blocked.push(blocker);
+        }
+        continue;
+      }
+
+      // Check if this user is the one blocking
+      const ownerLower = (blocker.blockingPerson || '').toLowerCase();
+      if (ownerLower && (ownerLower.includes(userFirstName) ||
           ownerLower.includes(userNameLower) ||
           userNameLower.includes(ownerLower) ||
-          ownerLower.includes(userEmailLower)) {
-        blockerQuestions.push(...blockers);
+          ownerLower.includes(userEmailLower))) {
+        blocking.push(blocker);
+      }
+    }
+    
+    return { blocking, blocked };
+  }
+
+  /**
+   * Build the "did that land?" questions for commitments due by today
+   * Only tickets that are still open are asked about - closed ones obviously landed
+   * @param {Object} session - The user's session
+   * @returns {string} Message section, or '' if nothing is due
+   */
+  _buildCommitmentCheck(session) {
+    const openTickets = new Map(session.tasks.map(t => [t.key, t]));
+    const dueCommitments = commitmentService
+      .getDueCommitments(this.team.id, session.userEmail, this.standupDate)
+      .filter(c => openTickets.has(c.ticketKey));
+    
+    if (dueCommitments.length === 0) {
+      return '';
+    }
+    
+    let text = `🔁 *From your last standup:*\n`;
+    for (const commitment of dueCommitments) {
+      const summary = openTickets.get(commitment.ticketKey).summary;
+      const said = this._describeDay(commitment.date);
+      let due = `by ${this._formatWeekday(commitment.expectedDate)}`;
+      if (commitment.expectedDate === this.standupDate) {
+        due = 'today';
+      } else if (commitment.expectedDate === commitment.date) {
+        due = 'that day';
       }
+      text += `${said.charAt(0).toUpperCase() + said.slice(1)} you expected *${summary}* to be done ${due} - did that land?\n`;
+    }
+    return text;
+  }
+
+  /**
+   * Describe a date relative to the standup date
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {string} "yesterday", "today" or "on Monday"
+   */
+  _describeDay(dateStr) {
+    if (dateStr === this.standupDate) {
+      return 'today';
+    }
+    if (dateStr === shiftDate(this.standupDate, -1)) {
+      return 'yesterday';
+    }
+    return `on ${this._formatWeekday(dateStr)}`;
+  }
+
+  /**
+   * Get the weekday name of a date
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {string} e.g. "Monday"
+   */
+  _formatWeekday(dateStr) {
+    return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+  }
+
+  /**
+   * Build the open-blocker context for the LLM so it can tell when one is resolved
+   * @param {Object} session - The user's session
+   * @returns {string} One line per blocker, or 'None'
+   */
+  _buildBlockersContext(session) {
+    const blockers = (session.askedBlockerIds || [])
+      .map(id => blockerService.getBlocker(id))
+      .filter(b => b && b.status === BlockerStatus.OPEN);
+    
+    if (blockers.length === 0) {
+      return 'None';
     }
     
-    return blockerQuestions;
+    return blockers
+      .map(b => `- ${b.id}: ${b.blockedUser.name} is blocked on ${this._describeBlockingParty(b)}: "${b.description}"`)
+      .join('\n');
+  }
+
+  /**
+   * Describe who or what a blocker is waiting on
+   * @param {Object} blocker - Blocker
+   * @returns {string} e.g. "Bob", "PROJ-12" or "something"
+   */
+  _describeBlockingParty(blocker) {
+    if (blocker.blockingPerson && blocker.blockingTicket) {
+      return `${blocker.blockingPerson} (${blocker.blockingTicket})`;
+    }
+    return blocker.blockingPerson || blocker.blockingTicket || 'something';
   }
 
   /**
@@ -395,45 +876,81 @@ class StandupWorkflow {
     // Store the tasks we're actually asking about
     session.tasksToAskAbout = tasksToAskAbout;
     
-    // Check if there are any pending blocker questions for this user
-    const blockerQuestions = this._getPendingBlockerQuestionsForUser(session);
+    // Check if there are any open blockers this user is involved in
+    const { blocking, blocked } = this._getBlockersToAskAbout(session);
+    session.askedBlockerIds = [...blocking, ...blocked].map(b => b.id);
     
     let message = `<@${session.userId}> Good morning! 👋\n\n`;
     
-    // If someone is blocked on this person, ask about it clearly
-    if (blockerQuestions.length > 0) {
-      message += `🚧 *Blocker Alert:*\n`;
-      for (const bq of blockerQuestions) {
-        message += `*${bq.blockedUser}* is blocked on you for: "${bq.blockerDescription}". Any update on that?\n`;
+    // If someone is blocked on this person (or they were blocked at an earlier standup), ask about it clearly
+    let blockerAlert = '';
+    if (session.askedBlockerIds.length > 0) {
+      blockerAlert += `🚧 *Blocker Alert:*\n`;
+      for (const blocker of blocking) {
+        const age = blockerService.formatAge(blocker, this.standupDate);
+        blockerAlert += `*${blocker.blockedUser.name}* is blocked on you for: "${blocker.description}" (${age}). Any update on that?\n`;
+      }
+      for (const blocker of blocked) {
+        const age = blockerService.formatAge(blocker, this.standupDate);
+        blockerAlert += `You were blocked on ${this._describeBlockingParty(blocker)}: "${blocker.description}" (${age}). Is that resolved?\n`;
       }
-      message += `\n`;
+      message += `${blockerAlert}\n`;
     }
     
+    // Commitments from earlier standups that were due by today
+    const commitmentCheck = this._buildCommitmentCheck(session);
+    if (commitmentCheck) {
+      message += `${commitmentCheck}\n`;
+    }
+    
+    // Teams that log work ask how long each task took
+    const timeQuestion = this.team.standup.worklogMode === 'ask'
+      ? ` Roughly how long did you spend on ${tasksToAskAbout.length === 1 ? 'it' : 'each'} since the last standup?`
+      : '';
+    
     if (tasksToAskAbout.length === 0) {
       // No in-progress tasks - ask general update
       message += `I don't see any tasks in progress. What are you working on today?`;
     } else if (tasksToAskAbout.length === 1) {
       // Single task - ask specifically about it by name (no ticket ID)
       const task = tasksToAskAbout[0];
-      message += `What's the update on *${task.summary}*? Any blockers or issues?`;
+      message += `What's the update on *${task.summary}*? Any blockers or issues?${timeQuestion}`;
     } else {
       // Multiple tasks - list them by name and ask for updates
       message += `Here are your in-progress items:\n`;
       tasksToAskAbout.forEach((task, index) => {
         message += `${index + 1}. *${task.summary}*\n`;
       });
-      message += `\nWhat's the update on these? Any blockers or issues?`;
+      message += `\nWhat's the update on these? Any blockers or issues?${timeQuestion}`;
     }
     
-    // Send in the single standup thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      message,
-      null,
-      this.standupThreadTs
-    );
+    // In a DM there's no thread context, so show the task cards (message text stays as the notification fallback)
+    // Either way each task gets quick-update buttons
+    let blocks = null;
+    if (session.dmChannel) {
+      blocks = slackService.createStandupPromptBlocks(session.userName, tasksToAskAbout, this.team.id);
+      for (const alert of [blockerAlert, commitmentCheck].filter(Boolean)) {
+        blocks.splice(blocks.length - 1, 0, {
+          type: 'section',
+          text: { type: 'mrkdwn', text: alert },
+        });
+      }
+    } else if (tasksToAskAbout.length > 0) {
+      const intro = [`<@${session.userId}> Good morning! 👋`, blockerAlert, commitmentCheck].filter(Boolean).join('\n\n');
+      blocks = [
+        { type: 'section', text: { type: 'mrkdwn', text: intro } },
+        ...slackService.createTaskActionBlocks(this.team.id, tasksToAskAbout),
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `Use the buttons for a quick update, or reply in this thread. Any blockers or issues?${timeQuestion}` }],
+        },
+      ];
+    }
+    
+    // Send in the standup thread (or the developer's DM)
+    await this._sendToDeveloper(session, message, blocks);
 
-    console.log(`Sent in-progress prompt to ${session.userName} (asking about ${tasksToAskAbout.length} of ${totalInProgressCount} tasks, ${blockerQuestions.length} blocker questions)`);
+    console.log(`Sent in-progress prompt to ${session.userName} (asking about ${tasksToAskAbout.length} of ${totalInProgressCount} tasks, ${session.askedBlockerIds.length} blocker questions)`);
     this._setUserTimeout(session);
   }
 
@@ -455,13 +972,8 @@ class StandupWorkflow {
       message += `Which ones are you planning to work on today? Any priorities or concerns?`;
     }
     
-    // Send in the single standup thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      message,
-      null,
-      this.standupThreadTs
-    );
+    // Send in the standup thread (or the developer's DM)
+    await this._sendToDeveloper(session, message);
     
     console.log(`Sent todo prompt to ${session.userName}`);
     this._setUserTimeout(session);
@@ -474,13 +986,8 @@ class StandupWorkflow {
     const message = `<@${session.userId}> Good morning! 👋\n\n` +
       `I don't see any active tasks assigned to you. What are you working on today?`;
     
-    // Send in the single standup thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      message,
-      null,
-      this.standupThreadTs
-    );
+    // Send in the standup thread (or the developer's DM)
+    await this._sendToDeveloper(session, message);
 
     console.log(`Sent general prompt to ${session.userName}`);
     this._setUserTimeout(session);
@@ -490,13 +997,33 @@ class StandupWorkflow {
    * Set timeout for a specific user's response
    */
   _setUserTimeout(session) {
+    // DM standups are async - developers have until the overall deadline
+    if (this.standupMode === StandupMode.DM) {
+      return;
+    }
+    this._scheduleUserTimeout(session, 'initial', RESPONSE_TIMEOUT_MS);
+  }
+
+  /**
+   * Schedule a response timer for a user and record its deadline
+   * @param {Object} session - The user's session
+   * @param {string} stage - 'initial' (send a reminder) or 'final' (move on)
+   * @param {number} delayMs - Delay before the timer fires
+   */
+  _scheduleUserTimeout(session, stage, delayMs) {
     this._clearUserTimeout(session.userId);
     
     const timeout = setTimeout(async () => {
-      await this._handleUserInitialTimeout(session);
-    }, RESPONSE_TIMEOUT_MS);
+      if (stage === 'final') {
+        await this._handleUserFinalTimeout(session);
+      } else {
+        await this._handleUserInitialTimeout(session);
+      }
+    }, delayMs);
     
     this.userTimeouts.set(session.userId, timeout);
+    this.userTimeoutDeadlines.set(session.userId, { stage, deadline: Date.now() + delayMs });
+    this.saveState();
   }
 
   /**
@@ -508,6 +1035,7 @@ class StandupWorkflow {
       clearTimeout(existingTimeout);
       this.userTimeouts.delete(userId);
     }
+    this.userTimeoutDeadlines.delete(userId);
   }
 
   /**
@@ -523,18 +1051,9 @@ class StandupWorkflow {
     console.log(`⏰ Initial timeout (2 min) for ${session.userName}, sending reminder...`);
     
     const reminderMsg = `<@${session.userId}> - Still waiting for your update. Please respond in the next minute if you're available.`;
-    await slackService.sendMessage(
-      this.standupChannel,
-      reminderMsg,
-      null,
-      this.standupThreadTs
-    );
+    await this._sendToDeveloper(session, reminderMsg);
     
-    const timeout = setTimeout(async () => {
-      await this._handleUserFinalTimeout(session);
-    }, FINAL_TIMEOUT_MS);
-    
-    this.userTimeouts.set(session.userId, timeout);
+    this._scheduleUserTimeout(session, 'final', FINAL_TIMEOUT_MS);
   }
 
   /**
@@ -555,7 +1074,7 @@ class StandupWorkflow {
     // Mark as unavailable so we don't ask them again
     this.unavailableDevelopers.add(session.userId);
     
-    const timeoutMsg = `⏰ *${session.userName}* is not available right now. Moving on...`;
+    const timeoutMsg = `⏰ *${session.userName}* is not available right now. Moving on... _(<@${session.userId}>, you can still reply here with a late update.)_`;
     await slackService.sendMessage(
       this.standupChannel,
       timeoutMsg,
@@ -578,16 +1097,56 @@ class StandupWorkflow {
     }
   }
 
+  /**
+   * Check whether a message belongs to this team's standup (its thread, or a standup DM)
+   * @param {string} userId - Slack user ID
+   * @param {string} channel - Channel ID
+   * @param {string} threadTs - Thread timestamp if in thread
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {boolean} True if the message should be handled by this workflow
+   */
+  ownsMessage(userId, channel, threadTs = null, isDirectMessage = false) {
+    if (threadTs && threadTs === this.standupThreadTs) {
+      return true;
+    }
+    const session = this.sessions.get(userId);
+    if (session?.dmChannel && session.dmChannel === channel) {
+      return true;
+    }
+    // Anyone who missed their turn can DM the bot a late update
+    return Boolean(isDirectMessage && session && this._canSubmitLate(session));
+  }
+
+  /**
+   * Check whether a developer can still send a late update
+   * @param {Object} session - The developer's session
+   * @returns {boolean} True if skipped and before the cutoff
+   */
+  _canSubmitLate(session) {
+    return session.state === StandupState.SKIPPED && !this._isPastLateCutoff();
+  }
+
+  /**
+   * Check whether the late-update cutoff has passed
+   * @returns {boolean} True if past the cutoff
+   */
+  _isPastLateCutoff() {
+    if (!this.standupStartedAt) return true;
+    return Date.now() > this.standupStartedAt + this.team.standup.lateSubmissionMinutes * 60000;
+  }
+
   /**
    * Handle a message from a user during standup
    * @param {string} userId - Slack user ID
    * @param {string} message - Message text
    * @param {string} channel - Channel ID
    * @param {string} threadTs - Thread timestamp if in thread
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @param {string} messageTs - Timestamp of the message (lets an edit or delete be traced back to it)
    * @returns {Promise<string|null>} Response message or null
    */
-  async handleUserMessage(userId, message, channel, threadTs = null) {
-    if (this.standupPhase !== StandupPhase.IN_PROGRESS) {
+  async handleUserMessage(userId, message, channel, threadTs = null, isDirectMessage = false, messageTs = null) {
+    if (this.standupPhase === StandupPhase.NOT_STARTED) {
       return null;
     }
 
@@ -597,6 +1156,34 @@ class StandupWorkflow {
       return null;
     }
 
+    // Missed their turn - accept a late update in the thread or a DM (even after the standup completed)
+    if (session.state === StandupState.SKIPPED) {
+      if (!this.ownsMessage(userId, channel, threadTs, isDirectMessage)) {
+        return null;
+      }
+      if (this._isPastLateCutoff()) {
+        return "Sorry, today's standup is closed for late updates. Catch you at the next one! 👋";
+      }
+      return await this._processLateSubmission(session, message, messageTs);
+    }
+
+    if (this.standupPhase === StandupPhase.PAUSED && session.state !== StandupState.COMPLETED) {
+      return "⏸️ The standup is paused right now - please send that again once it's resumed.";
+    }
+
+    // Everything else only happens while the standup is running
+    if (this.standupPhase !== StandupPhase.IN_PROGRESS) {
+      return null;
+    }
+
+    // DM mode: replies come in the developer's own DM, in any order
+    if (this.standupMode === StandupMode.DM) {
+      if (!session.dmChannel || channel !== session.dmChannel) {
+        return null;
+      }
+      return await this._processUserResponse(session, message, messageTs);
+    }
+
     // Verify the message is in the standup thread
     if (threadTs !== this.standupThreadTs) {
       // Message is not in the standup thread - ignore or redirect
@@ -621,11 +1208,11 @@ class StandupWorkflow {
       if (session.state === StandupState.NOT_STARTED) {
         return `Hey <@${userId}>, please wait for your turn! I'll ask you shortly. 😊`;
       }
-      // If they're skipped or needs followup, ignore
+      // If they need follow-up, ignore
       return null;
     }
 
-    return await this._processUserResponse(session, message);
+    return await this._processUserResponse(session, message, messageTs);
   }
 
   /**
@@ -742,32 +1329,140 @@ class StandupWorkflow {
   }
 
   /**
-   * Track a blocker for later - store it so we can ask the blocking person about it
-   * @param {string} blockerDescription - Description of the blocker
-   * @param {Object} session - Session of the blocked person
-   * @param {string} knownBlockingPerson - Optional: already identified blocking person
+   * Extract the ticket that is blocking from a blocker description
+   * Ignores the developer's own tickets (those are what's blocked, not what's blocking)
+   * @param {string} blockerDescription - The blocker text
+   * @param {Object} session - The session of the person who is blocked
+   * @returns {string|null} Ticket key, or null if none mentioned
+   */
+  _extractBlockingTicket(blockerDescription, session) {
+    const ownKeys = new Set((session.tasks || []).map(t => t.key));
+    const keys = blockerDescription.match(/\b[A-Z][A-Z0-9]+-\d+\b/g) || [];
+    return keys.find(key => !ownKeys.has(key)) || null;
+  }
+
+  /**
+   * Record a blocker in the registry so it's followed up on until resolved
+   * The blocking person is asked about it on their turn (today and at later standups)
+   * @param {string} blockerDescription - Description of the blocker
+   * @param {Object} session - Session of the blocked person
+   * @param {string} knownBlockingPerson - Optional: already identified blocking person
    */
   _trackBlockerForLater(blockerDescription, session, knownBlockingPerson = null) {
-    const blockingPerson = knownBlockingPerson || this._extractBlockingPerson(blockerDescription, session);
-    if (blockingPerson) {
-      // Store the blocker question for when the blocking person's turn comes
-      if (!this.pendingBlockerQuestions.has(blockingPerson)) {
-        this.pendingBlockerQuestions.set(blockingPerson, []);
+    blockerService.reportBlocker({
+      teamId: this.team.id,
+      date: this.standupDate,
+      blockedUser: {
+        userId: session.userId,
+        name: session.userName,
+        email: session.userEmail,
+      },
+      blockingPerson: knownBlockingPerson || this._extractBlockingPerson(blockerDescription, session),
+      blockingTicket: this._extractBlockingTicket(blockerDescription, session),
+      affectedTicket: this._findAffectedTicket(blockerDescription, session),
+      description: blockerDescription,
+    });
+  }
+
+  /**
+   * Work out which of the developer's own tickets a blocker is holding up
+   * @param {string} blockerDescription - The blocker text
+   * @param {Object} session - Session of the blocked person
+   * @returns {Object|null} { key, priority } of the ticket, or null if unclear
+   */
+  _findAffectedTicket(blockerDescription, session) {
+    const toTicket = task => (task ? { key: task.key, priority: task.priority } : null);
+    const findTask = key => session.tasks.find(t => t.key === key);
+
+    // A task update that carries this blocker
+    const update = session.updates.find(u => u.blocker && u.ticketKey &&
+      (u.blocker === blockerDescription || blockerDescription.includes(u.blocker)));
+    if (update && findTask(update.ticketKey)) {
+      return toTicket(findTask(update.ticketKey));
+    }
+
+    // One of their tickets mentioned in the blocker itself
+    const mentioned = session.tasks.find(t => blockerDescription.includes(t.key));
+    if (mentioned) {
+      return toTicket(mentioned);
+    }
+
+    // Only asked about one ticket - it must be that one
+    if (session.tasksToAskAbout?.length === 1) {
+      return toTicket(session.tasksToAskAbout[0]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Add an off-topic message to today's parking lot
+   * @param {Object} session - Session of whoever raised it
+   * @param {string} message - The off-topic message
+   * @param {Object} analysis - LLM analysis of the message
+   * @returns {Object} Parking lot item
+   */
+  _parkTopic(session, message, analysis) {
+    return parkingLotService.addItem({
+      teamId: this.team.id,
+      date: this.standupDate,
+      author: { userId: session.userId, name: session.userName },
+      text: message,
+      reason: analysis.offTopicReason || null,
+      relatedTicket: this._findRelatedTicket(message, session),
+    });
+  }
+
+  /**
+   * Work out which ticket an off-topic message relates to
+   * @param {string} message - The message
+   * @param {Object} session - Session of whoever raised it
+   * @returns {string|null} Ticket key, or null if unclear
+   */
+  _findRelatedTicket(message, session) {
+    // One of their tickets mentioned in the message
+    const mentioned = session.tasks.find(t => message.includes(t.key));
+    if (mentioned) {
+      return mentioned.key;
+    }
+
+    // Any other ticket key mentioned
+    const otherKey = message.match(/\b[A-Z][A-Z0-9]+-\d+\b/);
+    if (otherKey) {
+      return otherKey[0];
+    }
+
+    // Only asked about one ticket - it must be that one
+    if (session.tasksToAskAbout?.length === 1) {
+      return session.tasksToAskAbout[0].key;
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply blocker updates from the LLM analysis (resolutions and progress notes)
+   * Only blockers the developer was asked about can be updated
+   * @param {Object} session - The developer's session
+   * @param {Array} blockerUpdates - [{ id, resolved, note }]
+   */
+  _applyBlockerUpdates(session, blockerUpdates = []) {
+    const askedIds = new Set(session.askedBlockerIds || []);
+    session.resolvedBlockers = session.resolvedBlockers || [];
+
+    for (const update of blockerUpdates) {
+      const id = (update.id || '').toUpperCase();
+      if (!askedIds.has(id)) {
+        continue;
       }
-      
-      // Check if we already have this blocker tracked
-      const existingBlockers = this.pendingBlockerQuestions.get(blockingPerson);
-      const alreadyTracked = existingBlockers.some(b =>
-        b.blockedUser === session.userName && b.blockerDescription === blockerDescription
-      );
-      
-      if (!alreadyTracked) {
-        existingBlockers.push({
-          blockedUser: session.userName,
-          blockerDescription: blockerDescription,
-          timestamp: new Date()
-        });
-        console.log(`📝 Noted blocker: ${session.userName} is blocked on ${blockingPerson}: "${blockerDescription}"`);
+
+      if (update.resolved) {
+        const blocker = blockerService.resolveBlocker(id, this.standupDate, session.userName, update.note || null);
+        if (blocker) {
+          session.resolvedBlockers.push(blocker.description);
+        }
+      } else if (update.note) {
+        blockerService.addNote(id, this.standupDate, session.userName, update.note);
       }
     }
   }
@@ -876,8 +1571,11 @@ class StandupWorkflow {
 
   /**
    * Process response from a user based on current state
+   * @param {Object} session - The developer's session
+   * @param {string} message - Message text
+   * @param {string} messageTs - Timestamp of the message
    */
-  async _processUserResponse(session, message) {
+  async _processUserResponse(session, message, messageTs = null) {
     this._clearUserTimeout(session.userId);
 
     // Track conversation
@@ -895,41 +1593,289 @@ class StandupWorkflow {
       return null;
     }
 
-    // Build task context for LLM
-    const tasksContext = session.tasks
-      .map(t => jiraService.formatTicketContext(t))
-      .join('\n\n');
-
     // Analyze the response
-    const analysis = await llmService.analyzeStandupResponse(message, tasksContext);
+    const analysis = await this.llm.analyzeStandupResponse(
+      message,
+      this._buildTasksContext(session),
+      this._buildBlockersContext(session),
+      this.getStatusChoices(session.tasks),
+      this.getSprintContext()
+    );
 
-    // Handle off-topic messages
+    // Handle off-topic messages - park the topic for after standup
     if (analysis.isOffTopic) {
-      const redirectMsg = await llmService.generateRedirectMessage(
+      const redirectMsg = await this.llm.generateRedirectMessage(
         analysis.offTopicReason || 'off-topic discussion',
         message
       );
+      const item = this._parkTopic(session, message, analysis);
+      this._setUserTimeout(session);
+      return `${redirectMsg}\n\n🅿️ _Added to the parking lot (${item.id}) - it'll be in today's summary._`;
+    }
+
+    await this._applyAnalysis(session, message, analysis, messageTs);
+
+    this.saveState();
+
+    // Route to appropriate handler based on state
+    switch (session.state) {
+      case StandupState.ASKING_IN_PROGRESS:
+      case StandupState.IN_PROGRESS_FOLLOWUP:
+        return await this._handleInProgressResponse(session, message, analysis);
+      
+      case StandupState.ASKING_TODO:
+      case StandupState.TODO_FOLLOWUP:
+        return await this._handleTodoResponse(session, message, analysis);
+      
+      default:
+        return await this._completeDeveloperStandup(session, analysis);
+    }
+  }
+
+  /**
+   * Handle a click on one of the standup prompt's buttons
+   * Quick updates go through the same path as an analyzed reply, without calling the LLM.
+   * The developer is done once every task they were asked about has a status and a timeline.
+   * @param {string} userId - Slack user ID of whoever clicked
+   * @param {string} type - on_track, done, blocked, timeline or skip
+   * @param {string} ticketKey - Ticket the button belongs to (null for skip)
+   * @param {string} selectedDate - Picked date for 'timeline' (YYYY-MM-DD)
+   */
+  async handleTaskAction(userId, type, ticketKey = null, selectedDate = null) {
+    const session = this.sessions.get(userId);
+    const activeStates = [
+      StandupState.ASKING_IN_PROGRESS,
+      StandupState.IN_PROGRESS_FOLLOWUP,
+      StandupState.ASKING_TODO,
+      StandupState.TODO_FOLLOWUP,
+    ];
+
+    // Buttons stay on old prompts - ignore clicks from anyone who isn't being asked right now
+    if (this.standupPhase !== StandupPhase.IN_PROGRESS || !session || !activeStates.includes(session.state)) {
+      console.log(`Ignoring standup action '${type}' from ${userId} - not waiting for their update`);
+      return;
+    }
+
+    if (type === 'skip') {
+      await this.skipUserStandup(userId);
+      return;
+    }
+
+    this._clearUserTimeout(userId);
+
+    const task = session.tasks.find(t => t.key === ticketKey);
+    if (!task) {
       this._setUserTimeout(session);
-      return redirectMsg;
+      return;
+    }
+
+    const update = { ticketKey, newStatus: null, progressNote: null, blocker: null, timeline: null };
+    const analysis = { taskUpdates: [update], blockers: [], blockerUpdates: [] };
+    const quickUpdate = session.quickUpdates?.[ticketKey] || {};
+
+    if (type === 'on_track') {
+      update.progressNote = 'On track';
+      quickUpdate.status = 'on_track';
+    } else if (type === 'done') {
+      update.newStatus = this.jira.getStatusModel(ticketKey).getStatusName(StatusCategory.DONE) || 'Done';
+      update.progressNote = 'Done';
+      quickUpdate.status = 'done';
+    } else if (type === 'blocked') {
+      update.progressNote = 'Blocked';
+      update.blocker = `${task.summary} is blocked`;
+      analysis.blockers.push(update.blocker);
+      quickUpdate.status = 'blocked';
+    } else if (type === 'timeline') {
+      update.timeline = selectedDate;
+      quickUpdate.timeline = selectedDate;
+    }
+
+    session.quickUpdates = { ...session.quickUpdates, [ticketKey]: quickUpdate };
+    await this._applyAnalysis(session, '', analysis);
+    this.saveState();
+
+    // Everything they were asked about is covered - no need for a written reply
+    const pending = this._getTasksMissingQuickUpdate(session);
+    if (pending.length === 0 && type !== 'blocked') {
+      await this._completeDeveloperStandup(session, { summary: this._summarizeQuickUpdates(session) });
+      return;
+    }
+
+    let reply;
+    if (type === 'blocked') {
+      reply = `🚧 Noted that *${task.summary}* is blocked. What's blocking it - who or what are you waiting on?`;
+    } else {
+      reply = `👍 Got it - ${this._describeQuickUpdate(task, quickUpdate)}.`;
+      if (pending.length > 0) {
+        reply += `\nStill need: ${pending.map(p => `*${p.task.summary}* (${p.missing})`).join(', ')} - use the buttons or just reply.`;
+      }
+    }
+    await this._sendToDeveloper(session, reply);
+    this._setUserTimeout(session);
+  }
+
+  /**
+   * Get the asked-about tasks that still need a status or a timeline from the buttons
+   * Done tasks need no timeline; a JIRA due date counts as the timeline
+   * @param {Object} session - The developer's session
+   * @returns {Array} [{ task, missing }]
+   */
+  _getTasksMissingQuickUpdate(session) {
+    const pending = [];
+    for (const task of session.tasksToAskAbout || []) {
+      const quickUpdate = session.quickUpdates?.[task.key] || {};
+      if (!quickUpdate.status) {
+        pending.push({ task, missing: 'status' });
+      } else if (quickUpdate.status !== 'done' && !quickUpdate.timeline && !task.dueDate) {
+        pending.push({ task, missing: 'timeline' });
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Describe a task's quick update, e.g. "*Login page*: on track, done by 2024-03-20"
+   * @param {Object} task - The ticket
+   * @param {Object} quickUpdate - { status, timeline }
+   * @returns {string} Description
+   */
+  _describeQuickUpdate(task, quickUpdate) {
+    const labels = { on_track: 'on track', done: 'done', blocked: 'blocked' };
+    const parts = [];
+    if (quickUpdate.status) parts.push(labels[quickUpdate.status]);
+    if (quickUpdate.timeline && quickUpdate.status !== 'done') parts.push(`done by ${quickUpdate.timeline}`);
+    return `*${task.summary}*: ${parts.join(', ')}`;
+  }
+
+  /**
+   * Summarize a developer's quick updates for the completion message
+   * @param {Object} session - The developer's session
+   * @returns {string} Summary
+   */
+  _summarizeQuickUpdates(session) {
+    return (session.tasksToAskAbout || [])
+      .map(task => this._describeQuickUpdate(task, {
+        timeline: task.dueDate,
+        ...session.quickUpdates?.[task.key],
+      }))
+      .join('; ');
+  }
+
+  /**
+   * Process a late update from a developer who missed their turn
+   * Runs the normal analysis once (no follow-ups) and adds them to the summary
+   * @param {Object} session - The developer's session
+   * @param {string} message - Message text
+   * @param {string} messageTs - Timestamp of the message
+   * @returns {Promise<string|null>} Response message
+   */
+  async _processLateSubmission(session, message, messageTs = null) {
+    console.log(`📨 Late update from ${session.userName}`);
+
+    session.conversationHistory.push({
+      role: 'user',
+      content: message,
+      timestamp: new Date(),
+    });
+
+    const analysis = await this.llm.analyzeStandupResponse(
+      message,
+      this._buildTasksContext(session),
+      this._buildBlockersContext(session),
+      this.getStatusChoices(session.tasks),
+      this.getSprintContext()
+    );
+
+    if (analysis.isOffTopic) {
+      const redirectMsg = await this.llm.generateRedirectMessage(
+        analysis.offTopicReason || 'off-topic discussion',
+        message
+      );
+      const item = this._parkTopic(session, message, analysis);
+      if (this.summaryMessageTs) {
+        await this._updateStandupSummary();
+      }
+      return `${redirectMsg}\n\n🅿️ _Added to the parking lot (${item.id})._`;
+    }
+
+    await this._applyAnalysis(session, message, analysis, messageTs);
+
+    // No longer missing - make sure they aren't asked again if still in the queue
+    session.state = StandupState.COMPLETED;
+    session.completedAt = new Date();
+    session.lateSubmission = true;
+    session.lateSummary = analysis.summary;
+    session.lateAfterSummary = Boolean(this.summaryMessageTs);
+    this.unavailableDevelopers.delete(session.userId);
+    this.developerQueue = this.developerQueue.filter(s => s.userId !== session.userId);
+    this.saveState();
+
+    if (session.lateAfterSummary) {
+      await this._updateStandupSummary();
     }
 
+    return `${this._generateCompletionMessage(session, analysis)}\n\n📨 _Added to today's standup summary as a late update._`;
+  }
+
+  /**
+   * Get the statuses a developer's tickets can be moved to (across the projects they're in), for the LLM
+   * @param {Array} tasks - The developer's tasks
+   * @returns {string[]} Status names
+   */
+  getStatusChoices(tasks) {
+    const keys = tasks.length > 0 ? tasks.map(t => t.key) : [this.jira.projectKey || ''];
+    return [...new Set(keys.flatMap(key => this.jira.getStatusModel(key).getStatusChoices()))];
+  }
+
+  /**
+   * Build the LLM task context for a developer
+   * @param {Object} session - The developer's session
+   * @returns {string} Formatted tickets
+   */
+  _buildTasksContext(session) {
+    const dueCommitments = commitmentService.getDueCommitments(this.team.id, session.userEmail, this.standupDate);
+    
+    return session.tasks
+      .map(t => {
+        const context = this.jira.formatTicketContext(t);
+        const commitment = dueCommitments.find(c => c.ticketKey === t.key);
+        // Lets the LLM tell "yes, it landed" apart from a plain progress update
+        return commitment
+          ? `${context}\n  Developer expected it done by: ${commitment.expectedDate} (said ${this._describeDay(commitment.date)})`
+          : context;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Apply an analyzed response: record task updates, update JIRA and track blockers
+   * @param {Object} session - The developer's session
+   * @param {string} message - The raw message the analysis came from
+   * @param {Object} analysis - Result of llmService.analyzeStandupResponse
+   * @param {string} messageTs - Timestamp of the message - when given, the JIRA changes are remembered
+   *                             so they can be corrected if the message is edited or deleted
+   */
+  async _applyAnalysis(session, message, analysis, messageTs = null) {
+    const order = this._nextReplyOrder(session);
+
     // Process task updates
     for (const update of analysis.taskUpdates) {
-      session.updates.push({
-        ticketKey: update.ticketKey,
-        newStatus: update.newStatus,
-        progressNote: update.progressNote,
-        blocker: update.blocker,
-        timeline: update.timeline,
-      });
+      await this._recordTaskUpdate(session, update, messageTs);
+    }
 
-      if (update.newStatus) {
-        await jiraService.updateTicketStatus(update.ticketKey, update.newStatus);
-        if (update.progressNote) {
-          const comment = `[Standup Update] ${update.progressNote}`;
-          await jiraService.addComment(update.ticketKey, comment);
-        }
-      }
+    const ticketKeys = this._addJiraUpdates(session, analysis.taskUpdates, order, messageTs);
+    const results = await this._syncJiraTickets(session, ticketKeys);
+
+    // Tell them about multi-step moves and failures; a plain one-step move needs no comment
+    const jiraNotes = results
+      .filter(({ transition }) => transition && (!transition.success || transition.path?.length > 2))
+      .map(({ ticketKey, changes }) => `• *${ticketKey}*: ${changes[0]}`);
+    if (jiraNotes.length > 0) {
+      await this._sendToDeveloper(session, `🔀 *JIRA:*\n${jiraNotes.join('\n')}`);
+    }
+
+    if (messageTs) {
+      session.appliedMessages = { ...session.appliedMessages, [messageTs]: { text: message, order } };
     }
 
     // Track blockers and store them for asking the blocking person later
@@ -954,113 +1900,704 @@ class StandupWorkflow {
       }
     }
 
-    // Route to appropriate handler based on state
-    switch (session.state) {
-      case StandupState.ASKING_IN_PROGRESS:
-      case StandupState.IN_PROGRESS_FOLLOWUP:
-        return await this._handleInProgressResponse(session, message, analysis);
-      
-      case StandupState.ASKING_TODO:
-      case StandupState.TODO_FOLLOWUP:
-        return await this._handleTodoResponse(session, message, analysis);
-      
-      default:
-        return await this._completeDeveloperStandup(session, analysis);
-    }
+    // Blockers from earlier standups that were confirmed resolved (or got an update)
+    this._applyBlockerUpdates(session, analysis.blockerUpdates);
+
+    // Work they mentioned that has no ticket - offer to create one
+    await this._offerUntrackedWork(session, message, analysis.untrackedWork, messageTs);
   }
 
   /**
-   * Handle response about in-progress tasks
+   * Number a developer's reply, so the JIRA updates from their replies are combined in the order they came in
+   * (an edited reply keeps its place)
+   * @param {Object} session - The developer's session
+   * @returns {number} Order of the reply
    */
-  async _handleInProgressResponse(session, message, analysis) {
-    session.inProgressExchangeCount++;
-    
-    // Check if response is satisfactory
-    const isSatisfactory = this._isResponseSatisfactory(analysis, 'in_progress');
-    
-    if (isSatisfactory) {
-      // Good response - move to todo tasks if any (unless skipTodoItems is set)
-      if (session.todoTasks.length > 0 && !session.skipTodoItems) {
-        session.state = StandupState.ASKING_TODO;
-        
-        // Send acknowledgment and ask about todo
-        const ackMsg = analysis.summary
-          ? `Thanks! ${analysis.summary}\n\n`
-          : 'Thanks for the update!\n\n';
-        
-        const todoCount = session.todoTasks.length;
-        const todoQuestion = `Now about your *${todoCount} to-do task${todoCount > 1 ? 's' : ''}* - ` +
-          `which ones are you planning to pick up today?`;
-        
-        const fullMsg = ackMsg + todoQuestion;
-        
-        // Send in the thread
-        await slackService.sendMessage(
-          this.standupChannel,
-          fullMsg,
-          null,
-          this.standupThreadTs
-        );
-        
-        this._setUserTimeout(session);
-        return null; // Already sent
-      } else {
-        // No todo tasks OR skipTodoItems is set (too many in-progress tasks) - complete standup
-        return await this._completeDeveloperStandup(session, analysis);
-      }
+  _nextReplyOrder(session) {
+    session.replyCount = (session.replyCount || 0) + 1;
+    return session.replyCount;
+  }
+
+  /**
+   * Remember the updates of a reply that change something in JIRA (a status, or time spent when worklogs are on)
+   * @param {Object} session - The developer's session
+   * @param {Array} taskUpdates - Task updates from the reply's analysis
+   * @param {number} order - Order of the reply (see _nextReplyOrder)
+   * @param {string} messageTs - Timestamp of the reply, or null (e.g. a button click)
+   * @returns {string[]} Keys of the tickets they touch
+   */
+  _addJiraUpdates(session, taskUpdates, order, messageTs) {
+    session.jiraUpdates = session.jiraUpdates || [];
+    const ticketKeys = [];
+    for (const update of taskUpdates) {
+      if (!update.newStatus && !(update.timeSpent && this.team.standup.worklogMode !== 'off')) continue;
+
+      session.jiraUpdates.push({
+        order,
+        messageTs,
+        ticketKey: update.ticketKey,
+        newStatus: update.newStatus || null,
+        progressNote: update.progressNote || null,
+        timeSpent: update.timeSpent || null,
+      });
+      ticketKeys.push(update.ticketKey);
     }
-    
-    // Response not satisfactory - check if we've hit the limit
-    if (session.inProgressExchangeCount >= MAX_IN_PROGRESS_EXCHANGES) {
-      session.inProgressSatisfactory = false;
-      session.unsatisfactoryReasons.push('in-progress tasks update incomplete');
-      
-      // Move to todo tasks if any (unless skipTodoItems is set), otherwise mark for follow-up
-      if (session.todoTasks.length > 0 && !session.skipTodoItems) {
-        session.state = StandupState.ASKING_TODO;
-        
-        const todoCount = session.todoTasks.length;
-        const moveOnMsg = `Alright, let's move on. About your *${todoCount} to-do task${todoCount > 1 ? 's' : ''}* - ` +
-          `which ones are you planning to pick up today?`;
-        
-        // Send in the thread
-        await slackService.sendMessage(
-          this.standupChannel,
-          moveOnMsg,
-          null,
-          this.standupThreadTs
-        );
-        
-        this._setUserTimeout(session);
-        return null; // Already sent
+    return ticketKeys;
+  }
+
+  /**
+   * Bring tickets in JIRA in line with everything the developer has said about them today
+   * Their replies are combined in order, each one overriding what it mentions (a status, note or time spent),
+   * and synced from what's already in JIRA for the ticket - so a ticket gets one status change, one standup
+   * comment and one worklog per standup, however many replies mention it
+   * @param {Object} session - The developer's session
+   * @param {Iterable<string>} ticketKeys - Tickets to sync
+   * @returns {Promise<Array>} [{ ticketKey, changes, transition }] (see syncJiraUpdate)
+   */
+  async _syncJiraTickets(session, ticketKeys) {
+    session.jiraEffects = session.jiraEffects || {};
+    const results = [];
+    for (const ticketKey of new Set(ticketKeys)) {
+      const updates = (session.jiraUpdates || [])
+        .filter(u => u.ticketKey === ticketKey)
+        .sort((a, b) => a.order - b.order);
+      const wanted = updates.length === 0 ? null : updates.reduce((merged, u) => ({
+        newStatus: u.newStatus || merged.newStatus,
+        progressNote: u.progressNote || merged.progressNote,
+        timeSpent: u.timeSpent || merged.timeSpent,
+      }), { newStatus: null, progressNote: null, timeSpent: null });
+
+      const { effect, changes, transition } = await this.syncJiraUpdate(ticketKey, session.jiraEffects[ticketKey] || null, wanted, {
+        author: this.getJiraAuthor(session),
+      });
+      if (effect) {
+        session.jiraEffects[ticketKey] = effect;
       } else {
-        // No todo tasks OR skipTodoItems is set, and in-progress not satisfactory
-        return await this._handleUnsatisfactoryCompletion(session);
+        delete session.jiraEffects[ticketKey];
       }
+      results.push({ ticketKey, changes, transition });
     }
-    
-    // Ask follow-up (still within limit)
-    session.state = StandupState.IN_PROGRESS_FOLLOWUP;
-    
-    // Generate a specific follow-up question
-    const followUpQuestion = this._generateFollowUpQuestion(session, analysis, 'in_progress');
-    
-    // Send in the thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      followUpQuestion,
-      null,
-      this.standupThreadTs
-    );
-    
-    this._setUserTimeout(session);
-    return null; // Already sent
+    return results;
   }
 
   /**
-   * Handle response about todo tasks
+   * Offer to create JIRA tickets for work a developer mentioned that matches none of their tickets
+   * Asked in the thread (or DM) with a "Create ticket" / "No thanks" button per item; each item is offered once
+   * @param {Object} session - The developer's session
+   * @param {string} message - The reply it was mentioned in
+   * @param {Array} items - Untracked work from the analysis [{ summary, description }]
+   * @param {string} messageTs - Timestamp of the reply (optional), so the offer can be withdrawn if it's edited or deleted
    */
-  async _handleTodoResponse(session, message, analysis) {
+  async _offerUntrackedWork(session, message, items = [], messageTs = null) {
+    session.untrackedWork = session.untrackedWork || [];
+    const offered = new Set(session.untrackedWork.filter(w => w.status !== 'withdrawn').map(w => w.summary.toLowerCase()));
+
+    const newItems = [];
+    for (const work of items || []) {
+      const summary = this._excerpt(work?.summary || '', 120);
+      if (!summary || offered.has(summary.toLowerCase())) continue;
+      offered.add(summary.toLowerCase());
+
+      const item = {
+        // Unique across developers, so a click on someone else's offer never matches one of yours
+        id: `UW-${session.userId}-${session.untrackedWork.length + 1}`,
+        summary,
+        description: work.description || '',
+        message,
+        messageTs,
+        status: 'offered', // offered, creating, created, dismissed or withdrawn (its reply was edited or deleted)
+        issueKey: null,
+      };
+      session.untrackedWork.push(item);
+      newItems.push(item);
+    }
+
+    if (newItems.length === 0) {
+      return;
+    }
+
+    const text = newItems.length === 1
+      ? `🎫 *${newItems[0].summary}* doesn't have a JIRA ticket yet. Want me to create one? It'll be assigned to you and moved to In Progress.`
+      : `🎫 These don't have JIRA tickets yet. Want me to create them? They'll be assigned to you and moved to In Progress.`;
+    const blocks = [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      ...slackService.createUntrackedWorkBlocks(this.team.id, newItems),
+    ];
+    await this._sendToDeveloper(session, text, blocks);
+    console.log(`🎫 Offered ${newItems.length} untracked work item(s) to ${session.userName}`);
+    this.saveState();
+  }
+
+  /**
+   * Handle a click on an untracked work offer: create the ticket, or drop the offer
+   * Only the developer it was offered to can answer it, and only once
+   * @param {string} userId - Slack user ID of whoever clicked
+   * @param {string} action - 'create' or 'dismiss'
+   * @param {string} itemId - Untracked work item ID
+   */
+  async handleUntrackedWorkAction(userId, action, itemId) {
+    const session = this.sessions.get(userId);
+    const work = session?.untrackedWork?.find(w => w.id === itemId);
+    if (!work || work.status !== 'offered') {
+      console.log(`Ignoring untracked work action '${action}' from ${userId} on ${itemId}`);
+      return;
+    }
+
+    if (action === 'dismiss') {
+      work.status = 'dismissed';
+      this.saveState();
+      await this._sendToDeveloper(session, `👍 OK, no ticket for *${work.summary}*.`);
+      return;
+    }
+
+    const result = await this.createUntrackedWorkTicket(session, work);
+    await this._sendToDeveloper(session, result.message);
+  }
+
+  /**
+   * Create the JIRA ticket for an untracked work item: assigned to the developer, described from
+   * what they said, and moved to In Progress. It's added to their tasks for the rest of the standup.
+   * @param {Object} session - The developer's session
+   * @param {Object} work - Untracked work item
+   * @returns {Promise<Object>} { success, message }
+   */
+  async createUntrackedWorkTicket(session, work) {
+    // Teams scoped by a JQL filter create it in the project of one of the developer's tickets
+    const projectKey = this.jira.projectKey || (session.tasks[0] ? this.jira.projectKeyOf(session.tasks[0].key) : null);
+    if (!projectKey) {
+      return { success: false, message: `❌ Couldn't tell which JIRA project *${work.summary}* belongs in - please create it in JIRA.` };
+    }
+
+    // Claimed before anything is awaited, so a second click while it's in flight doesn't file a second ticket
+    work.status = 'creating';
+    this.saveState();
+
+    const assignee = this.getJiraAuthor(session).accountId || await this.jira.findAccountId(session.userEmail);
+    const description = [
+      work.description,
+      '',
+      `Raised by ${this.jira.mentionUser(session.userName, assignee)} at the ${this.standupDate} ${this.team.name} standup:`,
+      ...work.message.split('\n').filter(line => line.trim()).map(line => `> ${line}`),
+    ].join('\n');
+
+    const issueKey = await this.jira.createIssue({ summary: work.summary, description, projectKey, assignee });
+    if (!issueKey) {
+      work.status = 'offered';
+      this.saveState();
+      return { success: false, message: `❌ Couldn't create a JIRA ticket for *${work.summary}*. Check the logs for details.` };
+    }
+
+    work.status = 'created';
+    work.issueKey = issueKey;
+
+    const statusModel = await this.jira.loadStatusModel(projectKey);
+    const inProgress = statusModel.getStatusName(StatusCategory.IN_PROGRESS) || 'In Progress';
+    const transition = await this.jira.updateTicketStatus(issueKey, inProgress);
+    const status = transition.success ? inProgress : transition.path?.[transition.path.length - 1] || statusModel.getStatusName(StatusCategory.TODO) || 'To Do';
+
+    // Part of their work from now on (edits, check-out, the summary)
+    const task = {
+      key: issueKey,
+      summary: work.summary,
+      description: work.description || null,
+      comments: [],
+      status,
+      statusCategory: statusModel.categorize(status),
+      assignee: session.userName,
+      assigneeEmail: session.userEmail,
+      assigneeAccountId: assignee,
+      storyPoints: null,
+      priority: 'Medium',
+      issueType: 'Task',
+      dueDate: null,
+    };
+    session.tasks.push(task);
+    if (task.statusCategory !== StatusCategory.TODO) {
+      session.inProgressTasks.push(task);
+    }
+    this.saveState();
+
+    if (this.summaryMessageTs) {
+      await this._updateStandupSummary();
+    }
+
+    console.log(`🎫 Created ${issueKey} for untracked work of ${session.userName}`);
+    let message = `🎫 Created *${issueKey}* for *${work.summary}*`;
+    message += assignee ? ', assigned to you' : " (I couldn't find your JIRA account, so it's unassigned)";
+    message += transition.success
+      ? ` and moved to ${inProgress}.`
+      : `, but couldn't move it to ${inProgress} - ${this._describeTransitionFailure(transition)}.`;
+    return { success: true, message };
+  }
+
+  /**
+   * Record a task update: keep it on the session, sync the due date and remember the commitment
+   * @param {Object} session - The developer's session
+   * @param {Object} update - Task update from the analysis
+   * @param {string} messageTs - Timestamp of the message it came from (optional)
+   */
+  async _recordTaskUpdate(session, update, messageTs = null) {
+    const expectedDate = this.calendar.resolveTimeline(update.timeline, this.standupDate);
+    session.updates.push({
+      ticketKey: update.ticketKey,
+      newStatus: update.newStatus,
+      progressNote: update.progressNote,
+      blocker: update.blocker,
+      timeline: update.timeline,
+      timeSpent: update.timeSpent || null,
+      expectedDate,
+      messageTs,
+    });
+
+    const task = session.tasks.find(t => t.key === update.ticketKey);
+    if (task && expectedDate) {
+      await this._syncDueDate(session, task, expectedDate);
+    }
+
+    // Remember what they said so the next standup can check whether it landed
+    if (task && (update.timeline || update.progressNote)) {
+      commitmentService.recordCommitment({
+        teamId: this.team.id,
+        date: this.standupDate,
+        userEmail: session.userEmail,
+        userName: session.userName,
+        ticketKey: task.key,
+        ticketSummary: task.summary,
+        timeline: update.timeline,
+        expectedDate,
+        plan: update.progressNote,
+      });
+    }
+  }
+
+  /**
+   * Bring a ticket's JIRA status, standup comment and worklog in line with an update, starting from
+   * what earlier replies (or an earlier version of the same reply) already did to it (also used by the end-of-day check-out)
+   * @param {string} ticketKey - Ticket key
+   * @param {Object} applied - Effect already in JIRA { status, previousStatus, comment, commentId, worklogId,
+   *   worklogSeconds }, or null
+   * @param {Object} update - Wanted update { newStatus, progressNote, timeSpent }, or null to undo the applied effect
+   * @param {Object} options - Comment options
+   * @param {string} options.commentPrefix - Heading of the JIRA comment (and worklog comment)
+   * @param {Object} options.author - Developer the update is from { name, email, accountId } (see getJiraAuthor)
+   * @returns {Promise<Object>} { effect, changes, transition } - effect now in JIRA (null if none), changes describe
+   *   what was done, transition is the result of the status change (null if none was tried)
+   */
+  async syncJiraUpdate(ticketKey, applied, update, { commentPrefix = '[Standup Update]', author = null } = {}) {
+    const effect = {
+      status: applied?.status || null,
+      previousStatus: applied?.previousStatus || null,
+      comment: applied?.comment || null,
+      commentId: applied?.commentId || null,
+      worklogId: applied?.worklogId || null,
+      worklogSeconds: applied?.worklogSeconds || null,
+    };
+    const changes = [];
+    let transition = null;
+
+    // "To Do → In Progress → Done" when it took more than one transition
+    const describePath = result => (result.path?.length > 2 ? ` (${result.path.join(' → ')})` : '');
+
+    const targetStatus = update?.newStatus || null;
+    if ((targetStatus || '').toLowerCase() !== (effect.status || '').toLowerCase()) {
+      if (targetStatus) {
+        const result = await this.jira.updateTicketStatus(ticketKey, targetStatus);
+        transition = result;
+        // Already in that status means we didn't change anything there's to undo later
+        if (result.success && !result.alreadyInStatus) {
+          effect.previousStatus = effect.previousStatus || result.previousStatus || null;
+          effect.status = targetStatus;
+          changes.push(`moved to ${targetStatus}${describePath(result)}`);
+        } else if (result.success) {
+          effect.status = null;
+        } else if (result.path?.length > 1) {
+          // Got part of the way - remember where it was left so an edit can still move it back
+          effect.previousStatus = effect.previousStatus || result.previousStatus || null;
+          effect.status = result.path[result.path.length - 1];
+          changes.push(`only got it to ${effect.status} (${result.path.join(' → ')}) - ${this._describeTransitionFailure(result)}`);
+        } else {
+          changes.push(`couldn't move it to ${targetStatus} - ${this._describeTransitionFailure(result)}`);
+        }
+      } else if (effect.previousStatus) {
+        const result = await this.jira.updateTicketStatus(ticketKey, effect.previousStatus);
+        transition = result;
+        if (result.success) {
+          changes.push(`moved back to ${effect.previousStatus}${describePath(result)}`);
+          effect.status = null;
+        } else {
+          changes.push(`couldn't move it back to ${effect.previousStatus} - please fix it in JIRA`);
+        }
+      } else {
+        changes.push(`couldn't tell what status it had before ${effect.status} - please fix it in JIRA`);
+        effect.status = null;
+      }
+    }
+
+    // Standup comments only go with a status change (as before)
+    const targetComment = update?.newStatus && update?.progressNote ? this._buildJiraComment(commentPrefix, update, author) : null;
+    if (targetComment !== effect.comment) {
+      const hadComment = Boolean(effect.commentId);
+      if (hadComment) {
+        await this.jira.deleteComment(ticketKey, effect.commentId);
+      }
+      effect.comment = null;
+      effect.commentId = null;
+
+      if (targetComment) {
+        effect.commentId = await this.jira.addComment(ticketKey, targetComment);
+        effect.comment = effect.commentId ? targetComment : null;
+      }
+      if (hadComment || effect.commentId) {
+        changes.push(!hadComment ? 'comment added' : effect.commentId ? 'comment updated' : 'comment removed');
+      }
+    }
+
+    // Time spent since the last standup, when the team logs work
+    const targetSeconds = this.team.standup.worklogMode !== 'off' ? parseDuration(update?.timeSpent) : null;
+    if (targetSeconds !== effect.worklogSeconds) {
+      const hadWorklog = Boolean(effect.worklogId);
+      if (hadWorklog) {
+        await this.jira.deleteWorklog(ticketKey, effect.worklogId);
+        worklogService.removeWorklog(ticketKey, effect.worklogId);
+      }
+      effect.worklogId = null;
+      effect.worklogSeconds = null;
+
+      if (targetSeconds) {
+        const note = update.progressNote ? this.jira.linkIssueKeys(update.progressNote) : 'Logged from standup';
+        effect.worklogId = await this.jira.addWorklog(ticketKey, targetSeconds, `**${commentPrefix}** ${note}`);
+        if (effect.worklogId) {
+          effect.worklogSeconds = targetSeconds;
+          if (author?.email) {
+            worklogService.recordWorklog({
+              teamId: this.team.id,
+              date: this.standupDate,
+              userEmail: author.email,
+              userName: author.name,
+              ticketKey,
+              worklogId: effect.worklogId,
+              seconds: targetSeconds,
+            });
+          }
+        }
+      }
+      if (hadWorklog || effect.worklogId) {
+        changes.push(!hadWorklog
+          ? `logged ${formatDuration(targetSeconds)}`
+          : effect.worklogId ? `worklog changed to ${formatDuration(targetSeconds)}` : 'worklog removed');
+      }
+    }
+
+    return { effect: effect.status || effect.commentId || effect.worklogId ? effect : null, changes, transition };
+  }
+
+  /**
+   * Build the JIRA comment for an update (markdown): a heading that mentions the developer, then a bullet list
+   * @param {string} prefix - Heading, e.g. "[Standup Update]"
+   * @param {Object} update - Update { newStatus, progressNote }
+   * @param {Object} author - Developer { name, accountId }, or null
+   * @returns {string} Comment
+   */
+  _buildJiraComment(prefix, update, author) {
+    const from = author ? ` from ${this.jira.mentionUser(author.name, author.accountId)}` : '';
+    return [
+      `**${prefix}**${from}`,
+      `- Status: **${update.newStatus}**`,
+      `- ${this.jira.linkIssueKeys(update.progressNote)}`,
+    ].join('\n');
+  }
+
+  /**
+   * Get who a developer is in JIRA, for mentioning them in comments
+   * @param {Object} session - The developer's session
+   * @returns {Object} { name, email, accountId } - accountId is null if none of their tickets tells it
+   */
+  getJiraAuthor(session) {
+    return {
+      name: session.userName,
+      email: session.userEmail,
+      accountId: session.tasks.find(t => t.assigneeAccountId)?.assigneeAccountId || null,
+    };
+  }
+
+  /**
+   * Explain briefly why a ticket couldn't be moved, for the developer
+   * @param {Object} result - Failed result of jiraService.updateTicketStatus
+   * @returns {string} Reason
+   */
+  _describeTransitionFailure(result) {
+    if (result.errorType === 'required_fields') {
+      return 'the workflow needs fields filled in, please finish it in JIRA';
+    }
+    if (result.errorType === 'no_valid_transition') {
+      return "the workflow doesn't allow it from there";
+    }
+    return 'JIRA refused the change';
+  }
+
+  /**
+   * Handle a standup reply that was edited or deleted in Slack
+   * The edited text is analyzed again and compared with what the original did: tickets it no longer
+   * mentions are moved back and lose their standup comment, changed ones are corrected and new ones
+   * are applied. Due dates it set and ticket offers it made are undone too. Blockers from the original
+   * reply are kept (they can be resolved as usual).
+   * @param {string} userId - Slack user ID
+   * @param {string} messageTs - Timestamp of the edited or deleted message
+   * @param {string} text - New message text (null if the message was deleted)
+   * @returns {Promise<string|null>} What was corrected, or null if nothing was applied from that message
+   */
+  async handleMessageEdit(userId, messageTs, text = null) {
+    const session = this.sessions.get(userId);
+    const applied = session?.appliedMessages?.[messageTs];
+    if (!applied) {
+      return null;
+    }
+
+    console.log(`✏️ ${session.userName} ${text ? 'edited' : 'deleted'} a standup reply`);
+
+    let taskUpdates = [];
+    let untrackedWork = [];
+    if (text) {
+      const analysis = await this.llm.analyzeStandupResponse(
+        text,
+        this._buildTasksContext(session),
+        this._buildBlockersContext(session),
+        this.getStatusChoices(session.tasks),
+        this.getSprintContext()
+      );
+      taskUpdates = analysis.isOffTopic ? [] : analysis.taskUpdates;
+      untrackedWork = analysis.isOffTopic ? [] : analysis.untrackedWork;
+    }
+
+    // Swap the reply's JIRA updates for the edited ones (in the same place), then correct JIRA ticket by ticket
+    const previousJiraKeys = (session.jiraUpdates || []).filter(u => u.messageTs === messageTs).map(u => u.ticketKey);
+    session.jiraUpdates = (session.jiraUpdates || []).filter(u => u.messageTs !== messageTs);
+    const ticketKeys = [...previousJiraKeys, ...this._addJiraUpdates(session, taskUpdates, applied.order, messageTs)];
+    const corrections = (await this._syncJiraTickets(session, ticketKeys))
+      .filter(({ changes }) => changes.length > 0)
+      .map(({ ticketKey, changes }) => `• *${ticketKey}*: ${changes.join(', ')}`);
+
+    // Replace the updates that came from the original text
+    const previousUpdates = session.updates.filter(u => u.messageTs === messageTs);
+    session.updates = session.updates.filter(u => u.messageTs !== messageTs);
+    const dueDatesBefore = new Map(session.tasks.map(t => [t.key, t.dueDate]));
+    for (const update of taskUpdates) {
+      await this._recordTaskUpdate(session, update, messageTs);
+    }
+    for (const task of session.tasks) {
+      if (task.dueDate !== dueDatesBefore.get(task.key)) {
+        corrections.push(`• *${task.key}*: due date moved to ${task.dueDate}`);
+      }
+    }
+    for (const { ticketKey } of previousUpdates) {
+      if (!session.updates.some(u => u.ticketKey === ticketKey)) {
+        commitmentService.removeCommitment(this.team.id, session.userEmail, ticketKey, this.standupDate);
+      }
+    }
+
+    // Due dates the original text set fall back to an earlier reply's timeline, or to what JIRA had before
+    for (const ticketKey of new Set(previousUpdates.filter(u => u.expectedDate).map(u => u.ticketKey))) {
+      if (session.updates.some(u => u.ticketKey === ticketKey && u.messageTs === messageTs && u.expectedDate)) continue;
+      const dueDateCorrection = await this._revertDueDate(session, ticketKey);
+      if (dueDateCorrection) {
+        corrections.push(`• *${ticketKey}*: ${dueDateCorrection}`);
+      }
+    }
+
+    // Open ticket offers for work only the original text mentioned are withdrawn; new work in the edit is offered
+    const stillMentioned = new Set(untrackedWork.map(w => this._excerpt(w?.summary || '', 120).toLowerCase()));
+    const withdrawn = (session.untrackedWork || []).filter(w =>
+      w.messageTs === messageTs && w.status === 'offered' && !stillMentioned.has(w.summary.toLowerCase()));
+    for (const work of withdrawn) {
+      work.status = 'withdrawn';
+    }
+    if (text) {
+      await this._offerUntrackedWork(session, text, untrackedWork, messageTs);
+    }
+
+    if (text) {
+      session.appliedMessages[messageTs] = { text, order: applied.order };
+    } else {
+      delete session.appliedMessages[messageTs];
+    }
+    this.saveState();
+    if (this.summaryMessageTs) {
+      this._recordHistory();
+    }
+
+    const withdrawnNote = withdrawn.length > 0
+      ? `\n\n🎫 I've withdrawn the ticket offer for ${withdrawn.map(w => `*${w.summary}*`).join(', ')}.`
+      : '';
+    if (!text) {
+      return (corrections.length > 0
+        ? `🗑️ You deleted an update, so I've rolled back what it changed in JIRA:\n${corrections.join('\n')}`
+        : "🗑️ You deleted an update - I've taken it out of today's standup.") + withdrawnNote;
+    }
+    return (corrections.length > 0
+      ? `✏️ Got your edit - I've corrected JIRA:\n${corrections.join('\n')}`
+      : '✏️ Got your edit - nothing in JIRA needed to change.') + withdrawnNote;
+  }
+
+  /**
+   * Check whether an edited or deleted message is a standup reply this workflow applied
+   * @param {string} userId - Slack user ID
+   * @param {string} messageTs - Message timestamp
+   * @returns {boolean} True if it was applied here
+   */
+  hasAppliedMessage(userId, messageTs) {
+    return Boolean(this.sessions.get(userId)?.appliedMessages?.[messageTs]);
+  }
+
+  /**
+   * Compare a stated timeline with the ticket's JIRA due date and, depending on the
+   * team's due date policy, update the due date or note the mismatch for the summary
+   * @param {Object} session - The developer's session
+   * @param {Object} task - The ticket
+   * @param {string} expectedDate - Stated timeline as YYYY-MM-DD
+   */
+  async _syncDueDate(session, task, expectedDate) {
+    const policy = this.team.standup.dueDatePolicy;
+    if (policy === 'off' || expectedDate === task.dueDate) {
+      return;
+    }
+    // Without a due date there's nothing to flag - only fill it in when we're allowed to update
+    if (!task.dueDate && policy !== 'update') {
+      return;
+    }
+
+    // dueDate stays what JIRA had before the standup, however many replies change it, so it can be put back
+    const previous = (session.dueDateChanges || []).find(c => c.ticketKey === task.key);
+    const change = {
+      ticketKey: task.key,
+      summary: task.summary,
+      dueDate: previous?.updated ? previous.dueDate : task.dueDate,
+      expectedDate,
+      updated: false,
+    };
+
+    if (policy === 'update') {
+      change.updated = await this.jira.updateDueDate(task.key, expectedDate);
+      if (change.updated) {
+        task.dueDate = expectedDate;
+      }
+    }
+
+    // Keep only the latest change per ticket (none if it's back where it started)
+    session.dueDateChanges = (session.dueDateChanges || []).filter(c => c.ticketKey !== task.key);
+    if (!(change.updated && change.dueDate === expectedDate)) {
+      session.dueDateChanges.push(change);
+    }
+  }
+
+  /**
+   * Undo a due date change whose reply was edited or deleted: go back to the latest timeline another
+   * reply gave for the ticket, or restore the due date JIRA had before the standup
+   * @param {Object} session - The developer's session
+   * @param {string} ticketKey - Ticket key
+   * @returns {Promise<string|null>} What changed in JIRA, or null if nothing did
+   */
+  async _revertDueDate(session, ticketKey) {
+    const change = (session.dueDateChanges || []).find(c => c.ticketKey === ticketKey);
+    const task = session.tasks.find(t => t.key === ticketKey);
+    if (!change || !task) {
+      return null;
+    }
+
+    const remaining = session.updates.filter(u => u.ticketKey === ticketKey && u.expectedDate);
+    if (remaining.length > 0) {
+      const dueDateBefore = task.dueDate;
+      await this._syncDueDate(session, task, remaining[remaining.length - 1].expectedDate);
+      return task.dueDate !== dueDateBefore ? `due date back to ${task.dueDate}` : null;
+    }
+
+    session.dueDateChanges = session.dueDateChanges.filter(c => c !== change);
+    if (!change.updated) {
+      return null;
+    }
+    if (!(await this.jira.updateDueDate(ticketKey, change.dueDate))) {
+      return "couldn't put the due date back - please fix it in JIRA";
+    }
+    task.dueDate = change.dueDate;
+    return change.dueDate ? `due date back to ${change.dueDate}` : 'due date cleared';
+  }
+
+  /**
+   * Handle response about in-progress tasks
+   */
+  async _handleInProgressResponse(session, message, analysis) {
+    session.inProgressExchangeCount++;
+    
+    // Check if response is satisfactory
+    const isSatisfactory = this._isResponseSatisfactory(analysis, 'in_progress');
+    
+    if (isSatisfactory) {
+      // Good response - move to todo tasks if any (unless skipTodoItems is set)
+      if (session.todoTasks.length > 0 && !session.skipTodoItems) {
+        session.state = StandupState.ASKING_TODO;
+        
+        // Send acknowledgment and ask about todo
+        const ackMsg = analysis.summary
+          ? `Thanks! ${analysis.summary}\n\n`
+          : 'Thanks for the update!\n\n';
+        
+        const todoCount = session.todoTasks.length;
+        const todoQuestion = `Now about your *${todoCount} to-do task${todoCount > 1 ? 's' : ''}* - ` +
+          `which ones are you planning to pick up today?`;
+        
+        const fullMsg = ackMsg + todoQuestion;
+        
+        // Send to the developer
+        await this._sendToDeveloper(session, fullMsg);
+        
+        this._setUserTimeout(session);
+        return null; // Already sent
+      } else {
+        // No todo tasks OR skipTodoItems is set (too many in-progress tasks) - complete standup
+        return await this._completeDeveloperStandup(session, analysis);
+      }
+    }
+    
+    // Response not satisfactory - check if we've hit the limit
+    if (session.inProgressExchangeCount >= MAX_IN_PROGRESS_EXCHANGES) {
+      session.inProgressSatisfactory = false;
+      session.unsatisfactoryReasons.push('in-progress tasks update incomplete');
+      
+      // Move to todo tasks if any (unless skipTodoItems is set), otherwise mark for follow-up
+      if (session.todoTasks.length > 0 && !session.skipTodoItems) {
+        session.state = StandupState.ASKING_TODO;
+        
+        const todoCount = session.todoTasks.length;
+        const moveOnMsg = `Alright, let's move on. About your *${todoCount} to-do task${todoCount > 1 ? 's' : ''}* - ` +
+          `which ones are you planning to pick up today?`;
+        
+        // Send to the developer
+        await this._sendToDeveloper(session, moveOnMsg);
+        
+        this._setUserTimeout(session);
+        return null; // Already sent
+      } else {
+        // No todo tasks OR skipTodoItems is set, and in-progress not satisfactory
+        return await this._handleUnsatisfactoryCompletion(session);
+      }
+    }
+    
+    // Ask follow-up (still within limit)
+    session.state = StandupState.IN_PROGRESS_FOLLOWUP;
+    
+    // Generate a specific follow-up question
+    const followUpQuestion = this._generateFollowUpQuestion(session, analysis, 'in_progress');
+    
+    // Send to the developer
+    await this._sendToDeveloper(session, followUpQuestion);
+    
+    this._setUserTimeout(session);
+    return null; // Already sent
+  }
+
+  /**
+   * Handle response about todo tasks
+   */
+  async _handleTodoResponse(session, message, analysis) {
     session.todoExchangeCount++;
     
     // Check if response is satisfactory
@@ -1089,13 +2626,8 @@ class StandupWorkflow {
     
     const followUpQuestion = this._generateFollowUpQuestion(session, analysis, 'todo');
     
-    // Send in the thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      followUpQuestion,
-      null,
-      this.standupThreadTs
-    );
+    // Send to the developer
+    await this._sendToDeveloper(session, followUpQuestion);
     
     this._setUserTimeout(session);
     return null; // Already sent
@@ -1117,9 +2649,10 @@ class StandupWorkflow {
     const needsClarification = analysis.needsClarification || false;
     const hasSummary = analysis.summary && analysis.summary.length > 20;
     
-    // For in-progress: need progress info or clear status
+    // For in-progress: need progress info or clear status (work without a ticket counts - it's offered as one)
     if (phase === 'in_progress') {
-      return (hasUpdates && hasProgressInfo) || (hasSummary && !needsClarification);
+      const hasUntrackedWork = analysis.untrackedWork?.length > 0;
+      return (hasUpdates && hasProgressInfo) || hasUntrackedWork || (hasSummary && !needsClarification);
     }
     
     // For todo: need to know what they're planning
@@ -1162,7 +2695,7 @@ class StandupWorkflow {
   }
 
   /**
-   * Handle completion when responses were unsatisfactory and move to next developer
+   * Handle completion when responses were unsatisfactory and move on
    */
   async _handleUnsatisfactoryCompletion(session) {
     session.state = StandupState.NEEDS_FOLLOWUP;
@@ -1174,31 +2707,19 @@ class StandupWorkflow {
     const message = `Thanks *${session.userName}*! I noticed we didn't fully cover ${reasons}. ` +
       `Please connect with me separately so we can discuss in more detail. 🤝`;
     
-    // Send message in the thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      message,
-      null,
-      this.standupThreadTs
-    );
+    // Send message to the developer
+    await this._sendToDeveloper(session, message);
 
     console.log(`⚠️ ${session.userName} needs follow-up`);
 
-    // Clear current developer and move to next
-    this.currentDeveloper = null;
-    
-    // Small delay before asking next developer
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Ask the next developer
-    await this._askNextDeveloper();
+    await this._advanceStandup();
     
     // Return null since we already sent the message
     return null;
   }
 
   /**
-   * Complete a developer's standup and move to the next developer
+   * Complete a developer's standup and move on
    */
   async _completeDeveloperStandup(session, analysis) {
     session.state = StandupState.COMPLETED;
@@ -1208,24 +2729,12 @@ class StandupWorkflow {
 
     const completionMsg = this._generateCompletionMessage(session, analysis);
 
-    // Send completion message in the thread
-    await slackService.sendMessage(
-      this.standupChannel,
-      completionMsg,
-      null,
-      this.standupThreadTs
-    );
+    // Send completion message to the developer
+    await this._sendToDeveloper(session, completionMsg);
 
     console.log(`✅ ${session.userName} completed standup`);
 
-    // Clear current developer and move to next
-    this.currentDeveloper = null;
-    
-    // Small delay before asking next developer
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Ask the next developer
-    await this._askNextDeveloper();
+    await this._advanceStandup();
 
     // Return null since we already sent the message
     return null;
@@ -1247,6 +2756,10 @@ class StandupWorkflow {
       msgParts.push("\nI'll flag these for the team's attention.");
     }
 
+    if (session.resolvedBlockers && session.resolvedBlockers.length > 0) {
+      msgParts.push(`\n\n🎉 *Marked resolved:* ${session.resolvedBlockers.join(', ')}`);
+    }
+
     const statusUpdates = (session.updates || []).filter(u => u.newStatus);
     if (statusUpdates.length > 0) {
       // Don't mention ticket IDs - just confirm updates were made
@@ -1261,12 +2774,17 @@ class StandupWorkflow {
    * Create the standup header message blocks
    */
   _createStandupHeader() {
+    const instructions = this.standupMode === StandupMode.DM
+      ? `📬 *I've sent each of you a DM - reply there whenever you can.* I'll post the summary here once everyone is done (or by ${this._formatDmDeadline()}).`
+      : "📝 *I'll ask each of you one by one - please reply in this thread when it's your turn.*";
+
     const today = new Date().toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric',
     });
+    const sprintText = this.sprint ? `\n${this._formatSprint()}` : '';
 
     return [
       {
@@ -1281,7 +2799,7 @@ class StandupWorkflow {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*${today}*\n\nGood morning team! Time for our daily standup.\n\n📝 *I'll ask each of you one by one - please reply in this thread when it's your turn.*`,
+          text: `*${today}*${sprintText}\n\nGood morning team! Time for our daily standup.\n\n${instructions}`,
         },
       },
       { type: 'divider' },
@@ -1289,18 +2807,133 @@ class StandupWorkflow {
   }
 
   /**
-   * Complete the entire standup session
+   * Load the team board's active sprint, with its working days in total and left (today included)
+   * @returns {Promise<Object|null>} Sprint (see JiraService.getActiveSprint) plus workingDays and daysRemaining,
+   *   or null if there's no active sprint
    */
-  async _completeStandup() {
-    console.log('All developers processed, completing standup...');
+  async _loadSprint() {
+    const sprint = await this.jira.getActiveSprint();
+    if (!sprint) {
+      return null;
+    }
+
+    const today = this.calendar.today();
+    const toDate = timestamp => (timestamp ? formatDateInTimezone(new Date(timestamp), this.calendar.timezone) : today);
+    const endDate = toDate(sprint.endDate);
+    return {
+      ...sprint,
+      workingDays: this.calendar.countWorkingDays(toDate(sprint.startDate), endDate),
+      daysRemaining: sprint.endDate ? this.calendar.countWorkingDays(today, endDate) : null,
+    };
+  }
+
+  /**
+   * Format the active sprint for Slack (name, working days left, points done, goal)
+   * @returns {string} Slack mrkdwn
+   */
+  _formatSprint() {
+    const { name, goal, daysRemaining, committedPoints, completedPoints } = this.sprint;
+    let text = `🏃 *${name}*`;
+    if (daysRemaining !== null) {
+      text += ` · ${daysRemaining} working day${daysRemaining === 1 ? '' : 's'} left`;
+    }
+    if (committedPoints > 0) {
+      text += ` · ${formatPoints(completedPoints)}/${formatPoints(committedPoints)} points done`;
+    }
+    if (goal) {
+      text += `\n🎯 Sprint goal: _${goal}_`;
+    }
+    return text;
+  }
+
+  /**
+   * Describe the active sprint for the LLM prompts
+   * @returns {string} Sprint name, goal, days left and points (or 'None')
+   */
+  getSprintContext() {
+    if (!this.sprint) {
+      return 'None';
+    }
+
+    const { name, goal, daysRemaining, committedPoints, completedPoints } = this.sprint;
+    const lines = [`${name}${goal ? ` - goal: ${goal}` : ' (no goal set)'}`];
+    if (daysRemaining !== null) {
+      lines.push(`Working days left (today included): ${daysRemaining}, last day ${formatDateInTimezone(new Date(this.sprint.endDate), this.calendar.timezone)}`);
+    }
+    if (committedPoints > 0) {
+      lines.push(`Story points: ${formatPoints(completedPoints)} of ${formatPoints(committedPoints)} done`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Check whether the sprint's remaining scope fits in the working days it has left, at the pace so far
+   * (points completed per working day since the sprint started)
+   * @returns {string|null} Warning for the summary, or null if the scope fits (or can't be judged yet)
+   */
+  _getSprintScopeWarning() {
+    if (!this.sprint || this.sprint.daysRemaining === null) {
+      return null;
+    }
+
+    const { daysRemaining, workingDays, committedPoints, completedPoints } = this.sprint;
+    const remaining = committedPoints - completedPoints;
+    if (remaining <= 0) {
+      return null;
+    }
+    if (daysRemaining === 0) {
+      return `⚠️ *The sprint has ended with ${formatPoints(remaining)} points still open.*`;
+    }
+
+    // No pace to go on during the sprint's first day
+    const elapsedDays = workingDays - daysRemaining;
+    if (elapsedDays <= 0) {
+      return null;
+    }
+
+    const pace = completedPoints / elapsedDays;
+    const projected = pace * daysRemaining;
+    if (remaining <= projected) {
+      return null;
+    }
+
+    const daysText = `${daysRemaining} working day${daysRemaining === 1 ? '' : 's'}`;
+    return pace > 0
+      ? `⚠️ *${formatPoints(remaining)} points left with ${daysText} to go* - at this sprint's pace (${formatPoints(pace)} points/day) about ${formatPoints(projected)} will get done.`
+      : `⚠️ *${formatPoints(remaining)} points left with ${daysText} to go* - and nothing has been completed yet this sprint.`;
+  }
+
+  /**
+   * Format the DM standup deadline in the standup timezone
+   * @param {number} deadlineMs - Deadline (ms) - defaults to the configured deadline from now
+   * @returns {string} e.g. "1:30 PM"
+   */
+  _formatDmDeadline(deadlineMs = Date.now() + this.team.standup.dmDeadlineMinutes * 60000) {
+    const deadline = new Date(deadlineMs);
+    return deadline.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: this.team.standup.timezone,
+      timeZoneName: 'short',
+    });
+  }
+
+  /**
+   * Complete the entire standup session
+   */
+  async _completeStandup() {
+    console.log('All developers processed, completing standup...');
     
     this.standupPhase = StandupPhase.COMPLETED;
+    this._clearDmDeadline();
 
     // Clear all remaining timeouts
     for (const [userId, timeout] of this.userTimeouts) {
       clearTimeout(timeout);
     }
     this.userTimeouts.clear();
+    this.userTimeoutDeadlines.clear();
+    this.saveState();
 
     await this._sendStandupSummary();
   }
@@ -1311,12 +2944,201 @@ class StandupWorkflow {
   async _sendStandupSummary() {
     console.log('Generating standup summary...');
 
+    const { allUpdates } = this._collectSummaryData();
+
+    // Count this standup against every blocker that's still open
+    blockerService.recordStandup(blockerService.getOpenBlockers(this.team.id), this.standupDate);
+
+    this._evaluateCommitments();
+
+    // Generate summary with LLM
+    // Reload the sprint so its points include what moved during standup
+    this.sprint = await this._loadSprint() || this.sprint;
+
+    let summary = 'Standup complete.';
+    if (allUpdates.length > 0) {
+      summary = await this.llm.generateStandupSummary(allUpdates, this.getSprintContext());
+    }
+    // Kept so the message can be rebuilt when late updates arrive
+    this.summaryText = summary;
+
+    const blocks = this._buildSummaryBlocks();
+
+    // Send summary in the standup thread (DM standups post it to the channel itself - the thread is nearly empty)
+    const summaryThreadTs = this.standupMode === StandupMode.DM ? null : this.standupThreadTs;
+    this.summaryMessageTs = await slackService.sendMessage(this.standupChannel, '📊 Standup Summary', blocks, summaryThreadTs);
+    this.saveState();
+    this._recordHistory();
+
+    console.log('Standup summary sent');
+
+    await this._escalateBlockers();
+  }
+
+  /**
+   * Check whether commitments due by today landed
+   * A commitment landed if its ticket was closed (no longer in the developer's open tickets)
+   * or moved to Done today; otherwise it slipped. Developers without a session today
+   * (on leave, excluded) are checked at their next standup.
+   */
+  _evaluateCommitments() {
+    for (const session of this.sessions.values()) {
+      const dueCommitments = commitmentService.getDueCommitments(this.team.id, session.userEmail, this.standupDate);
+
+      for (const commitment of dueCommitments) {
+        const stillOpen = session.tasks.some(t => t.key === commitment.ticketKey);
+        const doneToday = session.updates.some(u =>
+          u.ticketKey === commitment.ticketKey && u.newStatus && this.jira.getStatusModel(u.ticketKey).isDone(u.newStatus)
+        );
+        const revised = commitmentService.getCommitment(
+          this.team.id, session.userEmail, commitment.ticketKey, this.standupDate
+        );
+
+        commitmentService.resolveCommitment(
+          commitment,
+          !stillOpen || doneToday,
+          this.standupDate,
+          revised?.timeline || null
+        );
+      }
+    }
+  }
+
+  /**
+   * Escalate open blockers that hit one of the team's escalation rules
+   * - unresolved for N standups
+   * - holding up a ticket with an escalation priority (e.g. Highest)
+   * Each blocker is escalated once: the contacts get a DM with its history
+   * and, if enabled, the blocked ticket gets a JIRA comment
+   */
+  async _escalateBlockers() {
+    const { contacts, afterStandups, priorities, commentOnJira } = this.team.escalation;
+    if (contacts.length === 0) {
+      return;
+    }
+
+    for (const blocker of blockerService.getOpenBlockers(this.team.id)) {
+      if (blocker.escalatedOn) {
+        continue;
+      }
+
+      const reasons = [];
+      const standupCount = blocker.standupDates.length;
+      if (afterStandups > 0 && standupCount >= afterStandups) {
+        reasons.push(`unresolved for ${standupCount} standups`);
+      }
+      const priority = blocker.affectedTicket?.priority;
+      if (priority && priorities.some(p => p.toLowerCase() === priority.toLowerCase())) {
+        reasons.push(`blocking a ${priority}-priority ticket (${blocker.affectedTicket.key})`);
+      }
+
+      if (reasons.length === 0) {
+        continue;
+      }
+
+      console.log(`🚨 Escalating ${blocker.id}: ${reasons.join(', ')}`);
+      const message = this._formatBlockerEscalation(blocker, reasons);
+
+      for (const contact of contacts) {
+        // Contacts can be Slack user IDs or emails
+        const userId = contact.includes('@')
+          ? (await slackService.getUserByEmail(contact))?.id
+          : contact;
+        if (!userId) {
+          console.warn(`Could not find Slack user for escalation contact ${contact}`);
+          continue;
+        }
+        await slackService.sendDM(userId, message);
+      }
+
+      if (commentOnJira && blocker.affectedTicket) {
+        await this.jira.addComment(
+          blocker.affectedTicket.key,
+          `[Standup Blocker Escalation] ${blocker.blockedUser.name} is blocked on ${this._describeBlockingParty(blocker)}: ` +
+          `"${blocker.description}" - ${blockerService.formatAge(blocker, this.standupDate)} (${reasons.join(', ')}).`
+        );
+      }
+
+      blockerService.markEscalated(blocker.id, this.standupDate, reasons);
+    }
+  }
+
+  /**
+   * Format the escalation DM for a blocker, including its history
+   * @param {Object} blocker - Blocker
+   * @param {string[]} reasons - Rules that triggered the escalation
+   * @returns {string} Message text
+   */
+  _formatBlockerEscalation(blocker, reasons) {
+    let message = `🚨 *Blocker escalated - ${this.team.name}* (${blocker.id})\n\n`;
+    message += `*${blocker.blockedUser.name}* is blocked on ${this._describeBlockingParty(blocker)}: "${blocker.description}"\n`;
+    if (blocker.affectedTicket) {
+      message += `*Ticket:* ${blocker.affectedTicket.key} (${blocker.affectedTicket.priority})\n`;
+    }
+    message += `*Why:* ${reasons.join(', ')}\n`;
+    message += `*Opened:* ${blocker.openedOn} (${blockerService.formatAge(blocker, this.standupDate)})\n\n`;
+
+    message += '*History:*\n';
+    for (const entry of blocker.history) {
+      const by = entry.by ? ` by ${entry.by}` : '';
+      const note = entry.note ? `: ${entry.note}` : '';
+      message += `• ${entry.date} - ${entry.type}${by}${note}\n`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Re-render the posted summary message (e.g. after a late update)
+   */
+  async _updateStandupSummary() {
+    if (!this.summaryMessageTs) {
+      return;
+    }
+
+    // chat.update needs the channel ID, not its name
+    const channelId = await slackService.resolveChannelId(this.standupChannel);
+    await slackService.updateMessage(channelId, this.summaryMessageTs, '📊 Standup Summary', this._buildSummaryBlocks());
+    this._recordHistory();
+    console.log('Standup summary updated');
+  }
+
+  /**
+   * Save today's standup (summary and everyone's updates) to the standup history
+   */
+  _recordHistory() {
+    historyService.recordStandup({
+      teamId: this.team.id,
+      date: this.standupDate,
+      mode: this.standupMode,
+      summary: this.summaryText,
+      members: Array.from(this.sessions.values()).map(session => ({
+        userId: session.userId,
+        name: session.userName,
+        state: session.state,
+        updates: session.updates || [],
+        blockers: session.blockers || [],
+        late: Boolean(session.lateSubmission),
+      })),
+    });
+  }
+
+  /**
+   * Group sessions for the summary
+   * @returns {Object} { allUpdates, skippedMembers, needsFollowupMembers, lateUpdates, dueDateChanges }
+   */
+  _collectSummaryData() {
     const allUpdates = [];
-    const allBlockers = [];
+    const dueDateChanges = [];
     const skippedMembers = [];
     const needsFollowupMembers = [];
+    const lateUpdates = [];
 
     for (const session of this.sessions.values()) {
+      for (const change of session.dueDateChanges || []) {
+        dueDateChanges.push({ name: session.userName, ...change });
+      }
+
       if (session.state === StandupState.COMPLETED) {
         allUpdates.push({
           name: session.userName,
@@ -1324,10 +3146,11 @@ class StandupWorkflow {
           blockers: session.blockers,
         });
 
-        for (const blocker of session.blockers || []) {
-          allBlockers.push({
-            user: session.userName,
-            blocker,
+        // Updates that came in after the summary was written aren't in the LLM summary text
+        if (session.lateAfterSummary) {
+          lateUpdates.push({
+            name: session.userName,
+            summary: session.lateSummary,
           });
         }
       } else if (session.state === StandupState.SKIPPED) {
@@ -1348,11 +3171,19 @@ class StandupWorkflow {
       }
     }
 
-    // Generate summary with LLM
-    let summary = 'Standup complete.';
-    if (allUpdates.length > 0) {
-      summary = await llmService.generateStandupSummary(allUpdates);
-    }
+    return { allUpdates, skippedMembers, needsFollowupMembers, lateUpdates, dueDateChanges };
+  }
+
+  /**
+   * Build the summary message blocks from the current sessions
+   * @returns {Array} Block Kit blocks
+   */
+  _buildSummaryBlocks() {
+    const { skippedMembers, needsFollowupMembers, lateUpdates, dueDateChanges } = this._collectSummaryData();
+    const openBlockers = blockerService.getOpenBlockers(this.team.id);
+    const resolvedBlockers = blockerService.getResolvedOn(this.team.id, this.standupDate);
+    const slippedCommitments = commitmentService.getSlippedOn(this.team.id, this.standupDate);
+    const parkedItems = parkingLotService.getItemsOn(this.team.id, this.standupDate);
 
     // Create summary blocks
     const blocks = [
@@ -1368,11 +3199,40 @@ class StandupWorkflow {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: summary,
+          text: this.summaryText || 'Standup complete.',
         },
       },
     ];
 
+    // Add the sprint, with a warning if its remaining scope won't fit in the days left
+    if (this.sprint) {
+      const warning = this._getSprintScopeWarning();
+      blocks.push({ type: 'divider' });
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: warning ? `${this._formatSprint()}\n${warning}` : this._formatSprint(),
+        },
+      });
+    }
+
+    // Add late updates section if any
+    if (lateUpdates.length > 0) {
+      blocks.push({ type: 'divider' });
+      let lateText = '*📨 Late updates:*\n';
+      for (const member of lateUpdates) {
+        lateText += `• *${member.name}*: ${member.summary}\n`;
+      }
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: lateText,
+        },
+      });
+    }
+
     // Add needs-followup members section if any
     if (needsFollowupMembers.length > 0) {
       blocks.push({ type: 'divider' });
@@ -1405,13 +3265,59 @@ class StandupWorkflow {
       });
     }
 
-    // Add blockers section if any
-    if (allBlockers.length > 0) {
+    // Add slipped commitments section if any
+    if (slippedCommitments.length > 0) {
+      blocks.push({ type: 'divider' });
+      let slippedText = '*⏳ Slipped commitments:*\n';
+      for (const commitment of slippedCommitments) {
+        slippedText += `• *${commitment.userName}*: ${commitment.ticketSummary} (${commitment.ticketKey}) - expected ${commitment.expectedDate}`;
+        slippedText += commitment.revisedTimeline ? `, now "${commitment.revisedTimeline}"\n` : ', no new date\n';
+      }
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: slippedText,
+        },
+      });
+    }
+
+    // Add due date section if any (updated in JIRA, or flagged when the timeline doesn't match)
+    const updatedDueDates = dueDateChanges.filter(c => c.updated);
+    const mismatchedDueDates = dueDateChanges.filter(c => !c.updated);
+    if (updatedDueDates.length > 0 || mismatchedDueDates.length > 0) {
+      blocks.push({ type: 'divider' });
+      let dueDateText = '';
+      if (updatedDueDates.length > 0) {
+        dueDateText += '*📅 Due dates updated in JIRA:*\n';
+        for (const change of updatedDueDates) {
+          dueDateText += `• *${change.name}*: ${change.summary} (${change.ticketKey}) - ${change.dueDate || 'no due date'} → ${change.expectedDate}\n`;
+        }
+      }
+      if (mismatchedDueDates.length > 0) {
+        dueDateText += "*📅 Timelines that don't match the JIRA due date:*\n";
+        for (const change of mismatchedDueDates) {
+          const late = change.dueDate && change.expectedDate > change.dueDate ? ' ⚠️' : '';
+          dueDateText += `• *${change.name}*: ${change.summary} (${change.ticketKey}) - due ${change.dueDate || 'not set'}, expected ${change.expectedDate}${late}\n`;
+        }
+      }
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: dueDateText,
+        },
+      });
+    }
+
+    // Add blockers section if any (including ones still open from earlier standups)
+    if (openBlockers.length > 0) {
       blocks.push({ type: 'divider' });
 
       let blockersText = '*🚧 Blockers Requiring Attention:*\n';
-      for (const item of allBlockers) {
-        blockersText += `• *${item.user}*: ${item.blocker}\n`;
+      for (const blocker of openBlockers) {
+        const age = blockerService.formatAge(blocker, this.standupDate);
+        blockersText += `• *${blocker.blockedUser.name}*: ${blocker.description} _(${age}, ${blocker.id})_\n`;
       }
 
       blocks.push({
@@ -1423,10 +3329,223 @@ class StandupWorkflow {
       });
     }
 
-    // Send summary in the standup thread
-    await slackService.sendMessage(this.standupChannel, '📊 Standup Summary', blocks, this.standupThreadTs);
+    // Add resolved blockers section if any
+    if (resolvedBlockers.length > 0) {
+      let resolvedText = '*✅ Blockers resolved today:*\n';
+      for (const blocker of resolvedBlockers) {
+        const days = blockerService.getAgeInDays(blocker, this.standupDate);
+        resolvedText += `• *${blocker.blockedUser.name}*: ${blocker.description}`;
+        if (blocker.resolutionNotes) {
+          resolvedText += ` - ${blocker.resolutionNotes}`;
+        }
+        resolvedText += days > 0 ? ` _(after ${days} day${days > 1 ? 's' : ''})_\n` : '\n';
+      }
 
-    console.log('Standup summary sent');
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: resolvedText,
+        },
+      });
+    }
+
+    // Add each developer's time logged this week if the team logs work
+    const weeklyTotals = this.team.standup.worklogMode !== 'off' ? worklogService.getWeeklyTotals(this.team.id, this.standupDate) : [];
+    if (weeklyTotals.length > 0) {
+      blocks.push({ type: 'divider' });
+      let worklogText = '*⏱️ Time logged this week:*\n';
+      for (const total of weeklyTotals) {
+        worklogText += `• *${total.userName}*: ${formatDuration(total.weekSeconds)}`;
+        worklogText += total.daySeconds > 0 ? ` _(${formatDuration(total.daySeconds)} today)_\n` : '\n';
+      }
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: worklogText,
+        },
+      });
+    }
+
+    // Add tickets created for untracked work if any
+    const createdTickets = Array.from(this.sessions.values()).flatMap(session =>
+      (session.untrackedWork || []).filter(w => w.issueKey).map(w => ({ name: session.userName, ...w })));
+    if (createdTickets.length > 0) {
+      blocks.push({ type: 'divider' });
+      let createdText = '*🎫 New tickets for untracked work:*\n';
+      for (const work of createdTickets) {
+        createdText += `• *${work.name}*: ${work.summary} (${work.issueKey})\n`;
+      }
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: createdText,
+        },
+      });
+    }
+
+    // Add parking lot section if anything was parked, each item with its own buttons
+    if (parkedItems.length > 0) {
+      blocks.push({ type: 'divider' });
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*🅿️ Parking lot:*',
+        },
+      });
+
+      for (const item of parkedItems) {
+        let itemText = `• *${item.author.name}*: ${this._excerpt(item.text, 280)} _(${item.relatedTicket ? `${item.relatedTicket}, ` : ''}${item.id})_`;
+        if (item.issueKey) {
+          itemText += `\n   → 🎫 ${item.issueKey} created by <@${item.issueCreatedBy}>`;
+        }
+        if (item.threadTs) {
+          itemText += `\n   → 🧵 Follow-up thread started by <@${item.threadStartedBy}>`;
+        }
+        blocks.push({
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: itemText,
+          },
+        });
+
+        const actions = slackService.createParkingLotActionBlock(this.team.id, item);
+        if (actions) {
+          blocks.push(actions);
+        }
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Shorten text to a maximum length, ending with an ellipsis if cut
+   * @param {string} text - Text
+   * @param {number} maxLength - Maximum length
+   * @returns {string} Shortened text
+   */
+  _excerpt(text, maxLength) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > maxLength ? `${flat.substring(0, maxLength - 1).trimEnd()}…` : flat;
+  }
+
+  /**
+   * Handle a click on a parking lot item's button in the summary
+   * The summary shows the result when it's today's; otherwise (or if it failed) whoever clicked gets a DM
+   * @param {string} userId - Slack user ID of whoever clicked
+   * @param {string} type - ticket or thread
+   * @param {string} itemId - Parking lot item ID
+   */
+  async handleParkingLotAction(userId, type, itemId) {
+    const result = type === 'ticket'
+      ? await this.createParkingLotTask(itemId, userId)
+      : await this.startParkingLotThread(itemId, userId);
+
+    const item = parkingLotService.getItem(itemId);
+    if (result.success && item?.date === this.standupDate && this.summaryMessageTs) {
+      return;
+    }
+    await slackService.sendDM(userId, result.message);
+  }
+
+  /**
+   * Turn a parking lot item into a JIRA task (facilitators only)
+   * Teams scoped by a JQL filter create it in the related ticket's project
+   * @param {string} itemId - Parking lot item ID
+   * @param {string} requestedBy - Slack user ID of whoever asked for it
+   * @returns {Promise<Object>} { success, message }
+   */
+  async createParkingLotTask(itemId, requestedBy) {
+    const item = parkingLotService.getItem(itemId);
+    if (!item || item.teamId !== this.team.id) {
+      return { success: false, message: `❌ Parking lot item ${itemId} not found.` };
+    }
+    if (!(await this.isFacilitator(requestedBy))) {
+      return { success: false, message: `🔒 Only the ${this.team.name} standup facilitators can turn parking lot items into JIRA tasks.` };
+    }
+    if (item.issueKey) {
+      return { success: false, message: `${item.id} already has a JIRA task: ${item.issueKey}` };
+    }
+    const pendingKey = `${item.id}:ticket`;
+    if (this.parkingLotPending.has(pendingKey)) {
+      return { success: false, message: `A JIRA task for ${item.id} is already being created.` };
+    }
+
+    const description = [
+      `Raised by ${item.author.name} at the ${item.date} ${this.team.name} standup (parking lot ${item.id}).`,
+      item.text,
+      item.relatedTicket ? `Related ticket: ${item.relatedTicket}` : '',
+    ].join('\n');
+
+    // Claimed before the request, so a second click while it's in flight doesn't file a second task
+    this.parkingLotPending.add(pendingKey);
+    const issueKey = await this.jira.createIssue({
+      summary: `Standup follow-up: ${this._excerpt(item.text, 80)}`,
+      description,
+      projectKey: this.jira.projectKey || item.relatedTicket?.split('-')[0],
+    });
+    if (!issueKey) {
+      this.parkingLotPending.delete(pendingKey);
+      return { success: false, message: `❌ Couldn't create a JIRA task for ${item.id}. Check the logs for details.` };
+    }
+
+    parkingLotService.markIssueCreated(item.id, issueKey, requestedBy);
+    this.parkingLotPending.delete(pendingKey);
+    if (item.date === this.standupDate) {
+      await this._updateStandupSummary();
+    }
+    return { success: true, message: `🎫 Created ${issueKey} for ${item.id}.` };
+  }
+
+  /**
+   * Start a follow-up thread in the team channel for a parking lot item (facilitators only),
+   * mentioning whoever raised it, anyone mentioned in it and whoever asked for the thread
+   * @param {string} itemId - Parking lot item ID
+   * @param {string} requestedBy - Slack user ID of whoever asked for it
+   * @returns {Promise<Object>} { success, message }
+   */
+  async startParkingLotThread(itemId, requestedBy) {
+    const item = parkingLotService.getItem(itemId);
+    if (!item || item.teamId !== this.team.id) {
+      return { success: false, message: `❌ Parking lot item ${itemId} not found.` };
+    }
+    if (!(await this.isFacilitator(requestedBy))) {
+      return { success: false, message: `🔒 Only the ${this.team.name} standup facilitators can start follow-up threads for parking lot items.` };
+    }
+    if (item.threadTs) {
+      return { success: false, message: `${item.id} already has a follow-up thread in ${item.threadChannel}.` };
+    }
+    const pendingKey = `${item.id}:thread`;
+    if (this.parkingLotPending.has(pendingKey)) {
+      return { success: false, message: `A follow-up thread for ${item.id} is already being started.` };
+    }
+
+    const mentioned = [...item.text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)].map(m => m[1]);
+    const participants = [...new Set([item.author.userId, ...mentioned, requestedBy])];
+
+    let text = `🅿️ *Follow-up from the ${item.date} standup* (${item.id})\n`;
+    text += `> ${this._excerpt(item.text, 500)}\n`;
+    text += `Raised by <@${item.author.userId}>${item.relatedTicket ? ` about ${item.relatedTicket}` : ''}. `;
+    text += `${participants.map(id => `<@${id}>`).join(' ')} - let's pick this up here.`;
+
+    this.parkingLotPending.add(pendingKey);
+    const threadTs = await slackService.sendMessage(this.standupChannel, text);
+    if (!threadTs) {
+      this.parkingLotPending.delete(pendingKey);
+      return { success: false, message: `❌ Couldn't start a follow-up thread for ${item.id}.` };
+    }
+
+    parkingLotService.markThreadStarted(item.id, this.standupChannel, threadTs, requestedBy);
+    this.parkingLotPending.delete(pendingKey);
+    if (item.date === this.standupDate) {
+      await this._updateStandupSummary();
+    }
+    return { success: true, message: `🧵 Started a follow-up thread for ${item.id} in ${this.standupChannel}.` };
   }
 
   /**
@@ -1445,16 +3564,301 @@ class StandupWorkflow {
   }
 
   /**
-   * Skip standup for a user
+   * Get the sessions of developers who completed today's standup (on time or late)
+   * @returns {Array} Completed sessions, empty if today's standup hasn't run
    */
-  skipUserStandup(userId, reason = 'Manually skipped') {
+  getCompletedSessions() {
+    if (this.standupDate !== this.calendar.today()) {
+      return [];
+    }
+    return Array.from(this.sessions.values()).filter(s => s.state === StandupState.COMPLETED);
+  }
+
+  /**
+   * Post a message in the standup thread
+   * @param {string} text - Message text
+   */
+  async _postInThread(text) {
+    await slackService.sendMessage(this.standupChannel, text, null, this.standupThreadTs);
+  }
+
+  /**
+   * Check whether a standup is running (in progress or paused)
+   * @returns {boolean} True if running
+   */
+  isRunning() {
+    return this.standupPhase === StandupPhase.IN_PROGRESS || this.standupPhase === StandupPhase.PAUSED;
+  }
+
+  /**
+   * Check whether a running standup still expects answers from a developer
+   * (used to keep their DMs with the standup rather than another workflow)
+   * @param {string} userId - Slack user ID
+   * @returns {boolean} True if the developer hasn't finished yet
+   */
+  isAwaitingReplyFrom(userId) {
     const session = this.sessions.get(userId);
-    if (session) {
-      session.state = StandupState.SKIPPED;
-      // Also mark as unavailable so they're not asked again
-      this.unavailableDevelopers.add(userId);
-      console.log(`Skipped standup for ${session.userName}: ${reason}`);
+    return Boolean(this.isRunning() && session &&
+      session.state !== StandupState.COMPLETED && session.state !== StandupState.NEEDS_FOLLOWUP);
+  }
+
+  /**
+   * Reset a developer so they're asked from the start again
+   * @param {Object} session - The developer's session
+   */
+  _resetDeveloper(session) {
+    session.state = StandupState.NOT_STARTED;
+    session.inProgressExchangeCount = 0;
+    session.todoExchangeCount = 0;
+    session.inProgressSatisfactory = true;
+    session.todoSatisfactory = true;
+    session.unsatisfactoryReasons = [];
+  }
+
+  /**
+   * Get who may steer the standup and act on the parking lot: the team's facilitators, or its escalation contacts
+   * when none are set
+   * @returns {string[]} Slack user IDs or emails - empty means anyone may
+   */
+  getFacilitators() {
+    return this.team.standup.facilitators?.length > 0 ? this.team.standup.facilitators : this.team.escalation.contacts;
+  }
+
+  /**
+   * Check whether someone is one of the team's facilitators (see getFacilitators)
+   * @param {string} userId - Slack user ID
+   * @returns {Promise<boolean>} True if they may use the facilitator controls
+   */
+  async isFacilitator(userId) {
+    const facilitators = this.getFacilitators();
+    if (facilitators.length === 0) {
+      return true;
+    }
+
+    for (const facilitator of facilitators) {
+      const facilitatorId = facilitator.includes('@')
+        ? (await slackService.getUserByEmail(facilitator))?.id
+        : facilitator;
+      if (facilitatorId === userId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Pause the running standup (e.g. for an incident)
+   * Stops reminders, timeouts and the DM deadline; replies are held off until it's resumed
+   * @param {string} requestedBy - Slack user ID of the facilitator
+   * @param {string} reason - Why it was paused (optional)
+   * @returns {Promise<boolean>} True if paused, false if no standup is in progress
+   */
+  async pause(requestedBy, reason = null) {
+    if (this.standupPhase !== StandupPhase.IN_PROGRESS) {
+      return false;
+    }
+
+    for (const timeout of this.userTimeouts.values()) {
+      clearTimeout(timeout);
+    }
+    this.userTimeouts.clear();
+    this.userTimeoutDeadlines.clear();
+    this._clearDmDeadline();
+
+    this.standupPhase = StandupPhase.PAUSED;
+    this.pausedAt = Date.now();
+    this.saveState();
+    console.log(`⏸️ ${this.team.name} standup paused by ${requestedBy}${reason ? `: ${reason}` : ''}`);
+
+    await this._postInThread(`⏸️ <@${requestedBy}> paused the standup${reason ? ` - ${reason}` : ''}. I'll hold here until someone resumes it.`);
+    return true;
+  }
+
+  /**
+   * Resume a paused standup where it left off
+   * Thread mode gives the current developer a fresh timer (or asks the next one);
+   * DM mode pushes the deadline back by the time spent paused
+   * @param {string} requestedBy - Slack user ID of the facilitator
+   * @returns {Promise<boolean>} True if resumed, false if the standup isn't paused
+   */
+  async resume(requestedBy) {
+    if (this.standupPhase !== StandupPhase.PAUSED) {
+      return false;
+    }
+
+    const pausedMs = Date.now() - (this.pausedAt || Date.now());
+    this.standupPhase = StandupPhase.IN_PROGRESS;
+    this.pausedAt = null;
+    console.log(`▶️ ${this.team.name} standup resumed by ${requestedBy}`);
+
+    if (this.standupMode === StandupMode.DM) {
+      this.dmDeadline += pausedMs;
+      this._scheduleDmDeadline(Math.max(this.dmDeadline - Date.now(), 0));
+      await this._postInThread(`▶️ <@${requestedBy}> resumed the standup. The summary is now due at ${this._formatDmDeadline(this.dmDeadline)}.`);
+
+      // Re-asked while paused
+      for (const session of this.sessions.values()) {
+        if (session.state === StandupState.NOT_STARTED && session.dmChannel) {
+          await this._sendInitialPrompt(session);
+        }
+      }
+      await this._checkDmStandupCompletion();
+      return true;
+    }
+
+    const current = this.currentDeveloper;
+    if (current && ![StandupState.COMPLETED, StandupState.SKIPPED].includes(current.state)) {
+      await this._postInThread(`▶️ <@${requestedBy}> resumed the standup. <@${current.userId}>, over to you!`);
+      this._setUserTimeout(current);
+      return true;
+    }
+
+    await this._postInThread(`▶️ <@${requestedBy}> resumed the standup.`);
+    this.currentDeveloper = null;
+    await this._askNextDeveloper();
+    return true;
+  }
+
+  /**
+   * Skip a developer in today's standup (Skip button or `skip` command)
+   * Developers still waiting in the queue are passed over when their turn comes
+   * @param {string} userId - Slack user ID of the developer
+   * @param {string} requestedBy - Slack user ID of whoever asked (the developer themselves by default)
+   * @returns {Promise<boolean>} True if skipped, false if they have nothing left to answer today
+   */
+  async skipUserStandup(userId, requestedBy = userId) {
+    const session = this.sessions.get(userId);
+    if (!this.isRunning() || !session ||
+        [StandupState.COMPLETED, StandupState.SKIPPED].includes(session.state)) {
+      return false;
+    }
+
+    this._clearUserTimeout(userId);
+    session.state = StandupState.SKIPPED;
+    // Also mark as unavailable so they're not asked again
+    this.unavailableDevelopers.add(userId);
+    this.saveState();
+    console.log(`⏭️ Skipped standup for ${session.userName} (requested by ${requestedBy})`);
+
+    const lateUpdateHint = `_(<@${userId}>, you can still send a late update.)_`;
+    await this._postInThread(requestedBy === userId
+      ? `⏭️ *${session.userName}* is skipping today's standup. ${lateUpdateHint}`
+      : `⏭️ <@${requestedBy}> skipped *${session.userName}* for today. ${lateUpdateHint}`);
+
+    if (this.standupMode === StandupMode.DM && session.dmChannel) {
+      await this._sendToDeveloper(session, "⏭️ You're skipped for today's standup. If something comes up, you can still reply here with a late update.");
+    }
+
+    const isBeingAsked = this.standupMode === StandupMode.DM || this.currentDeveloper?.userId === userId;
+    if (isBeingAsked && this.standupPhase === StandupPhase.IN_PROGRESS) {
+      await this._advanceStandup();
     }
+    return true;
+  }
+
+  /**
+   * Move a developer to the end of the queue (thread mode)
+   * If it's their turn, the next developer is asked and they're asked again from the start later
+   * @param {string} userId - Slack user ID of the developer
+   * @param {string} requestedBy - Slack user ID of the facilitator
+   * @returns {Promise<boolean>} True if moved, false if they aren't waiting for their turn
+   */
+  async moveToEnd(userId, requestedBy) {
+    const session = this.sessions.get(userId);
+    const isCurrent = this.currentDeveloper?.userId === userId;
+    const isQueued = this.developerQueue.some(s => s.userId === userId);
+    if (!this.isRunning() || this.standupMode === StandupMode.DM || !session || (!isCurrent && !isQueued)) {
+      return false;
+    }
+
+    this.developerQueue = this.developerQueue.filter(s => s.userId !== userId);
+    this.developerQueue.push(session);
+    if (isCurrent) {
+      this._clearUserTimeout(userId);
+      this._resetDeveloper(session);
+      this.currentDeveloper = null;
+    }
+    this.saveState();
+    console.log(`↩️ Moved ${session.userName} to the end of the queue (requested by ${requestedBy})`);
+
+    await this._postInThread(`↩️ <@${requestedBy}> moved *${session.userName}* to the end of the queue.`);
+
+    if (isCurrent) {
+      await this._advanceStandup();
+    }
+    return true;
+  }
+
+  /**
+   * Ask a developer who was skipped or marked unavailable again
+   * Thread mode puts them next in line; DM mode prompts them in their DM right away
+   * @param {string} userId - Slack user ID of the developer
+   * @param {string} requestedBy - Slack user ID of the facilitator
+   * @returns {Promise<boolean>} True if they'll be asked again, false if they weren't skipped
+   */
+  async reaskDeveloper(userId, requestedBy) {
+    const session = this.sessions.get(userId);
+    if (!this.isRunning() || !session || session.state !== StandupState.SKIPPED) {
+      return false;
+    }
+
+    if (this.standupMode === StandupMode.DM && !session.dmChannel) {
+      session.dmChannel = await slackService.openDirectMessage(userId);
+      if (!session.dmChannel) {
+        return false;
+      }
+    }
+
+    this.unavailableDevelopers.delete(userId);
+    this._resetDeveloper(session);
+    console.log(`🔁 Re-asking ${session.userName} (requested by ${requestedBy})`);
+
+    if (this.standupMode === StandupMode.DM) {
+      await this._postInThread(`🔁 <@${requestedBy}> asked *${session.userName}* for their update again.`);
+      if (this.standupPhase === StandupPhase.IN_PROGRESS) {
+        await this._sendInitialPrompt(session);
+      }
+      this.saveState();
+      return true;
+    }
+
+    this.developerQueue = [session, ...this.developerQueue.filter(s => s.userId !== userId)];
+    this.saveState();
+    await this._postInThread(`🔁 <@${requestedBy}> put *${session.userName}* back in the queue - they're up next.`);
+
+    // Nobody is being asked (e.g. they were the last one) - ask them now
+    if (this.standupPhase === StandupPhase.IN_PROGRESS && !this.currentDeveloper) {
+      await this._askNextDeveloper();
+    }
+    return true;
+  }
+
+  /**
+   * Abort the running standup without posting a summary
+   * Updates already given stay in JIRA; everything else about today's standup is dropped
+   * @param {string} requestedBy - Slack user ID of the facilitator
+   * @param {string} note - Extra text for the announcement (e.g. that it's being restarted)
+   * @returns {Promise<boolean>} True if aborted, false if no standup is running
+   */
+  async abort(requestedBy, note = null) {
+    if (!this.isRunning()) {
+      return false;
+    }
+
+    console.log(`🛑 ${this.team.name} standup aborted by ${requestedBy}`);
+    await this._postInThread(`🛑 <@${requestedBy}> stopped today's standup - no summary will be posted.${note ? ` ${note}` : ''}`);
+
+    // Let anyone still answering in their DMs know
+    if (this.standupMode === StandupMode.DM) {
+      for (const session of this._getPendingSessions()) {
+        if (session.dmChannel) {
+          await this._sendToDeveloper(session, "🛑 Today's standup was called off - no need to reply.");
+        }
+      }
+    }
+
+    this.reset();
+    return true;
   }
 
   /**
@@ -1464,6 +3868,13 @@ class StandupWorkflow {
     return this.standupPhase;
   }
 
+  /**
+   * Get the mode of the current standup (thread or dm)
+   */
+  getStandupMode() {
+    return this.standupMode;
+  }
+
   /**
    * Get the standup thread timestamp
    */
@@ -1479,6 +3890,8 @@ class StandupWorkflow {
       clearTimeout(timeout);
     }
     this.userTimeouts.clear();
+    this.userTimeoutDeadlines.clear();
+    this._clearDmDeadline();
     
     this.sessions.clear();
     this.userIdToSession.clear();
@@ -1486,13 +3899,19 @@ class StandupWorkflow {
     this.developerQueue = [];
     this.currentDeveloper = null;
     this.unavailableDevelopers.clear();
-    this.pendingBlockerQuestions.clear();
     this.standupThreadTs = null;
     this.standupPhase = StandupPhase.NOT_STARTED;
+    this.standupMode = StandupMode.THREAD;
+    this.dmDeadline = null;
+    this.standupStartedAt = null;
+    this.pausedAt = null;
+    this.summaryText = null;
+    this.summaryMessageTs = null;
+    this.sprint = null;
     this.standupDate = null;
     this.standupChannel = null;
+    this.saveState();
     console.log('Standup workflow reset');
   }
 }
 
-export default new StandupWorkflow();
@@ -0,0 +1,217 @@
+/**
+ * Team Registry
+ * Holds one independent StandupWorkflow (plus CheckoutWorkflow and RetroWorkflow) per configured team and routes
+ * Slack messages and commands to the right one:
+ * - Commands are scoped to the team whose standup channel they're issued in
+ * - Standup replies go to the team whose thread (or DM) they belong to
+ * - Check-out replies go to the team whose check-out is waiting on that DM
+ * - Retro feedback goes to the team whose retro is collecting it in that DM
+ */
+
+import { loadTeams } from '../config/teams.js';
+import slackService from '../services/slackService.js';
+import { StandupWorkflow } from './standupWorkflow.js';
+import { CheckoutWorkflow } from './checkoutWorkflow.js';
+import { RetroWorkflow } from './retroWorkflow.js';
+
+class TeamRegistry {
+  constructor() {
+    // Workflows keyed by team ID
+    this.workflows = new Map();
+
+    // End-of-day check-outs keyed by team ID
+    this.checkouts = new Map();
+
+    // Sprint retros keyed by team ID
+    this.retros = new Map();
+
+    // Resolved Slack channel ID -> team ID
+    this.channelToTeam = new Map();
+  }
+
+  /**
+   * Load teams and create a workflow for each
+   * @param {Array} teams - Normalized teams (defaults to the configured teams)
+   */
+  initialize(teams = loadTeams()) {
+    this.workflows.clear();
+    this.checkouts.clear();
+    this.retros.clear();
+    this.channelToTeam.clear();
+
+    for (const team of teams) {
+      const workflow = new StandupWorkflow(team);
+      this.workflows.set(team.id, workflow);
+      this.checkouts.set(team.id, new CheckoutWorkflow(workflow));
+      this.retros.set(team.id, new RetroWorkflow(workflow));
+    }
+
+    console.log(`Team registry initialized with ${this.workflows.size} team(s): ${this.getTeams().map(t => t.name).join(', ')}`);
+  }
+
+  /**
+   * Resolve each team's configured channel name to a Slack channel ID
+   * Needed because incoming events carry channel IDs, while config usually has "#name"
+   */
+  async resolveChannels() {
+    for (const [teamId, workflow] of this.workflows) {
+      const channelId = await slackService.resolveChannelId(workflow.team.channel);
+      if (channelId) {
+        this.channelToTeam.set(channelId, teamId);
+      } else {
+        console.warn(`Could not resolve channel ${workflow.team.channel} for team ${workflow.team.name}`);
+      }
+    }
+  }
+
+  /**
+   * Get all team configurations
+   * @returns {Array} Teams
+   */
+  getTeams() {
+    return Array.from(this.workflows.values()).map(w => w.team);
+  }
+
+  /**
+   * Get all workflows
+   * @returns {Array} Workflows
+   */
+  getAllWorkflows() {
+    return Array.from(this.workflows.values());
+  }
+
+  /**
+   * Get a team's workflow by team ID
+   * @param {string} teamId - Team ID
+   * @returns {StandupWorkflow|null} Workflow or null
+   */
+  getWorkflow(teamId) {
+    return this.workflows.get(teamId) || null;
+  }
+
+  /**
+   * Get a team's end-of-day check-out by team ID
+   * @param {string} teamId - Team ID
+   * @returns {CheckoutWorkflow|null} Check-out or null
+   */
+  getCheckout(teamId) {
+    return this.checkouts.get(teamId) || null;
+  }
+
+  /**
+   * Get all check-outs
+   * @returns {Array} Check-outs
+   */
+  getAllCheckouts() {
+    return Array.from(this.checkouts.values());
+  }
+
+  /**
+   * Get a team's sprint retro by team ID
+   * @param {string} teamId - Team ID
+   * @returns {RetroWorkflow|null} Retro or null
+   */
+  getRetro(teamId) {
+    return this.retros.get(teamId) || null;
+  }
+
+  /**
+   * Get all retros
+   * @returns {Array} Retros
+   */
+  getAllRetros() {
+    return Array.from(this.retros.values());
+  }
+
+  /**
+   * Get the workflow of the team whose standup channel this is
+   * @param {string} channelId - Slack channel ID
+   * @returns {StandupWorkflow|null} Workflow or null if the channel isn't a standup channel
+   */
+  getWorkflowForChannel(channelId) {
+    const teamId = this.channelToTeam.get(channelId);
+    return teamId ? this.getWorkflow(teamId) : null;
+  }
+
+  /**
+   * Find the workflow a standup reply belongs to
+   * A person in several teams shares one DM with the bot, so prefer the standup that's still running
+   * @param {string} userId - Slack user ID
+   * @param {string} channel - Channel ID
+   * @param {string} threadTs - Thread timestamp if in thread
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {StandupWorkflow|null} Workflow or null
+   */
+  findWorkflowForMessage(userId, channel, threadTs = null, isDirectMessage = false) {
+    const owners = this.getAllWorkflows().filter(w => w.ownsMessage(userId, channel, threadTs, isDirectMessage));
+    return owners.find(w => w.isRunning()) || owners[0] || null;
+  }
+
+  /**
+   * Find the check-out a DM reply belongs to
+   * @param {string} userId - Slack user ID
+   * @param {string} channel - Channel ID
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {CheckoutWorkflow|null} Check-out or null
+   */
+  findCheckoutForMessage(userId, channel, isDirectMessage = false) {
+    return this.getAllCheckouts().find(c => c.ownsMessage(userId, channel, isDirectMessage)) || null;
+  }
+
+  /**
+   * Find the retro a DM belongs to
+   * A running standup still waiting on the person keeps their DMs until they've answered it
+   * @param {string} userId - Slack user ID
+   * @param {string} channel - Channel ID
+   * @param {boolean} isDirectMessage - True if the message was sent in a DM with the bot
+   * @returns {RetroWorkflow|null} Retro or null
+   */
+  findRetroForMessage(userId, channel, isDirectMessage = false) {
+    if (this.getAllWorkflows().some(w => w.isAwaitingReplyFrom(userId))) {
+      return null;
+    }
+    return this.getAllRetros().find(r => r.ownsMessage(userId, channel, isDirectMessage)) || null;
+  }
+
+  /**
+   * Find the workflow that applied a standup reply which has since been edited or deleted
+   * @param {string} userId - Slack user ID
+   * @param {string} messageTs - Message timestamp
+   * @returns {StandupWorkflow|null} Workflow or null
+   */
+  findWorkflowForEdit(userId, messageTs) {
+    return this.getAllWorkflows().find(w => w.hasAppliedMessage(userId, messageTs)) || null;
+  }
+
+  /**
+   * Snapshot every team's standup, check-out and retro state to disk
+   */
+  saveAll() {
+    for (const workflow of this.workflows.values()) {
+      workflow.saveState();
+    }
+    for (const checkout of this.checkouts.values()) {
+      checkout.saveState();
+    }
+    for (const retro of this.retros.values()) {
+      retro.saveState();
+    }
+  }
+
+  /**
+   * Resume every team's interrupted standup, check-out and retro
+   */
+  async restoreAll() {
+    for (const workflow of this.workflows.values()) {
+      await workflow.restoreState();
+    }
+    for (const checkout of this.checkouts.values()) {
+      await checkout.restoreState();
+    }
+    for (const retro of this.retros.values()) {
+      await retro.restoreState();
+    }
+  }
+}
+
+export default new TeamRegistry();